@@ -5,7 +5,11 @@ import passport from "passport";
 import session from "express-session";
 import dotenv from "dotenv";
 import connectDB from "./config/connectDB.js";
-import { SESSION_SECRET } from "./config/constants.js";
+import {
+  SESSION_SECRET,
+  ENABLE_JOB_INTERVALS,
+  TRUST_PROXY_HOPS,
+} from "./config/constants.js";
 import authRoutes from "./routes/authRoutes.js";
 import profileRoutes from "./routes/profileRoutes.js";
 import ambienceCategoryRoutes from "./routes/AmbienceCategoryRoutes.js";
@@ -15,7 +19,8 @@ import lifeContentRoutes from "./routes/lifeContentRoutes.js";
 import audioRoutes from "./routes/audioRoutes.js";
 import ambienceCommandRoutes from "./routes/ambienceCommandRoutes.js";
 import ambienceAudioRoutes from "./routes/ambienceAudioRoutes.js";
-import { scheduleCleanup } from "./utils/otpService.js";
+import { scheduleJobs } from "./utils/jobScheduler.js";
+import "./jobs/index.js";
 import yogaPracticeRoutes from "./routes/yogaPracticeRoutes.js";
 import yogaSessionRoutes from "./routes/yogaSessionRoutes.js";
 import cloudflareImageStorageRoutes from "./routes/cloudflareImageStorageRoutes.js";
@@ -27,6 +32,10 @@ import breathingRoutes from "./routes/breathingRoutes.js";
 import yogaPoseListRoutes from "./routes/yogaPoseListRoutes.js";
 import formRoutes from "./routes/formRoutes.js";
 import notificationRoutes from "./routes/notificationRoutes.js";
+import reminderRoutes from "./routes/reminderRoutes.js";
+import recapRoutes from "./routes/recapRoutes.js";
+import emailRoutes from "./routes/emailRoutes.js";
+import internalJobRoutes from "./routes/internalJobRoutes.js";
 
 // Needed for __dirname in ES modules
 import { fileURLToPath } from "url";
@@ -37,11 +46,18 @@ const __dirname = dirname(__filename);
 dotenv.config();
 const app = express();
 
+// Behind API Gateway/load balancers: take the client IP from X-Forwarded-For
+// (used by the per-IP rate limits on auth routes). Only our own proxy hops
+// are trusted; entries further left are client-supplied and can be spoofed.
+app.set("trust proxy", TRUST_PROXY_HOPS);
+
 // --------------------------------------
 //          DATABASE + SCHEDULERS
 // --------------------------------------
 connectDB();
-scheduleCleanup();
+if (ENABLE_JOB_INTERVALS) {
+  scheduleJobs();
+}
 
 // --------------------------------------
 //               MIDDLEWARE
@@ -102,6 +118,10 @@ app.use("/api/breathing", breathingRoutes); // Breathing exercises routes for mi
 app.use("/api", yogaPoseListRoutes); // Legacy yoga pose list routes preserved from old backend
 app.use("/api", formRoutes); // Dynamic form builder routes
 app.use("/api", notificationRoutes); // Notifications routes with scheduling and priority metadata
+app.use("/api", reminderRoutes); // Mood check-in reminder settings and the in-app inbox
+app.use("/api", recapRoutes); // Cached monthly and yearly recaps
+app.use("/api/email", emailRoutes); // Unsubscribe links from emails (public, token based)
+app.use("/internal/jobs", internalJobRoutes); // Background jobs (invoked by an external scheduler on Lambda)
 
 app.get("/health", (req, res) => {
   res.json({
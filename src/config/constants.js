@@ -26,6 +26,17 @@ export const JWT_SECRET = process.env.JWT_SECRET || "arvyax999";
 export const SESSION_SECRET =
   process.env.SESSION_SECRET || "your_session_secret_key";
 
+// Auth session lifetimes (access JWT is short-lived; refresh token rotates)
+export const ACCESS_TOKEN_TTL = cleanEnv(process.env.ACCESS_TOKEN_TTL) || "15m";
+export const REFRESH_TOKEN_TTL_DAYS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Days between DELETE /api/auth/account and the data purge (sign-in cancels)
+export const ACCOUNT_DELETION_GRACE_DAYS =
+  Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+// Proxies in front of the app (API Gateway/load balancer); only that many
+// X-Forwarded-For hops are trusted when resolving the client IP
+export const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS ?? 1);
+
 export const GMAIL_USER = process.env.GMAIL_USER;
 export const GMAIL_PASS = process.env.GMAIL_PASS;
 
@@ -33,6 +44,8 @@ export const GMAIL_PASS = process.env.GMAIL_PASS;
 export const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
 export const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
 export const TWILIO_PHONE_NUMBER = process.env.TWILIO_PHONE_NUMBER;
+// "twilio" | "console" | "file"; defaults to twilio when configured, else console
+export const SMS_PROVIDER = cleanEnv(process.env.SMS_PROVIDER).toLowerCase();
 
 // Cloudinary configuration
 export const CLOUDINARY_CLOUD_NAME = process.env.CLOUDINARY_CLOUD_NAME;
@@ -66,6 +79,74 @@ export const FACEBOOK_APP_SECRET = cleanEnv(process.env.FACEBOOK_APP_SECRET);
 export const GITHUB_CLIENT_ID = cleanEnv(process.env.GITHUB_CLIENT_ID);
 export const GITHUB_CLIENT_SECRET = cleanEnv(process.env.GITHUB_CLIENT_SECRET);
 
+// What counts as a streak day: at least ACTIVITY_MIN_ACTIONS_PER_DAY of the
+// ACTIVITY_QUALIFYING_ACTIONS (comma separated, see utils/activityService.js).
+export const ACTIVITY_QUALIFYING_ACTIONS = (
+  cleanEnv(process.env.ACTIVITY_QUALIFYING_ACTIONS) ||
+  "feeling_started,journal_task_completed,breathing_completed,yoga_completed"
+)
+  .split(",")
+  .map((action) => action.trim())
+  .filter(Boolean);
+export const ACTIVITY_MIN_ACTIONS_PER_DAY = Number(
+  process.env.ACTIVITY_MIN_ACTIONS_PER_DAY || 1,
+);
+
+// Streak freezes: one is earned every STREAK_FREEZE_MILESTONE_DAYS of streak,
+// up to STREAK_FREEZE_MAX held at once. Milestones past the cap pay out a
+// repair token instead; STREAK_FREEZE_PRICE tokens buy a freeze.
+export const STREAK_FREEZE_MAX = Number(process.env.STREAK_FREEZE_MAX || 2);
+export const STREAK_FREEZE_MILESTONE_DAYS = Number(
+  process.env.STREAK_FREEZE_MILESTONE_DAYS || 7,
+);
+export const STREAK_FREEZE_PRICE = Number(process.env.STREAK_FREEZE_PRICE || 2);
+// How far back a freeze can be redeemed onto a missed day.
+export const STREAK_REPAIR_WINDOW_DAYS = Number(
+  process.env.STREAK_REPAIR_WINDOW_DAYS || 7,
+);
+
+// Longest a feeling session may last. Open sessions are closed at this
+// length ("close-stale-feelings" job) and edited sessions can't exceed it.
+export const FEELING_MAX_SESSION_HOURS = Number(
+  process.env.FEELING_MAX_SESSION_HOURS || 12,
+);
+
+// Check-in reminders more than this late (e.g. the job was down) are dropped.
+export const CHECKIN_REMINDER_GRACE_MINUTES = Number(
+  process.env.CHECKIN_REMINDER_GRACE_MINUTES || 120,
+);
+
+// Public base URL of this API, used for links in emails (e.g. unsubscribe).
+export const API_PUBLIC_URL = (
+  cleanEnv(process.env.API_PUBLIC_URL) || "http://localhost:3000"
+).replace(/\/+$/, "");
+// Weekly digests go out from this local hour on Monday.
+export const WEEKLY_DIGEST_SEND_HOUR = Number(
+  process.env.WEEKLY_DIGEST_SEND_HOUR || 8,
+);
+
+// Thumbnail URL for user photos, "{url}" is replaced with the encoded photo
+// URL (e.g. an image-resizing endpoint). Unset: photos are used as is.
+export const IMAGE_THUMBNAIL_URL_TEMPLATE = cleanEnv(
+  process.env.IMAGE_THUMBNAIL_URL_TEMPLATE,
+);
+// How long a recap of the current month/year is cached; finished periods
+// are cached for RECAP_CACHE_PAST_HOURS.
+export const RECAP_CACHE_CURRENT_MINUTES = Number(
+  process.env.RECAP_CACHE_CURRENT_MINUTES || 60,
+);
+export const RECAP_CACHE_PAST_HOURS = Number(
+  process.env.RECAP_CACHE_PAST_HOURS || 24,
+);
+
+// Shared secret for POST /internal/jobs/:name (EventBridge / cron callers)
+export const JOB_RUNNER_SECRET = cleanEnv(process.env.JOB_RUNNER_SECRET);
+// Run job intervals inside this process (off by default on Lambda)
+export const ENABLE_JOB_INTERVALS =
+  process.env.ENABLE_JOB_INTERVALS != null
+    ? process.env.ENABLE_JOB_INTERVALS === "true"
+    : !process.env.AWS_LAMBDA_FUNCTION_NAME;
+
 // Test credentials for Play Store testing (optional)
 export const TEST_EMAIL = process.env.TEST_EMAIL;
 export const TEST_OTP = process.env.TEST_OTP;
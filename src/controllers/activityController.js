@@ -1,27 +1,32 @@
-import UserActivityDay from "../models/UserActivityDay.js";
 import { checkAndAssignBadges, formatBadge } from "../utils/badgeService.js";
+import { isValidDateKey } from "../utils/dateKeyService.js";
+import {
+  buyStreakFreeze,
+  getStreakFreezeStatus,
+  redeemStreakFreeze,
+} from "../utils/streakService.js";
+import { getTodayActivity, recordActivity } from "../utils/activityService.js";
 
-function utcDateKey(date) {
-  const year = date.getUTCFullYear();
-  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(date.getUTCDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
-}
-
+/**
+ * POST /api/activity/ping
+ * Reports today's progress. Opening the app no longer counts as activity;
+ * only qualifying actions do (see POST /api/activity/actions).
+ */
 export const pingActivity = async (req, res) => {
   try {
     const userId = req.user?.id;
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const now = new Date();
-    await UserActivityDay.markActive(String(userId), now);
+    const { timeZone, today } = await getTodayActivity(String(userId));
 
     // Check and assign badges based on current streak
     const newlyEarnedBadges = await checkAndAssignBadges(userId);
 
     const response = {
-      active: true,
-      dateKey: utcDateKey(now),
+      active: today.qualified,
+      dateKey: today.dateKey,
+      timezone: timeZone,
+      today,
     };
 
     // Include newly earned badges in response if any
@@ -35,3 +40,83 @@ export const pingActivity = async (req, res) => {
     return res.status(500).json({ error: "Server error" });
   }
 };
+
+/**
+ * POST /api/activity/actions
+ * Body: { action, count? }
+ * Records an action that happens on the device (breathing or yoga session
+ * finished).
+ */
+export const recordActivityAction = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const { action, count, minutes } = req.body;
+  const result = await recordActivity(String(userId), action, {
+    count,
+    minutes,
+  });
+  if (!result) return res.status(500).json({ error: "Server error" });
+
+  return res.status(201).json({
+    today: result.today,
+    newlyQualified: result.newlyQualified,
+    frozenDays: result.frozenDays,
+    reward: result.reward,
+    newBadges: result.newBadges.map(formatBadge),
+  });
+};
+
+/**
+ * GET /api/activity/freezes
+ * Streak freeze inventory, repair tokens and recently frozen days.
+ */
+export const getStreakFreezes = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const freezes = await getStreakFreezeStatus(userId);
+  return res.json({ freezes });
+};
+
+/**
+ * POST /api/activity/freezes/buy
+ * Trades repair tokens for one streak freeze.
+ */
+export const buyStreakFreezeHandler = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const error = await buyStreakFreeze(userId);
+  if (error) return res.status(400).json({ error });
+
+  const freezes = await getStreakFreezeStatus(userId);
+  return res.json({ message: "Streak freeze purchased", freezes });
+};
+
+/**
+ * POST /api/activity/freezes/redeem
+ * Body: { dateKey }
+ * Spends a freeze to repair a missed day.
+ */
+export const redeemStreakFreezeHandler = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const { dateKey } = req.body;
+  if (!isValidDateKey(dateKey)) {
+    return res.status(400).json({ error: "Invalid dateKey" });
+  }
+
+  const result = await redeemStreakFreeze(userId, dateKey);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  const freezes = await getStreakFreezeStatus(userId);
+  return res.json({
+    message: "Streak repaired",
+    dateKey: result.dateKey,
+    freezes,
+  });
+};
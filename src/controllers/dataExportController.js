@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+import DataExport from "../models/DataExport.js";
+import { ENABLE_JOB_INTERVALS } from "../config/constants.js";
+import { runJob } from "../utils/jobScheduler.js";
+import { getSignedR2Url } from "../utils/r2Upload.js";
+import {
+  EXPORT_LINK_TTL_SECONDS,
+  requestDataExport,
+} from "../utils/dataExportService.js";
+
+const PROCESS_EXPORTS_JOB = "process-data-exports";
+
+// Mints a fresh pre-signed link on every read while the archive is available.
+function formatExport(dataExport, now = new Date()) {
+  const value =
+    typeof dataExport?.toObject === "function"
+      ? dataExport.toObject()
+      : dataExport;
+  const downloadable =
+    value.status === "ready" &&
+    Boolean(value.r2Key) &&
+    (!value.expiresAt || value.expiresAt.getTime() > now.getTime());
+
+  return {
+    id: String(value._id),
+    status: value.status,
+    progress: value.progress ?? 0,
+    step: value.step || null,
+    counts: value.counts ?? null,
+    fileSize: value.fileSize ?? null,
+    error: value.error ?? null,
+    requestedAt: value.createdAt ?? null,
+    completedAt: value.completedAt ?? null,
+    expiresAt: value.expiresAt ?? null,
+    downloadUrl: downloadable
+      ? getSignedR2Url(value.r2Key, EXPORT_LINK_TTL_SECONDS)
+      : null,
+    downloadUrlExpiresAt: downloadable
+      ? new Date(now.getTime() + EXPORT_LINK_TTL_SECONDS * 1000)
+      : null,
+  };
+}
+
+/**
+ * POST /api/me/export
+ * Queues a personal data export (JSON + CSV zip). Only one export can be in
+ * progress at a time; requesting again returns the active one.
+ */
+export const requestMyDataExport = async (req, res) => {
+  const { dataExport, created } = await requestDataExport(req.user.id);
+
+  // Outside Lambda, start building right away instead of waiting for the
+  // next interval tick. On Lambda the external scheduler triggers the job.
+  if (created && ENABLE_JOB_INTERVALS) {
+    runJob(PROCESS_EXPORTS_JOB, { trigger: "http" }).catch((err) =>
+      console.error("DATA EXPORT KICK ERROR:", err),
+    );
+  }
+
+  return res.status(202).json({
+    message: created ? "Export queued" : "An export is already in progress",
+    export: formatExport(dataExport),
+  });
+};
+
+/**
+ * GET /api/me/export
+ * Status of the most recent export (null when none was requested).
+ */
+export const getLatestDataExport = async (req, res) => {
+  const dataExport = await DataExport.findOne({ user: req.user.id })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return res.json({ export: dataExport ? formatExport(dataExport) : null });
+};
+
+/**
+ * GET /api/me/export/:exportId
+ * Status of one export; includes `downloadUrl` once it is ready.
+ */
+export const getDataExportById = async (req, res) => {
+  const exportId = String(req.params.exportId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(exportId)) {
+    return res.status(400).json({ error: "Invalid exportId" });
+  }
+
+  const dataExport = await DataExport.findOne({
+    _id: exportId,
+    user: req.user.id,
+  }).lean();
+  if (!dataExport) {
+    return res.status(404).json({ error: "Export not found" });
+  }
+
+  return res.json({ export: formatExport(dataExport) });
+};
@@ -0,0 +1,89 @@
+import RegisterUser from "../models/UserModel.js";
+import {
+  formatEmailPreferences,
+  unsubscribeWithToken,
+} from "../utils/emailPreferenceService.js";
+import {
+  buildWeeklyDigest,
+  getWeekStartKey,
+} from "../utils/weeklyDigestService.js";
+import {
+  addDays,
+  getUserToday,
+  isValidDateKey,
+} from "../utils/dateKeyService.js";
+import { unsubscribePageTemplate } from "../utils/emailTemplates.js";
+
+/**
+ * GET /api/me/email-preferences
+ */
+export const getEmailPreferences = async (req, res) => {
+  const user = await RegisterUser.findById(req.user.id)
+    .select("emailPreferences")
+    .lean();
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  return res.json({ preferences: formatEmailPreferences(user) });
+};
+
+/**
+ * PUT /api/me/email-preferences
+ */
+export const updateEmailPreferences = async (req, res) => {
+  const user = await RegisterUser.findByIdAndUpdate(
+    req.user.id,
+    { $set: { "emailPreferences.weeklyDigest": req.body.weeklyDigest } },
+    { new: true },
+  )
+    .select("emailPreferences")
+    .lean();
+  if (!user) return res.status(404).json({ error: "User not found" });
+
+  return res.json({
+    message: "Email preferences updated",
+    preferences: formatEmailPreferences(user),
+  });
+};
+
+/**
+ * GET /api/me/weekly-digest?week=YYYY-MM-DD
+ * What the weekly digest email shows for a week (default: the last full
+ * week), so the app can render the same summary.
+ */
+export const getWeeklyDigest = async (req, res) => {
+  const query = req.validatedQuery ?? req.query;
+  const { timeZone, todayKey } = await getUserToday(req.user.id);
+  if (query?.week && !isValidDateKey(query.week)) {
+    return res.status(400).json({ error: "Invalid week" });
+  }
+
+  const weekStartKey = query?.week
+    ? getWeekStartKey(query.week)
+    : addDays(getWeekStartKey(todayKey), -7);
+  const digest = await buildWeeklyDigest(req.user.id, weekStartKey, timeZone);
+  return res.json({ digest });
+};
+
+/**
+ * GET  /api/email/unsubscribe?token=  (link in the email, renders a page)
+ * POST /api/email/unsubscribe?token=  (one-click unsubscribe from mail clients)
+ */
+export const unsubscribeFromEmail = async (req, res) => {
+  const result = await unsubscribeWithToken(req.query?.token);
+
+  if (req.method === "POST") {
+    if (result.error) return res.status(400).json({ error: result.error });
+    return res.json({ message: "Unsubscribed", list: result.list });
+  }
+
+  return res
+    .status(result.error ? 400 : 200)
+    .type("html")
+    .send(
+      unsubscribePageTemplate(
+        result.error
+          ? "This unsubscribe link is invalid. You can turn emails off in the app under Settings."
+          : "You've been unsubscribed from the weekly digest. You can turn it back on in the app under Settings.",
+      ),
+    );
+};
@@ -0,0 +1,64 @@
+import FeelingCatalogItem from "../models/FeelingCatalogItem.js";
+import {
+  formatCatalogFeeling,
+  getFeelingCatalog,
+  saveCatalogFeeling,
+} from "../utils/feelingCatalogService.js";
+
+/**
+ * GET /api/feelings/catalog
+ * Public so clients can cache the catalog before sign-in.
+ */
+export const getFeelingCatalogHandler = async (req, res) => {
+  const query = req.validatedQuery ?? req.query;
+  const catalog = await getFeelingCatalog(query?.sinceVersion ?? null);
+  return res.json(catalog);
+};
+
+/**
+ * POST /api/feelings/catalog (editor)
+ */
+export const createCatalogFeeling = async (req, res) => {
+  const { key, ...fields } = req.body;
+  if (await FeelingCatalogItem.exists({ key })) {
+    return res.status(409).json({ error: "Feeling already exists" });
+  }
+
+  const item = await saveCatalogFeeling(key, fields);
+  return res.status(201).json({
+    success: true,
+    feeling: formatCatalogFeeling(item),
+  });
+};
+
+/**
+ * PATCH /api/feelings/catalog/:key (editor)
+ */
+export const updateCatalogFeeling = async (req, res) => {
+  const key = String(req.params.key || "")
+    .trim()
+    .toLowerCase();
+  if (!(await FeelingCatalogItem.exists({ key }))) {
+    return res.status(404).json({ error: "Feeling not found" });
+  }
+
+  const item = await saveCatalogFeeling(key, req.body);
+  return res.json({ success: true, feeling: formatCatalogFeeling(item) });
+};
+
+/**
+ * DELETE /api/feelings/catalog/:key (editor)
+ * Retires the feeling instead of deleting it: existing logs keep pointing
+ * at the key and clients learn about it through `sinceVersion` syncs.
+ */
+export const retireCatalogFeeling = async (req, res) => {
+  const key = String(req.params.key || "")
+    .trim()
+    .toLowerCase();
+  if (!(await FeelingCatalogItem.exists({ key }))) {
+    return res.status(404).json({ error: "Feeling not found" });
+  }
+
+  const item = await saveCatalogFeeling(key, { isActive: false });
+  return res.json({ success: true, feeling: formatCatalogFeeling(item) });
+};
@@ -1,5 +1,29 @@
+import mongoose from "mongoose";
 import FeelingLog from "../models/FeelingLog.js";
 import UserActivityDay from "../models/UserActivityDay.js";
+import {
+  addDays,
+  diffDays,
+  getMonthRange,
+  getUserToday,
+  isValidDateKey,
+  toDateKey,
+} from "../utils/dateKeyService.js";
+import {
+  STREAK_DAY_FILTER,
+  calculateCurrentStreak,
+} from "../utils/streakService.js";
+import { ACTIVITY_ACTIONS, recordActivity } from "../utils/activityService.js";
+import { getFeelingInsights } from "../utils/feelingInsightsService.js";
+import { resolveFeeling } from "../utils/feelingCatalogService.js";
+import {
+  closeStaleFeelingLogs,
+  createPastSession,
+  getSessionEnd,
+  mergeSessions,
+  splitSession,
+  updateSession,
+} from "../utils/feelingSessionService.js";
 
 function parseOptionalDate(value) {
   if (!value) return undefined;
@@ -8,41 +32,52 @@ function parseOptionalDate(value) {
   return d;
 }
 
-function utcDateKey(date) {
-  const year = date.getUTCFullYear();
-  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(date.getUTCDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
-}
-
 export const startFeeling = async (req, res) => {
   try {
     const userId = req.user?.id;
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const { feeling } = req.body;
+    const { feeling, intensity, note, tags, trigger } = req.body;
     if (!feeling || typeof feeling !== "string") {
       return res.status(400).json({ error: "Feeling is required" });
     }
 
+    const catalogFeeling = await resolveFeeling(feeling);
+    if (!catalogFeeling) {
+      return res.status(400).json({ error: "Unknown feeling" });
+    }
+
+    const startedAt = new Date();
     const open = await FeelingLog.getCurrentOpenLog(userId);
     if (open) {
-      open.endedAt = new Date();
+      open.set(getSessionEnd(open, startedAt));
       await open.save();
     }
 
-    const startedAt = new Date();
+    const { timeZone } = await getUserToday(userId, startedAt);
     const log = new FeelingLog({
       user: userId,
-      feeling: feeling.trim(),
+      feeling: catalogFeeling.key,
+      intensity: intensity ?? null,
+      note: note ?? "",
+      tags: [...new Set(tags ?? [])],
+      trigger: trigger ?? undefined,
       startedAt,
       endedAt: null,
-      dateKey: utcDateKey(startedAt),
+      dateKey: toDateKey(startedAt, timeZone),
     });
 
     await log.save();
 
-    return res.status(201).json({ message: "Feeling started", log });
+    const activity = await recordActivity(
+      userId,
+      ACTIVITY_ACTIONS.FEELING_STARTED,
+      { now: startedAt }
+    );
+
+    return res
+      .status(201)
+      .json({ message: "Feeling started", log, activity: activity?.today });
   } catch (err) {
     console.error("START FEELING ERROR:", err);
     return res.status(500).json({ error: "Server error" });
@@ -59,7 +94,7 @@ export const endFeeling = async (req, res) => {
       return res.status(400).json({ error: "No active feeling session" });
     }
 
-    open.endedAt = new Date();
+    open.set(getSessionEnd(open));
     await open.save();
 
     return res.json({ message: "Feeling ended", log: open });
@@ -74,6 +109,7 @@ export const getCurrentFeeling = async (req, res) => {
     const userId = req.user?.id;
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
+    await closeStaleFeelingLogs({ userId });
     const open = await FeelingLog.getCurrentOpenLog(userId);
     if (open) {
       return res.json({ current: open });
@@ -110,7 +146,7 @@ export const getTodayFeelingLogs = async (req, res) => {
     const userId = req.user?.id;
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const todayKey = utcDateKey(new Date());
+    const { todayKey } = await getUserToday(userId);
     const logs = await FeelingLog.find({
       user: userId,
       dateKey: todayKey,
@@ -132,7 +168,7 @@ export const getDayFeelingTimeline = async (req, res) => {
 
     const query = req.validatedQuery ?? req.query;
     const date = String(query?.date || "").trim();
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    if (!isValidDateKey(date)) {
       return res.status(400).json({
         error: "Invalid date. Expected YYYY-MM-DD",
       });
@@ -161,34 +197,8 @@ export const getFeelingStreak = async (req, res) => {
     const userId = req.user?.id;
     if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-    const today = new Date();
-    const todayUtcMidnight = new Date(
-      Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate())
-    );
-    const windowStart = new Date(todayUtcMidnight);
-    windowStart.setUTCDate(windowStart.getUTCDate() - 399);
-
-    const fromKey = utcDateKey(windowStart);
-    const toKey = utcDateKey(todayUtcMidnight);
-
-    const days = await UserActivityDay.distinct("dateKey", {
-      user: userId,
-      dateKey: { $gte: fromKey, $lte: toKey },
-    });
-
-    if (!days.length) return res.json({ currentStreak: 0 });
-
-    const daySet = new Set(days);
-    let streak = 0;
-    for (let i = 0; i < 400; i++) {
-      const d = new Date(todayUtcMidnight);
-      d.setUTCDate(d.getUTCDate() - i);
-      const key = utcDateKey(d);
-      if (!daySet.has(key)) break;
-      streak++;
-    }
-
-    return res.json({ currentStreak: streak });
+    const currentStreak = await calculateCurrentStreak(userId);
+    return res.json({ currentStreak });
   } catch (err) {
     console.error("GET FEELING STREAK ERROR:", err);
     return res.status(500).json({ error: "Server error" });
@@ -214,37 +224,189 @@ export const getActiveDaysCalendar = async (req, res) => {
 
     const query = req.validatedQuery ?? req.query;
     const parsed = parseMonth(query?.month);
-    const now = new Date();
-    const year = parsed?.year ?? now.getUTCFullYear();
-    const month = parsed?.month ?? now.getUTCMonth() + 1;
-
-    const from = new Date(Date.UTC(year, month - 1, 1, 0, 0, 0));
-    const to = new Date(Date.UTC(year, month, 0, 23, 59, 59, 999));
-
-    const fromKey = utcDateKey(from);
-    const toKey = utcDateKey(to);
-
-    const activeDateKeys = (
-      await UserActivityDay.distinct("dateKey", {
-        user: userId,
-        dateKey: { $gte: fromKey, $lte: toKey },
-      })
-    ).sort();
+    // Without ?month, default to the user's current local month.
+    const { todayKey } = await getUserToday(userId);
+    const year = parsed?.year ?? Number(todayKey.slice(0, 4));
+    const month = parsed?.month ?? Number(todayKey.slice(5, 7));
+
+    const {
+      monthKey,
+      startKey: fromKey,
+      endKey: toKey,
+    } = getMonthRange(year, month);
+
+    const days = await UserActivityDay.find({
+      user: userId,
+      ...STREAK_DAY_FILTER,
+      dateKey: { $gte: fromKey, $lte: toKey },
+    })
+      .select("dateKey kind")
+      .sort({ dateKey: 1 })
+      .lean();
+
+    const activeDateKeys = days
+      .filter((d) => d.kind !== "frozen")
+      .map((d) => d.dateKey);
+    // Days covered by a streak freeze, shown separately on the calendar.
+    const frozenDateKeys = days
+      .filter((d) => d.kind === "frozen")
+      .map((d) => d.dateKey);
 
     const activeDaysOfMonth = activeDateKeys
       .map((k) => Number(String(k).split("-")[2]))
       .filter((d) => Number.isFinite(d));
 
     return res.json({
-      month: `${String(year).padStart(4, "0")}-${String(month).padStart(
-        2,
-        "0"
-      )}`,
+      month: monthKey,
       activeDateKeys,
       activeDaysOfMonth,
+      frozenDateKeys,
     });
   } catch (err) {
     console.error("GET ACTIVE DAYS CALENDAR ERROR:", err);
     return res.status(500).json({ error: "Server error" });
   }
 };
+
+const INSIGHTS_DEFAULT_DAYS = 30;
+const INSIGHTS_MAX_DAYS = 366;
+
+/**
+ * GET /api/feelings/insights?from=YYYY-MM-DD&to=YYYY-MM-DD&feeling=
+ * Feeling analytics over local days (defaults to the last 30 days).
+ */
+export const getFeelingInsightsHandler = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const query = req.validatedQuery ?? req.query;
+  const { timeZone, todayKey } = await getUserToday(userId);
+  const toKey = query?.to ?? todayKey;
+  const fromKey = query?.from ?? addDays(toKey, -(INSIGHTS_DEFAULT_DAYS - 1));
+
+  if (!isValidDateKey(fromKey) || !isValidDateKey(toKey)) {
+    return res.status(400).json({ error: "Invalid date range" });
+  }
+  const days = diffDays(fromKey, toKey) + 1;
+  if (days < 1) {
+    return res.status(400).json({ error: "from must not be after to" });
+  }
+  if (days > INSIGHTS_MAX_DAYS) {
+    return res
+      .status(400)
+      .json({ error: `Range is limited to ${INSIGHTS_MAX_DAYS} days` });
+  }
+
+  // Accept labels and aliases too; unknown values simply match nothing.
+  const feeling = query?.feeling
+    ? ((await resolveFeeling(query.feeling))?.key ?? query.feeling)
+    : null;
+
+  const insights = await getFeelingInsights(userId, {
+    fromKey,
+    toKey,
+    timeZone,
+    feeling,
+  });
+  return res.json({ insights });
+};
+
+function sendSessionError(res, result) {
+  return res
+    .status(result.status)
+    .json({ error: result.error, conflict: result.conflict });
+}
+
+/**
+ * POST /api/feelings/sessions
+ * Log a finished session after the fact (explicit startedAt and endedAt).
+ */
+export const createFeelingSession = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const result = await createPastSession(userId, req.body);
+  if (result.error) return sendSessionError(res, result);
+
+  return res
+    .status(201)
+    .json({ message: "Feeling session created", log: result.log });
+};
+
+/**
+ * PATCH /api/feelings/sessions/:logId
+ */
+export const updateFeelingSession = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const logId = String(req.params.logId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(logId)) {
+    return res.status(400).json({ error: "Invalid logId" });
+  }
+
+  const result = await updateSession(userId, logId, req.body);
+  if (result.error) return sendSessionError(res, result);
+
+  return res.json({ message: "Feeling session updated", log: result.log });
+};
+
+/**
+ * DELETE /api/feelings/sessions/:logId
+ */
+export const deleteFeelingSession = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const logId = String(req.params.logId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(logId)) {
+    return res.status(400).json({ error: "Invalid logId" });
+  }
+
+  const log = await FeelingLog.findOneAndDelete({ _id: logId, user: userId });
+  if (!log) {
+    return res.status(404).json({ error: "Feeling session not found" });
+  }
+
+  return res.json({ message: "Feeling session deleted", id: logId });
+};
+
+/**
+ * POST /api/feelings/sessions/:logId/split
+ */
+export const splitFeelingSession = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const logId = String(req.params.logId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(logId)) {
+    return res.status(400).json({ error: "Invalid logId" });
+  }
+
+  const result = await splitSession(userId, logId, req.body);
+  if (result.error) return sendSessionError(res, result);
+
+  return res.json({ message: "Feeling session split", logs: result.logs });
+};
+
+/**
+ * POST /api/feelings/sessions/merge
+ */
+export const mergeFeelingSessions = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const { ids, ...fields } = req.body;
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    return res.status(400).json({ error: "Invalid logId" });
+  }
+
+  const result = await mergeSessions(userId, ids, fields);
+  if (result.error) return sendSessionError(res, result);
+
+  return res.json({
+    message: "Feeling sessions merged",
+    log: result.log,
+    mergedIds: result.mergedIds,
+  });
+};
@@ -0,0 +1,72 @@
+import {
+  getJob,
+  getRecentRuns,
+  listJobs,
+  runJob,
+} from "../utils/jobScheduler.js";
+
+function formatRun(run) {
+  const value = typeof run?.toObject === "function" ? run.toObject() : run;
+  return {
+    id: String(value._id),
+    name: value.name,
+    status: value.status,
+    trigger: value.trigger,
+    instanceId: value.instanceId,
+    startedAt: value.startedAt,
+    finishedAt: value.finishedAt ?? null,
+    durationMs: value.durationMs ?? null,
+    result: value.result ?? null,
+    error: value.error ?? null,
+  };
+}
+
+/**
+ * GET /internal/jobs
+ * Lists registered jobs with their most recent run.
+ */
+export const getJobs = async (req, res) => {
+  const jobs = await Promise.all(
+    listJobs().map(async (job) => {
+      const [lastRun] = await getRecentRuns(job.name, 1);
+      return { ...job, lastRun: lastRun ? formatRun(lastRun) : null };
+    }),
+  );
+
+  return res.json({ jobs });
+};
+
+/**
+ * GET /internal/jobs/:name/runs?limit=20
+ * Returns the run history of one job (newest first).
+ */
+export const getJobRuns = async (req, res) => {
+  const { name } = req.params;
+  if (!getJob(name)) return res.status(404).json({ error: "Job not found" });
+
+  const parsedLimit = Number.parseInt(String(req.query?.limit ?? ""), 10);
+  const limit = Number.isFinite(parsedLimit)
+    ? Math.min(Math.max(parsedLimit, 1), 100)
+    : 20;
+
+  const runs = await getRecentRuns(name, limit);
+  return res.json({ name, runs: runs.map(formatRun) });
+};
+
+/**
+ * POST /internal/jobs/:name
+ * Runs a job now. Responds 409 when another instance holds the job lock.
+ */
+export const triggerJob = async (req, res) => {
+  const { name } = req.params;
+  if (!getJob(name)) return res.status(404).json({ error: "Job not found" });
+
+  const run = await runJob(name, { trigger: "http" });
+  const status =
+    run.status === "skipped" ? 409 : run.status === "failed" ? 500 : 200;
+
+  return res.status(status).json({
+    success: run.status === "succeeded",
+    run: formatRun(run),
+  });
+};
@@ -1,26 +1,60 @@
 import mongoose from "mongoose";
 import RegisterUser from "../models/UserModel.js";
 import JournalEntry from "../models/JournalEntry.js";
-import { uploadUserImageToR2 } from "../utils/r2Upload.js";
+import JournalTask from "../models/JournalTask.js";
+import {
+  JOURNAL_PHOTO_R2_PREFIX,
+  uploadUserImageToR2,
+} from "../utils/r2Upload.js";
 import { R2_PUBLIC_URL } from "../config/constants.js";
-
-function utcDateKey(date) {
-  const year = date.getUTCFullYear();
-  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(date.getUTCDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
-}
-
-function dateKeyToUtcDate(dateKey) {
-  const [y, m, d] = String(dateKey)
-    .split("-")
-    .map((v) => Number(v));
-  const dt = new Date(Date.UTC(y, (m ?? 1) - 1, d ?? 1));
-  if (Number.isNaN(dt.getTime())) return null;
-  // Validate round-trip (catches invalid 2025-02-30)
-  if (utcDateKey(dt) !== dateKey) return null;
-  return dt;
-}
+import {
+  getLocalWeekday,
+  getMonthRange,
+  getUserToday,
+  getUserTimeZone,
+  isValidDateKey,
+} from "../utils/dateKeyService.js";
+import { ACTIVITY_ACTIONS, recordActivity } from "../utils/activityService.js";
+import {
+  addTask,
+  deferTask,
+  dropTask,
+  ensureJournalTasksMigrated,
+  getTasksByScheduledDay,
+  getTasksForDay,
+  moveTask,
+  replaceDayTasks,
+  setTaskStatus,
+  withJournalSyncSeq,
+} from "../utils/journalTaskService.js";
+import {
+  applyJournalSyncOps,
+  getJournalChanges,
+} from "../utils/journalSyncService.js";
+import { searchJournal } from "../utils/journalSearchService.js";
+import {
+  dateKeyCondition,
+  pageJournalDays,
+  pickFields,
+  toPage,
+} from "../utils/journalPageService.js";
+import {
+  CLASSIC_PROMPT_SET,
+  LEARNING_PROMPT_ID,
+  MILESTONE_PROMPT_ID,
+  MISTAKES_PROMPT_ID,
+  answeredFilter,
+  checkAnswers,
+  findAnswer,
+  formatPromptSet,
+  getEntryAnswers,
+  getPromptSet,
+  getPromptSetForDay,
+  getPromptTexts,
+  legacyQuestionsToAnswers,
+  mergeAnswers,
+  toLegacyQuestions,
+} from "../utils/journalPromptService.js";
 
 function parseMonthKey(monthKey) {
   const match = String(monthKey ?? "").match(/^(\d{4})-(\d{2})$/);
@@ -32,25 +66,6 @@ function parseMonthKey(monthKey) {
   return { year, month };
 }
 
-function getMonthRangeUtc(year, month) {
-  const start = new Date(Date.UTC(year, month - 1, 1));
-  const end = new Date(Date.UTC(year, month, 0));
-  const daysInMonth = end.getUTCDate();
-  return {
-    startKey: utcDateKey(start),
-    endKey: utcDateKey(end),
-    daysInMonth,
-    monthKey: `${year}-${String(month).padStart(2, "0")}`,
-  };
-}
-
-async function touchJournalLastUpdatedAt(userId) {
-  await RegisterUser.updateOne(
-    { _id: userId },
-    { $set: { journalLastUpdatedAt: new Date() } },
-  );
-}
-
 function normalizeStatus(status) {
   const s = String(status ?? "")
     .trim()
@@ -62,56 +77,54 @@ function normalizeStatus(status) {
   return "pending";
 }
 
-function mapEntry(entry) {
-  const tasks = (entry?.tasks ?? []).map((t) => ({
-    id: String(t._id),
-    task: t.task,
-    status: t.status,
-    createdAt: t.createdAt ?? null,
-    updatedAt: t.updatedAt ?? null,
-  }));
-
-  const questions = entry?.questions
-    ? {
-        mistakes: entry.questions.mistakes ?? "",
-        whatDidYouLearn: entry.questions.whatDidYouLearn ?? "",
-        anythingSpecialHappenedToday: {
-          aboutIt: entry.questions.anythingSpecialHappenedToday?.aboutIt ?? "",
-          photos: entry.questions.anythingSpecialHappenedToday?.photos ?? [],
-        },
-      }
-    : null;
+// Tasks come from JournalTask (see utils/journalTaskService.js). Answers are
+// also returned as the legacy `questions` for clients that predate prompts.
+function mapEntry(entry, tasks = []) {
+  const stored = Boolean(entry?.answers || entry?.questions);
+  const answers = getEntryAnswers(entry);
 
   return {
     dateKey: entry?.dateKey ?? null,
     tasks,
-    questions,
+    promptSet: stored ? (entry.promptSet ?? CLASSIC_PROMPT_SET.key) : null,
+    answers,
+    questions: stored ? toLegacyQuestions(answers) : null,
+    version: entry?.version ?? 0,
     updatedAt: entry?.updatedAt ?? null,
     createdAt: entry?.createdAt ?? null,
   };
 }
 
+function sendTaskError(res, result) {
+  return res.status(result.status).json({ error: result.error });
+}
+
 /**
  * GET /api/journal?date=YYYY-MM-DD
- * Returns the journal entry for a given day.
+ * Returns the journal entry for a given day. Today's entry also lists the
+ * pending tasks carried forward from earlier days.
  */
 export const getJournalForDate = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const todayKey = utcDateKey(new Date());
+  const { todayKey } = await getUserToday(userId);
   const dateKey = String(
     req.validatedQuery?.date ?? req.query?.date ?? todayKey,
   );
 
-  if (!dateKeyToUtcDate(dateKey)) {
+  if (!isValidDateKey(dateKey)) {
     return res.status(400).json({ error: "Invalid date" });
   }
 
-  const entry = await JournalEntry.findOne({ user: userId, dateKey }).lean();
-  const user = await RegisterUser.findById(userId)
-    .select("journalLastUpdatedAt updatedAt createdAt")
-    .lean();
+  const [entry, tasks, user] = await Promise.all([
+    JournalEntry.findOne({ user: userId, dateKey }).lean(),
+    getTasksForDay(userId, dateKey),
+    RegisterUser.findById(userId)
+      .select("journalLastUpdatedAt updatedAt createdAt")
+      .lean(),
+  ]);
+  const promptSet = await getPromptSetForDay(userId, dateKey, entry);
 
   return res.json({
     journal: {
@@ -121,113 +134,176 @@ export const getJournalForDate = async (req, res) => {
         user?.updatedAt ??
         user?.createdAt ??
         null,
-      entry: entry ? mapEntry(entry) : { dateKey, tasks: [], questions: null },
+      entry: mapEntry(entry ?? { dateKey }, tasks),
+      prompts: formatPromptSet(promptSet),
     },
   });
 };
 
+/**
+ * GET /api/journal/prompts?date=YYYY-MM-DD
+ * Returns the prompts to answer on a day (defaults to today).
+ */
+export const getJournalPrompts = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const { todayKey } = await getUserToday(userId);
+  const dateKey = String(
+    req.validatedQuery?.date ?? req.query?.date ?? todayKey,
+  );
+
+  if (!isValidDateKey(dateKey)) {
+    return res.status(400).json({ error: "Invalid date" });
+  }
+
+  const entry = await JournalEntry.findOne({ user: userId, dateKey })
+    .select("promptSet answers questions")
+    .lean();
+  const promptSet = await getPromptSetForDay(userId, dateKey, entry);
+
+  return res.json({ dateKey, promptSet: formatPromptSet(promptSet) });
+};
+
 /**
  * POST /api/journal/tasks/batch
- * Body: { dateKey?, tasks: [{ task, status? }, ...] }
- * Creates or replaces the task list for that date.
+ * Body: { dateKey?, tasks: [{ id?, task, status? }, ...] }
+ * Saves the day's task list: listed tasks are updated by id or created,
+ * unlisted tasks scheduled for that date are deleted.
  */
 export const upsertJournalTasksForDate = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
   const { dateKey, tasks } = req.body;
-  const key = dateKey ?? utcDateKey(new Date());
+  const key = dateKey ?? (await getUserToday(userId)).todayKey;
 
-  if (!dateKeyToUtcDate(key)) {
+  if (!isValidDateKey(key)) {
     return res.status(400).json({ error: "Invalid dateKey" });
   }
 
   const normalizedTasks = (tasks ?? []).map((t) => ({
+    id: t.id,
     task: String(t.task ?? "").trim(),
     status: normalizeStatus(t.status),
   }));
 
-  const entry = await JournalEntry.findOneAndUpdate(
-    { user: userId, dateKey: key },
-    { $set: { tasks: normalizedTasks } },
-    { upsert: true, new: true, setDefaultsOnInsert: true },
-  ).lean();
+  const result = await replaceDayTasks(userId, key, normalizedTasks);
+  if (result.error) return sendTaskError(res, result);
+  const entry = await JournalEntry.findOne({
+    user: userId,
+    dateKey: key,
+  }).lean();
 
-  await touchJournalLastUpdatedAt(userId);
+  if (result.newlyCompleted > 0) {
+    await recordActivity(userId, ACTIVITY_ACTIONS.JOURNAL_TASK_COMPLETED, {
+      count: result.newlyCompleted,
+    });
+  }
 
-  return res.status(201).json({ journal: mapEntry(entry) });
+  return res
+    .status(201)
+    .json({ journal: mapEntry(entry ?? { dateKey: key }, result.tasks) });
 };
 
 /**
  * GET /api/journal/active
- * Returns an array containing:
- * - today's journal entry (even if empty)
- * - all other days where at least one task is not completed
+ * Returns today's journal entry (even if empty), whose tasks include every
+ * pending task carried forward from earlier days.
  */
 export const getActiveJournals = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const todayKey = utcDateKey(new Date());
+  const { todayKey } = await getUserToday(userId);
 
-  const [todayEntry, incompleteEntries] = await Promise.all([
+  const [todayEntry, tasks] = await Promise.all([
     JournalEntry.findOne({ user: userId, dateKey: todayKey }).lean(),
-    JournalEntry.find({
-      user: userId,
-      dateKey: { $ne: todayKey },
-      tasks: { $elemMatch: { status: { $ne: "completed" } } },
-    })
-      .sort({ dateKey: -1 })
-      .lean(),
+    getTasksForDay(userId, todayKey),
   ]);
 
-  const today = todayEntry
-    ? mapEntry(todayEntry)
-    : { dateKey: todayKey, tasks: [], questions: null };
+  return res.json({
+    journals: [mapEntry(todayEntry ?? { dateKey: todayKey }, tasks)],
+  });
+};
 
-  const filtered = (incompleteEntries ?? [])
-    .map((e) => mapEntry(e))
-    .filter((e) => (e.tasks ?? []).some((t) => t.status !== "completed"));
+// Entries of `dateKeys` with their tasks, in that order.
+async function loadJournalDays(userId, dateKeys, fields, taskFilter = {}) {
+  const wants = (field) => !fields || fields.includes(field);
+  const [entries, tasksByDay] = await Promise.all([
+    JournalEntry.find({ user: userId, dateKey: { $in: dateKeys } })
+      .select(
+        wants("questions") || wants("answers")
+          ? {}
+          : { questions: 0, answers: 0 },
+      )
+      .lean(),
+    wants("tasks")
+      ? getTasksByScheduledDay(userId, {
+          ...taskFilter,
+          scheduledDateKey: { $in: dateKeys },
+        })
+      : new Map(),
+  ]);
 
-  return res.json({ journals: [today, ...filtered] });
-};
+  const entriesByDay = new Map(entries.map((e) => [e.dateKey, e]));
+  return dateKeys.map((dateKey) =>
+    pickFields(
+      mapEntry(
+        entriesByDay.get(dateKey) ?? { dateKey },
+        tasksByDay.get(dateKey) ?? [],
+      ),
+      fields,
+    ),
+  );
+}
 
 /**
- * GET /api/journal/history
- * Returns all stored journal entries for the user (newest first).
+ * GET /api/journal/history?from=&to=&cursor=&limit=&fields=
+ * Returns a page of journal days (newest first), with the tasks scheduled
+ * on each day.
  */
 export const getJournalHistory = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const entries = await JournalEntry.find({ user: userId })
-    .sort({ dateKey: -1, createdAt: -1 })
-    .lean();
+  const query = req.validatedQuery ?? req.query;
+  const { dateKeys, nextCursor, hasMore } = await pageJournalDays(
+    userId,
+    query,
+    { entries: {}, tasks: {} },
+  );
 
-  return res.json({ journals: (entries ?? []).map((e) => mapEntry(e)) });
+  return res.json({
+    journals: await loadJournalDays(userId, dateKeys, query.fields),
+    nextCursor,
+    hasMore,
+  });
 };
 
 /**
- * GET /api/journal/incomplete
- * Returns only the days where at least one task is not completed.
+ * GET /api/journal/incomplete?from=&to=&cursor=&limit=&fields=
+ * Returns a page of the days with pending tasks scheduled on them (oldest
+ * first).
  */
 export const listIncompleteJournalDays = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const entries = await JournalEntry.find({
-    user: userId,
-    tasks: { $elemMatch: { status: { $ne: "completed" } } },
-  })
-    .sort({ dateKey: 1 })
-    .lean();
-
-  // Extra safety filter (if empty tasks somehow exist)
-  const filtered = (entries ?? [])
-    .map((e) => mapEntry(e))
-    .filter((e) => (e.tasks ?? []).some((t) => t.status !== "completed"));
+  const query = req.validatedQuery ?? req.query;
+  const { dateKeys, nextCursor, hasMore } = await pageJournalDays(
+    userId,
+    query,
+    { tasks: { status: "pending" }, order: "asc" },
+  );
 
-  return res.json({ days: filtered });
+  return res.json({
+    days: await loadJournalDays(userId, dateKeys, query.fields, {
+      status: "pending",
+    }),
+    nextCursor,
+    hasMore,
+  });
 };
 
 /**
@@ -240,108 +316,177 @@ export const appendJournalTaskForDate = async (req, res) => {
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
   const { dateKey, task, status } = req.body;
-  const key = dateKey ?? utcDateKey(new Date());
+  const key = dateKey ?? (await getUserToday(userId)).todayKey;
 
-  if (!dateKeyToUtcDate(key)) {
+  if (!isValidDateKey(key)) {
     return res.status(400).json({ error: "Invalid dateKey" });
   }
 
-  const entry = await JournalEntry.findOne({ user: userId, dateKey: key });
-  const doc =
-    entry ??
-    (await JournalEntry.create({
-      user: userId,
-      dateKey: key,
-      tasks: [],
-    }));
-
-  doc.tasks.push({
+  const created = await addTask(userId, key, {
     task: String(task ?? "").trim(),
     status: normalizeStatus(status),
   });
-  await doc.save();
 
-  await touchJournalLastUpdatedAt(userId);
+  if (created.status === "completed") {
+    await recordActivity(userId, ACTIVITY_ACTIONS.JOURNAL_TASK_COMPLETED);
+  }
 
-  const created = doc.tasks[doc.tasks.length - 1];
-  return res.status(201).json({
-    task: {
-      id: String(created._id),
-      task: created.task,
-      status: created.status,
-      dateKey: doc.dateKey,
-    },
-  });
+  return res.status(201).json({ task: { ...created, dateKey: key } });
 };
 
 /**
  * PATCH /api/journal/tasks/:taskId
  * Body: { status }
+ * Completing a task records today as its completion day.
  */
 export const updateJournalTaskStatus = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const taskId = req.params?.taskId;
-  if (!mongoose.Types.ObjectId.isValid(taskId)) {
-    return res.status(400).json({ error: "Invalid taskId" });
-  }
+  const result = await setTaskStatus(
+    userId,
+    req.params?.taskId,
+    normalizeStatus(req.body.status),
+  );
+  if (result.error) return sendTaskError(res, result);
 
-  const { status } = req.body;
-  const normalized = normalizeStatus(status);
+  if (result.newlyCompleted) {
+    await recordActivity(userId, ACTIVITY_ACTIONS.JOURNAL_TASK_COMPLETED);
+  }
 
-  const entry = await JournalEntry.findOne({
-    user: userId,
-    "tasks._id": taskId,
+  return res.json({
+    task: { ...result.task, dateKey: result.task.scheduledDateKey },
   });
+};
 
-  if (!entry) return res.status(404).json({ error: "Task not found" });
+/**
+ * POST /api/journal/tasks/:taskId/move
+ * Body: { dateKey }
+ * Plans a pending task for another day.
+ */
+export const moveJournalTask = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const task = entry.tasks.id(taskId);
-  if (!task) return res.status(404).json({ error: "Task not found" });
-  task.status = normalized;
-  await entry.save();
+  const { dateKey } = req.body;
+  if (!isValidDateKey(dateKey)) {
+    return res.status(400).json({ error: "Invalid dateKey" });
+  }
 
-  await touchJournalLastUpdatedAt(userId);
+  const result = await moveTask(userId, req.params?.taskId, dateKey);
+  if (result.error) return sendTaskError(res, result);
 
-  return res.json({
-    task: {
-      id: String(task._id),
-      task: task.task,
-      status: task.status,
-      dateKey: entry.dateKey,
-    },
-  });
+  return res.json({ task: result.task });
+};
+
+/**
+ * POST /api/journal/tasks/:taskId/defer
+ * Body: { days? } (default 1)
+ * Hides a pending task until `days` days from now.
+ */
+export const deferJournalTask = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const result = await deferTask(userId, req.params?.taskId, req.body.days);
+  if (result.error) return sendTaskError(res, result);
+
+  return res.json({ task: result.task });
+};
+
+/**
+ * POST /api/journal/tasks/:taskId/drop
+ * Stops carrying a pending task forward.
+ */
+export const dropJournalTask = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const result = await dropTask(userId, req.params?.taskId);
+  if (result.error) return sendTaskError(res, result);
+
+  return res.json({ task: result.task });
+};
+
+/**
+ * GET /api/journal/search?q=&from=&to=&status=&page=&limit=
+ * Days whose answers or tasks match `q`, most relevant first, with
+ * highlighted snippets.
+ */
+export const searchJournalHandler = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const result = await searchJournal(userId, req.validatedQuery ?? req.query);
+  return res.json(result);
+};
+
+/**
+ * GET /api/journal/changes?since=&limit=
+ * Entries, tasks and deletions changed after sync sequence `since` (0 for
+ * everything), oldest first. Pass the returned `since` on the next call and
+ * keep going while `hasMore`.
+ */
+export const getJournalChangesHandler = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const { since, limit } = req.validatedQuery ?? req.query;
+  const changes = await getJournalChanges(userId, { since, limit });
+  return res.json(changes);
+};
+
+/**
+ * POST /api/journal/sync
+ * Body: { ops: [{ op, opId?, ..., baseVersion }] }
+ * Applies offline changes in order. Ops based on an outdated version come
+ * back as "conflict" with the server copy; nothing is applied for them.
+ */
+export const syncJournal = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const result = await applyJournalSyncOps(userId, req.body.ops);
+  return res.json(result);
 };
 
 /**
  * PUT /api/journal/questions
- * Body: { dateKey?, mistakes, whatDidYouLearn, anythingSpecialHappenedToday: { aboutIt, photos } }
+ * Body: { dateKey?, answers: [{ promptId, text, photos? }] }, or the legacy
+ * { dateKey?, mistakes, whatDidYouLearn, anythingSpecialHappenedToday: { aboutIt, photos } }
+ * Replaces the day's answers. Uploaded images are added to the first prompt
+ * that takes photos.
  */
 export const upsertJournalQuestionsForDate = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const { dateKey, mistakes, whatDidYouLearn, anythingSpecialHappenedToday } =
-    req.body;
-  const key = dateKey ?? utcDateKey(new Date());
+  const { dateKey, answers } = req.body;
+  const key = dateKey ?? (await getUserToday(userId)).todayKey;
 
-  if (!dateKeyToUtcDate(key)) {
+  if (!isValidDateKey(key)) {
     return res.status(400).json({ error: "Invalid dateKey" });
   }
 
-  const questions = {
-    mistakes: String(mistakes ?? "").trim(),
-    whatDidYouLearn: String(whatDidYouLearn ?? "").trim(),
-    anythingSpecialHappenedToday: {
-      aboutIt: String(anythingSpecialHappenedToday?.aboutIt ?? "").trim(),
-      photos: Array.isArray(anythingSpecialHappenedToday?.photos)
-        ? anythingSpecialHappenedToday.photos
-            .map((p) => String(p ?? "").trim())
-            .filter(Boolean)
+  // Older clients send the classic questions, whatever the day's prompts.
+  const current = await JournalEntry.findOne({ user: userId, dateKey: key })
+    .select("promptSet answers questions")
+    .lean();
+  const promptSet = answers
+    ? await getPromptSetForDay(userId, key, current)
+    : await getPromptSet(CLASSIC_PROMPT_SET.key);
+
+  const submitted = (answers ?? legacyQuestionsToAnswers(req.body)).map(
+    (answer) => ({
+      promptId: answer.promptId,
+      text: String(answer.text ?? "").trim(),
+      photos: Array.isArray(answer.photos)
+        ? answer.photos.map((p) => String(p ?? "").trim()).filter(Boolean)
         : [],
-    },
-  };
+    }),
+  );
+  const error = checkAnswers(promptSet, submitted);
+  if (error) return res.status(400).json({ error });
 
   // Optional: accept one or more image files in multipart payload and upload to R2.
   const files = [];
@@ -353,23 +498,43 @@ export const upsertJournalQuestionsForDate = async (req, res) => {
   }
   if (req.file) files.push(req.file);
 
-  for (const file of files) {
-    const uploaded = await uploadUserImageToR2({
-      userId,
-      dateKey: key,
-      file,
-      prefix: "mobile-user-images/journal-questions",
-    });
-    questions.anythingSpecialHappenedToday.photos.push(uploaded.url);
-  }
+  if (files.length) {
+    const photoPrompt = promptSet.prompts.find((prompt) => prompt.allowPhotos);
+    if (!photoPrompt) {
+      return res.status(400).json({ error: "These prompts don't take photos" });
+    }
+    let answer = submitted.find((a) => a.promptId === photoPrompt.id);
+    if (!answer) {
+      answer = { promptId: photoPrompt.id, text: "", photos: [] };
+      submitted.push(answer);
+    }
 
-  const entry = await JournalEntry.findOneAndUpdate(
-    { user: userId, dateKey: key },
-    { $set: { questions } },
-    { upsert: true, new: true, setDefaultsOnInsert: true },
-  ).lean();
+    for (const file of files) {
+      const uploaded = await uploadUserImageToR2({
+        userId,
+        dateKey: key,
+        file,
+        prefix: JOURNAL_PHOTO_R2_PREFIX,
+      });
+      answer.photos.push(uploaded.url);
+    }
+  }
 
-  await touchJournalLastUpdatedAt(userId);
+  const entry = await withJournalSyncSeq(userId, new Date(), (syncSeq) =>
+    JournalEntry.findOneAndUpdate(
+      { user: userId, dateKey: key },
+      {
+        $set: {
+          promptSet: promptSet.key,
+          answers: mergeAnswers([], submitted),
+          syncSeq,
+        },
+        $unset: { questions: 1 },
+        $inc: { version: 1 },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    ).lean(),
+  );
 
   return res.json({ journal: mapEntry(entry) });
 };
@@ -382,19 +547,11 @@ export const getTotalTaskStats = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const entries = await JournalEntry.find({ user: userId }).lean();
-
-  let totalTasks = 0;
-  let completedTasks = 0;
-
-  entries.forEach((entry) => {
-    if (entry.tasks && Array.isArray(entry.tasks)) {
-      totalTasks += entry.tasks.length;
-      completedTasks += entry.tasks.filter(
-        (task) => task.status === "completed",
-      ).length;
-    }
-  });
+  await ensureJournalTasksMigrated(userId);
+  const [totalTasks, completedTasks] = await Promise.all([
+    JournalTask.countDocuments({ user: userId }),
+    JournalTask.countDocuments({ user: userId, status: "completed" }),
+  ]);
 
   return res.json({
     totalTasks,
@@ -404,15 +561,28 @@ export const getTotalTaskStats = async (req, res) => {
 
 /**
  * GET /api/journal/stats/average-daily-tasks
- * Returns average daily tasks and average daily completed tasks for the user.
+ * Returns average daily tasks and average daily completed tasks for the
+ * user, over the days tasks were created for.
  */
 export const getAverageDailyTaskStats = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const entries = await JournalEntry.find({ user: userId }).lean();
+  await ensureJournalTasksMigrated(userId);
+  const days = await JournalTask.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)) } },
+    {
+      $group: {
+        _id: "$dueDateKey",
+        tasks: { $sum: 1 },
+        completed: {
+          $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+        },
+      },
+    },
+  ]);
 
-  if (entries.length === 0) {
+  if (days.length === 0) {
     return res.json({
       averageDailyTasks: 0,
       averageDailyCompleted: 0,
@@ -423,16 +593,12 @@ export const getAverageDailyTaskStats = async (req, res) => {
   let totalTasks = 0;
   let totalCompleted = 0;
 
-  entries.forEach((entry) => {
-    if (entry.tasks && Array.isArray(entry.tasks)) {
-      totalTasks += entry.tasks.length;
-      totalCompleted += entry.tasks.filter(
-        (task) => task.status === "completed",
-      ).length;
-    }
+  days.forEach((day) => {
+    totalTasks += day.tasks;
+    totalCompleted += day.completed;
   });
 
-  const daysCount = entries.length;
+  const daysCount = days.length;
   const averageDailyTasks = Number((totalTasks / daysCount).toFixed(2));
   const averageDailyCompleted = Number((totalCompleted / daysCount).toFixed(2));
 
@@ -444,136 +610,162 @@ export const getAverageDailyTaskStats = async (req, res) => {
 };
 
 /**
- * GET /api/journal/milestones
- * Returns all milestone answers (anythingSpecialHappenedToday) by day.
+ * GET /api/journal/milestones?from=&to=&cursor=&limit=&fields=
+ * Returns a page of milestone answers (anythingSpecialHappenedToday) by
+ * day, newest first.
  */
 export const getJournalMilestones = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const entries = await JournalEntry.find({ user: userId })
-    .select("dateKey questions.anythingSpecialHappenedToday")
+  const { limit, fields, ...range } = req.validatedQuery ?? req.query;
+  const dateKey = dateKeyCondition(range);
+
+  const entries = await JournalEntry.find({
+    user: userId,
+    ...(dateKey ? { dateKey } : {}),
+    ...answeredFilter(MILESTONE_PROMPT_ID, { withPhotos: true }),
+  })
+    .select("dateKey answers questions.anythingSpecialHappenedToday")
     .sort({ dateKey: -1 })
+    .limit(limit + 1)
     .lean();
 
-  const milestones = (entries ?? [])
-    .map((entry) => {
-      const aboutIt = String(
-        entry?.questions?.anythingSpecialHappenedToday?.aboutIt ?? "",
-      ).trim();
-      const photos = Array.isArray(
-        entry?.questions?.anythingSpecialHappenedToday?.photos,
-      )
-        ? entry.questions.anythingSpecialHappenedToday.photos
-        : [];
-
-      return {
+  const page = toPage(entries, limit);
+  const milestones = page.items.map((entry) => {
+    const answer = findAnswer(entry, MILESTONE_PROMPT_ID);
+    return pickFields(
+      {
         dateKey: entry?.dateKey ?? null,
-        aboutIt,
-        photos,
-      };
-    })
-    .filter((item) => item.aboutIt.length > 0 || item.photos.length > 0);
+        aboutIt: answer?.text ?? "",
+        photos: answer?.photos ?? [],
+      },
+      fields,
+    );
+  });
 
-  return res.json({ milestones });
+  return res.json({
+    milestones,
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+  });
 };
 
 /**
- * GET /api/journal/learnings
- * Returns all learning answers (whatDidYouLearn) by day.
+ * GET /api/journal/learnings?from=&to=&cursor=&limit=&fields=
+ * Returns a page of learning answers (whatDidYouLearn) by day, newest
+ * first.
  */
 export const getJournalLearnings = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const entries = await JournalEntry.find({ user: userId })
-    .select("dateKey questions.whatDidYouLearn")
+  const { limit, fields, ...range } = req.validatedQuery ?? req.query;
+  const dateKey = dateKeyCondition(range);
+
+  const entries = await JournalEntry.find({
+    user: userId,
+    ...(dateKey ? { dateKey } : {}),
+    ...answeredFilter(LEARNING_PROMPT_ID),
+  })
+    .select("dateKey answers questions.whatDidYouLearn")
     .sort({ dateKey: -1 })
+    .limit(limit + 1)
     .lean();
 
-  const learnings = (entries ?? [])
-    .map((entry) => ({
-      dateKey: entry?.dateKey ?? null,
-      whatDidYouLearn: String(entry?.questions?.whatDidYouLearn ?? "").trim(),
-    }))
-    .filter((item) => item.whatDidYouLearn.length > 0);
+  const page = toPage(entries, limit);
+  const learnings = page.items.map((entry) =>
+    pickFields(
+      {
+        dateKey: entry?.dateKey ?? null,
+        whatDidYouLearn: findAnswer(entry, LEARNING_PROMPT_ID)?.text ?? "",
+      },
+      fields,
+    ),
+  );
 
-  return res.json({ learnings });
+  return res.json({
+    learnings,
+    nextCursor: page.nextCursor,
+    hasMore: page.hasMore,
+  });
 };
 
 /**
  * GET /api/journal/stats/daily-questions
- * Returns how many days have learning/mistakes answers.
+ * Returns how many days have answers, overall and per prompt.
  */
 export const getDailyQuestionStats = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const entries = await JournalEntry.find({ user: userId })
-    .select("dateKey questions.mistakes questions.whatDidYouLearn")
-    .lean();
+  const [entries, promptTexts] = await Promise.all([
+    JournalEntry.find({ user: userId })
+      .select("dateKey answers questions")
+      .lean(),
+    getPromptTexts(),
+  ]);
 
-  let daysWithLearning = 0;
-  let daysWithMistakes = 0;
   let daysAnswered = 0;
+  const daysByPrompt = new Map();
 
   (entries ?? []).forEach((entry) => {
-    const learning = String(entry?.questions?.whatDidYouLearn ?? "").trim();
-    const mistakes = String(entry?.questions?.mistakes ?? "").trim();
-
-    const hasLearning = learning.length > 0;
-    const hasMistakes = mistakes.length > 0;
-
-    if (hasLearning) daysWithLearning += 1;
-    if (hasMistakes) daysWithMistakes += 1;
-    if (hasLearning || hasMistakes) daysAnswered += 1;
+    const answers = getEntryAnswers(entry);
+    if (answers.length > 0) daysAnswered += 1;
+    for (const { promptId } of answers) {
+      daysByPrompt.set(promptId, (daysByPrompt.get(promptId) ?? 0) + 1);
+    }
   });
 
   return res.json({
     totalDays: entries.length,
     daysAnswered,
-    daysWithLearning,
-    daysWithMistakes,
+    daysWithLearning: daysByPrompt.get(LEARNING_PROMPT_ID) ?? 0,
+    daysWithMistakes: daysByPrompt.get(MISTAKES_PROMPT_ID) ?? 0,
+    prompts: [...daysByPrompt]
+      .map(([promptId, days]) => ({
+        promptId,
+        text: promptTexts.get(promptId) ?? null,
+        daysAnswered: days,
+      }))
+      .sort((a, b) => b.daysAnswered - a.daysAnswered),
   });
 };
 
 /**
  * GET /api/journal/stats/monthly-days?month=YYYY-MM
- * Returns number of days with at least one task and total days in the month.
+ * Returns number of days with at least one task scheduled and total days in
+ * the month.
  */
 export const getMonthlyTaskDaysFilled = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
   const rawMonth = req.validatedQuery?.month ?? req.query?.month ?? null;
-  const now = new Date();
+  const { todayKey } = await getUserToday(userId);
 
   const parsed = rawMonth
     ? parseMonthKey(rawMonth)
-    : { year: now.getUTCFullYear(), month: now.getUTCMonth() + 1 };
+    : {
+        year: Number(todayKey.slice(0, 4)),
+        month: Number(todayKey.slice(5, 7)),
+      };
 
   if (!parsed) {
     return res.status(400).json({ error: "Invalid month" });
   }
 
-  const { startKey, endKey, daysInMonth, monthKey } = getMonthRangeUtc(
+  const { startKey, endKey, daysInMonth, monthKey } = getMonthRange(
     parsed.year,
     parsed.month,
   );
 
-  const entries = await JournalEntry.find({
+  await ensureJournalTasksMigrated(userId);
+  const days = await JournalTask.distinct("scheduledDateKey", {
     user: userId,
-    dateKey: { $gte: startKey, $lte: endKey },
-  })
-    .select("dateKey tasks")
-    .lean();
-
-  let daysFilled = 0;
-  (entries ?? []).forEach((entry) => {
-    if (Array.isArray(entry.tasks) && entry.tasks.length > 0) {
-      daysFilled += 1;
-    }
+    scheduledDateKey: { $gte: startKey, $lte: endKey },
   });
+  const daysFilled = days.length;
 
   return res.json({
     month: monthKey,
@@ -621,7 +813,8 @@ export const getRandomWeeklyJournalVideo = async (req, res) => {
       "Friday",
       "Saturday",
     ];
-    const currentDay = daysOfWeek[new Date().getDay()];
+    const timeZone = await getUserTimeZone(userId);
+    const currentDay = daysOfWeek[getLocalWeekday(new Date(), timeZone)];
 
     // Configuration: keep week counts per time of day easy to update.
     const MAX_WEEKS_BY_TIME_OF_DAY = {
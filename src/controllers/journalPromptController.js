@@ -0,0 +1,167 @@
+import mongoose from "mongoose";
+import RegisterUser from "../models/UserModel.js";
+import JournalPromptSet from "../models/JournalPromptSet.js";
+import JournalPromptAssignment from "../models/JournalPromptAssignment.js";
+import {
+  CLASSIC_PROMPT_SET,
+  formatPromptSet,
+} from "../utils/journalPromptService.js";
+
+function formatEditorPromptSet(set) {
+  return {
+    ...formatPromptSet(set),
+    audience: set.audience ?? "everyone",
+    schedule: {
+      startsOn: set.schedule?.startsOn ?? null,
+      endsOn: set.schedule?.endsOn ?? null,
+      weekdays: set.schedule?.weekdays ?? [],
+    },
+    priority: set.priority ?? 0,
+    isDefault: Boolean(set.isDefault),
+    isActive: set.isActive !== false,
+    // The classic set only exists in code until someone saves it.
+    builtIn: !set._id,
+    updatedAt: set.updatedAt ?? null,
+  };
+}
+
+const normalizeKey = (key) =>
+  String(key || "")
+    .trim()
+    .toLowerCase();
+
+// Only one set can be the default.
+async function saveDefault(set) {
+  if (!set.isDefault) return;
+  await JournalPromptSet.updateMany(
+    { key: { $ne: set.key }, isDefault: true },
+    { $set: { isDefault: false } },
+  );
+}
+
+/**
+ * GET /api/journal/prompt-sets (editor)
+ */
+export const listPromptSets = async (req, res) => {
+  const sets = await JournalPromptSet.find()
+    .sort({ isActive: -1, priority: -1, key: 1 })
+    .lean();
+  const all = sets.some((set) => set.key === CLASSIC_PROMPT_SET.key)
+    ? sets
+    : [...sets, CLASSIC_PROMPT_SET];
+  return res.json({ promptSets: all.map(formatEditorPromptSet) });
+};
+
+/**
+ * POST /api/journal/prompt-sets (editor)
+ */
+export const createPromptSet = async (req, res) => {
+  const { key } = req.body;
+  if (await JournalPromptSet.exists({ key })) {
+    return res.status(409).json({ error: "Prompt set already exists" });
+  }
+
+  const set = await JournalPromptSet.create(req.body);
+  await saveDefault(set);
+  return res.status(201).json({
+    success: true,
+    promptSet: formatEditorPromptSet(set.toObject()),
+  });
+};
+
+/**
+ * PATCH /api/journal/prompt-sets/:key (editor)
+ * Prompt ids already answered should be kept (or retired by removing the
+ * prompt), never reused for a different question.
+ */
+export const updatePromptSet = async (req, res) => {
+  const set = await JournalPromptSet.findOneAndUpdate(
+    { key: normalizeKey(req.params.key) },
+    { $set: req.body },
+    { new: true, runValidators: true },
+  ).lean();
+  if (!set) return res.status(404).json({ error: "Prompt set not found" });
+
+  await saveDefault(set);
+  return res.json({ success: true, promptSet: formatEditorPromptSet(set) });
+};
+
+/**
+ * DELETE /api/journal/prompt-sets/:key (editor)
+ * Retires the set instead of deleting it: entries written with it keep
+ * showing its prompts.
+ */
+export const retirePromptSet = async (req, res) => {
+  const set = await JournalPromptSet.findOneAndUpdate(
+    { key: normalizeKey(req.params.key) },
+    { $set: { isActive: false, isDefault: false } },
+    { new: true },
+  ).lean();
+  if (!set) return res.status(404).json({ error: "Prompt set not found" });
+
+  return res.json({ success: true, promptSet: formatEditorPromptSet(set) });
+};
+
+/**
+ * PUT /api/journal/prompt-sets/:key/assignments (editor)
+ * Body: { userIds, startsOn?, endsOn? }
+ * Assigns the set to users (replacing their earlier assignment of it).
+ * Nothing is assigned if any of the users doesn't exist (404).
+ */
+export const assignPromptSet = async (req, res) => {
+  const key = normalizeKey(req.params.key);
+  if (!(await JournalPromptSet.exists({ key }))) {
+    return res.status(404).json({ error: "Prompt set not found" });
+  }
+
+  const { userIds, startsOn = null, endsOn = null } = req.body;
+  const ids = [...new Set(userIds.map((id) => id.toLowerCase()))];
+  const found = await RegisterUser.find({ _id: { $in: ids } })
+    .select("_id")
+    .lean();
+  const known = new Set(found.map((user) => String(user._id)));
+  const unknown = ids.filter((id) => !known.has(id));
+  if (unknown.length) {
+    return res.status(404).json({
+      error: "User not found",
+      details: unknown.join(", "),
+    });
+  }
+
+  const result = await JournalPromptAssignment.bulkWrite(
+    ids.map((userId) => ({
+      updateOne: {
+        filter: {
+          user: new mongoose.Types.ObjectId(userId),
+          promptSet: key,
+        },
+        update: { $set: { startsOn, endsOn } },
+        upsert: true,
+      },
+    })),
+  );
+
+  return res.json({
+    success: true,
+    assigned: result.upsertedCount + result.matchedCount,
+  });
+};
+
+/**
+ * DELETE /api/journal/prompt-sets/:key/assignments/:userId (editor)
+ */
+export const unassignPromptSet = async (req, res) => {
+  const { userId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return res.status(400).json({ error: "Invalid userId" });
+  }
+
+  const { deletedCount } = await JournalPromptAssignment.deleteOne({
+    user: userId,
+    promptSet: normalizeKey(req.params.key),
+  });
+  if (!deletedCount) {
+    return res.status(404).json({ error: "Assignment not found" });
+  }
+  return res.json({ success: true });
+};
@@ -2,47 +2,13 @@ import mongoose from "mongoose";
 import RegisterUser from "../models/UserModel.js";
 import AmbienceCategory from "../models/AmbienceCategory.js";
 import FeelingLog from "../models/FeelingLog.js";
-import UserActivityDay from "../models/UserActivityDay.js";
 import Badge from "../models/Badge.js";
-
-function utcDateKey(date) {
-  const year = date.getUTCFullYear();
-  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(date.getUTCDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
-}
-
-async function computeCurrentStreak(userId) {
-  const today = new Date();
-  const todayUtcMidnight = new Date(
-    Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()),
-  );
-
-  const windowStart = new Date(todayUtcMidnight);
-  windowStart.setUTCDate(windowStart.getUTCDate() - 399);
-
-  const fromKey = utcDateKey(windowStart);
-  const toKey = utcDateKey(todayUtcMidnight);
-
-  const days = await UserActivityDay.distinct("dateKey", {
-    user: userId,
-    dateKey: { $gte: fromKey, $lte: toKey },
-  });
-
-  if (!days.length) return 0;
-
-  const daySet = new Set(days);
-  let streak = 0;
-  for (let i = 0; i < 400; i++) {
-    const d = new Date(todayUtcMidnight);
-    d.setUTCDate(d.getUTCDate() - i);
-    const key = utcDateKey(d);
-    if (!daySet.has(key)) break;
-    streak++;
-  }
-
-  return streak;
-}
+import { calculateCurrentStreak } from "../utils/streakService.js";
+import {
+  forgetUserTimeZone,
+  normalizeTimeZone,
+} from "../utils/dateKeyService.js";
+import { rescheduleReminders } from "../utils/checkInReminderService.js";
 
 /**
  * Build minimal profile payload for OTP verification (signup/login)
@@ -109,7 +75,7 @@ export async function buildProfilePayload(userId) {
   );
 
   const currentLog = await FeelingLog.getCurrentOpenLog(userId);
-  const currentStreak = await computeCurrentStreak(userId);
+  const currentStreak = await calculateCurrentStreak(userId);
 
   // Fetch ambience selection data for wallpaper
   let currentAmbience = null;
@@ -147,6 +113,7 @@ export async function buildProfilePayload(userId) {
     email: user.email ?? null,
     phoneNumber: user.phoneNumber ?? null,
     photoUrl: user.photoUrl ?? null,
+    role: user.role ?? "user",
     onboardingCompleted: Boolean(user.onboardingCompleted),
 
     profileLastUpdatedAt:
@@ -156,6 +123,7 @@ export async function buildProfilePayload(userId) {
 
     gender: user.preferences?.gender ?? "",
     dob: user.preferences?.dob ?? null,
+    timezone: normalizeTimeZone(user.preferences?.timezone),
 
     currentAmbience,
 
@@ -186,11 +154,13 @@ export async function buildProfilePayload(userId) {
       ? {
           id: String(currentLog._id),
           feeling: currentLog.feeling,
+          intensity: currentLog.intensity ?? null,
           startedAt: currentLog.startedAt,
         }
       : null,
 
     currentStreak,
+    streakFreezes: user.streakInventory?.freezes ?? 0,
   };
 }
 
@@ -217,13 +187,13 @@ function parseDob(dob) {
 
 /**
  * PUT /api/auth/profile
- * Updates profile info (name / dob / gender). This is also the "edit onboarding info" route.
+ * Updates profile info (name / dob / gender / timezone). This is also the "edit onboarding info" route.
  */
 export const updateMyProfile = async (req, res) => {
   const userId = req.user?.id;
   if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-  const { name, gender, dob } = req.body;
+  const { name, gender, dob, timezone } = req.body;
 
   const user = await RegisterUser.findById(userId);
   if (!user) return res.status(404).json({ error: "User not found" });
@@ -247,9 +217,20 @@ export const updateMyProfile = async (req, res) => {
     user.onboardingCompleted = true;
   }
 
+  // Validated as an IANA zone by the schema. Past date keys are re-keyed by
+  // the "migrate-date-keys" job.
+  if (typeof timezone === "string") {
+    user.preferences.timezone = timezone;
+  }
+
   user.profileLastUpdatedAt = new Date();
 
   await user.save();
+  if (typeof timezone === "string") {
+    forgetUserTimeZone(userId);
+    // Reminder times are local, so the next one moves with the timezone.
+    await rescheduleReminders(userId);
+  }
 
   const payload = await buildProfilePayload(userId);
   return res.json({ message: "Profile updated", profile: payload });
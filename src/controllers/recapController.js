@@ -0,0 +1,18 @@
+import { getRecap } from "../utils/recapService.js";
+
+/**
+ * GET /api/recap?period=month|year&key=
+ * Shareable recap of a month ("YYYY-MM") or year ("YYYY"); the current
+ * one by default.
+ */
+export const getRecapHandler = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const { period, key } = req.validatedQuery ?? req.query;
+  const result = await getRecap(userId, { period, key });
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  return res.json(result);
+};
@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import InboxItem from "../models/InboxItem.js";
+import {
+  getReminderPreference,
+  saveReminderPreference,
+} from "../utils/checkInReminderService.js";
+
+function normalizeInboxItemDoc(item) {
+  return {
+    id: String(item._id),
+    kind: item.kind,
+    title: item.title,
+    message: item.message ?? "",
+    link: item.link ?? "",
+    dueAt: item.dueAt,
+    readAt: item.readAt ?? null,
+    createdAt: item.createdAt,
+  };
+}
+
+/**
+ * GET /api/reminders/checkin
+ */
+export const getCheckInReminders = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const reminders = await getReminderPreference(userId);
+  return res.json({ reminders });
+};
+
+/**
+ * PUT /api/reminders/checkin
+ * Partial update; `quietHours: null` clears the quiet hours.
+ */
+export const updateCheckInReminders = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const fields = { ...req.body };
+  if (fields.quietHours === null) {
+    fields.quietHours = { start: null, end: null };
+  }
+
+  const reminders = await saveReminderPreference(userId, fields);
+  return res.json({ message: "Reminders updated", reminders });
+};
+
+/**
+ * GET /api/inbox?limit=&unread=true
+ */
+export const getInbox = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const query = req.validatedQuery ?? req.query;
+  const filter = { user: userId };
+  if (query?.unread === "true") filter.readAt = null;
+
+  const [items, unreadCount] = await Promise.all([
+    InboxItem.find(filter)
+      .sort({ dueAt: -1 })
+      .limit(query?.limit ?? 50)
+      .lean(),
+    InboxItem.countDocuments({ user: userId, readAt: null }),
+  ]);
+
+  return res.json({ items: items.map(normalizeInboxItemDoc), unreadCount });
+};
+
+/**
+ * POST /api/inbox/:itemId/read
+ */
+export const markInboxItemRead = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const itemId = String(req.params.itemId || "").trim();
+  if (!mongoose.Types.ObjectId.isValid(itemId)) {
+    return res.status(400).json({ error: "Invalid itemId" });
+  }
+
+  const item = await InboxItem.findOneAndUpdate(
+    { _id: itemId, user: userId },
+    [{ $set: { readAt: { $ifNull: ["$readAt", new Date()] } } }],
+    { new: true },
+  ).lean();
+  if (!item) return res.status(404).json({ error: "Inbox item not found" });
+
+  return res.json({ item: normalizeInboxItemDoc(item) });
+};
+
+/**
+ * POST /api/inbox/read-all
+ */
+export const markAllInboxRead = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+  const result = await InboxItem.updateMany(
+    { user: userId, readAt: null },
+    { $set: { readAt: new Date() } },
+  );
+  return res.json({ updated: result.modifiedCount });
+};
@@ -0,0 +1,11 @@
+import { defineJob } from "../utils/jobScheduler.js";
+import { purgeDueAccountDeletions } from "../utils/accountDeletionService.js";
+
+defineJob({
+  name: "purge-deleted-accounts",
+  description:
+    "Permanently delete accounts whose deletion grace period has ended.",
+  intervalMs: 60 * 60 * 1000,
+  lockTtlMs: 15 * 60 * 1000,
+  handler: async ({ now }) => purgeDueAccountDeletions(now),
+});
@@ -0,0 +1,11 @@
+import { defineJob } from "../utils/jobScheduler.js";
+import { deliverDueReminders } from "../utils/checkInReminderService.js";
+
+defineJob({
+  name: "deliver-checkin-reminders",
+  description:
+    "Put due mood check-in reminders in users' inboxes, skipping users who already logged a feeling.",
+  intervalMs: 5 * 60 * 1000,
+  lockTtlMs: 5 * 60 * 1000,
+  handler: async ({ now }) => deliverDueReminders({ now }),
+});
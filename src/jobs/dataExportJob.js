@@ -0,0 +1,11 @@
+import { defineJob } from "../utils/jobScheduler.js";
+import { processDataExports } from "../utils/dataExportService.js";
+
+defineJob({
+  name: "process-data-exports",
+  description:
+    "Build queued personal data exports and expire old download archives.",
+  intervalMs: 60 * 1000,
+  lockTtlMs: 10 * 60 * 1000,
+  handler: async ({ now }) => processDataExports(now),
+});
@@ -0,0 +1,11 @@
+import { defineJob } from "../utils/jobScheduler.js";
+import { migratePendingDateKeys } from "../utils/dateKeyMigrationService.js";
+
+defineJob({
+  name: "migrate-date-keys",
+  description:
+    "Re-key activity days and feeling logs for users who changed timezone.",
+  intervalMs: 15 * 60 * 1000,
+  lockTtlMs: 15 * 60 * 1000,
+  handler: async () => migratePendingDateKeys(),
+});
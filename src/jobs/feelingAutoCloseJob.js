@@ -0,0 +1,14 @@
+import { defineJob } from "../utils/jobScheduler.js";
+import { closeStaleFeelingLogs } from "../utils/feelingSessionService.js";
+
+defineJob({
+  name: "close-stale-feelings",
+  description:
+    "Close feeling sessions left open past the maximum session length.",
+  intervalMs: 60 * 60 * 1000,
+  lockTtlMs: 5 * 60 * 1000,
+  handler: async ({ now }) => {
+    const sessionsClosed = await closeStaleFeelingLogs({ now });
+    return { sessionsClosed };
+  },
+});
@@ -0,0 +1,11 @@
+// Registers every background job with the scheduler (import for side effects).
+import "./otpCleanupJob.js";
+import "./accountDeletionJob.js";
+import "./dataExportJob.js";
+import "./dateKeyMigrationJob.js";
+import "./feelingAutoCloseJob.js";
+import "./checkInReminderJob.js";
+import "./weeklyDigestJob.js";
+import "./journalTaskMigrationJob.js";
+import "./journalSearchIndexJob.js";
+import "./journalSyncBackfillJob.js";
@@ -0,0 +1,10 @@
+import { defineJob } from "../utils/jobScheduler.js";
+import { migrateJournalSearchIndex } from "../utils/journalSearchService.js";
+
+defineJob({
+  name: "migrate-journal-search-index",
+  description:
+    "Replace the old journal search index with the one that covers answers.",
+  intervalMs: 60 * 60 * 1000,
+  handler: async () => migrateJournalSearchIndex(),
+});
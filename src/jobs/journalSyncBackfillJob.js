@@ -0,0 +1,11 @@
+import { defineJob } from "../utils/jobScheduler.js";
+import { backfillJournalSyncSeqs } from "../utils/journalSyncService.js";
+
+defineJob({
+  name: "backfill-journal-sync-seqs",
+  description:
+    "Stamp journal entries and tasks from before offline sync for full pulls.",
+  intervalMs: 15 * 60 * 1000,
+  lockTtlMs: 15 * 60 * 1000,
+  handler: async () => backfillJournalSyncSeqs(),
+});
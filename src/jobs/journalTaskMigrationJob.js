@@ -0,0 +1,11 @@
+import { defineJob } from "../utils/jobScheduler.js";
+import { migratePendingJournalTasks } from "../utils/journalTaskService.js";
+
+defineJob({
+  name: "migrate-journal-tasks",
+  description:
+    "Move tasks embedded in journal entries to the carried-forward task list.",
+  intervalMs: 15 * 60 * 1000,
+  lockTtlMs: 15 * 60 * 1000,
+  handler: async () => migratePendingJournalTasks(),
+});
@@ -0,0 +1,13 @@
+import { defineJob } from "../utils/jobScheduler.js";
+import { cleanupExpiredOTPs } from "../utils/otpService.js";
+
+defineJob({
+  name: "cleanup-expired-otps",
+  description: "Remove expired login OTP hashes from user documents.",
+  intervalMs: 10 * 60 * 1000,
+  lockTtlMs: 60 * 1000,
+  handler: async ({ now }) => {
+    const usersCleaned = await cleanupExpiredOTPs(now);
+    return { usersCleaned };
+  },
+});
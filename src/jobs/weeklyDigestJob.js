@@ -0,0 +1,11 @@
+import { defineJob } from "../utils/jobScheduler.js";
+import { sendDueWeeklyDigests } from "../utils/weeklyDigestService.js";
+
+defineJob({
+  name: "send-weekly-digests",
+  description:
+    "Email last week's wellness digest to opted-in users (from Monday morning, local time).",
+  intervalMs: 60 * 60 * 1000,
+  lockTtlMs: 30 * 60 * 1000,
+  handler: async ({ now }) => sendDueWeeklyDigests({ now }),
+});
@@ -1,6 +1,7 @@
 import jwt from "jsonwebtoken";
 import { JWT_SECRET } from "../config/constants.js";
-import UserActivityDay from "../models/UserActivityDay.js";
+import RegisterUser, { USER_ROLES } from "../models/UserModel.js";
+import { isAccessTokenActive } from "../utils/sessionService.js";
 
 export const authMiddleware = async (req, res, next) => {
   try {
@@ -50,20 +51,53 @@ export const authMiddleware = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded?.user;
 
-    const userId = req.user?.id;
-    if (userId) {
-      try {
-        await UserActivityDay.markActive(userId);
-      } catch (err) {
-        console.warn("ACTIVITY MARK ERROR:", err);
-      }
+    // Revoked sessions (logout, logout-all, deleted account) must not pass.
+    if (!(await isAccessTokenActive(decoded))) {
+      return res.status(401).json({ error: "Session expired" });
     }
 
+    req.user = decoded?.user;
+    req.auth = { sessionId: decoded?.sid ?? null };
+
     next();
   } catch (err) {
+    if (err?.name === "TokenExpiredError") {
+      // Clients should call /api/auth/refresh and retry.
+      return res.status(401).json({ error: "Token expired" });
+    }
     console.error("JWT Error:", err);
     return res.status(401).json({ error: "Invalid token" });
   }
 };
+
+/**
+ * Allow the request only when the signed-in user has at least `minRole`
+ * (user < editor < admin). Must run after `authMiddleware`.
+ * The role is read from the database so demotions apply immediately.
+ */
+export const requireRole = (minRole) => {
+  const minRank = USER_ROLES.indexOf(minRole);
+  if (minRank === -1) throw new Error(`Unknown role: ${minRole}`);
+
+  return async (req, res, next) => {
+    try {
+      const user = await RegisterUser.findById(req.user?.id)
+        .select("role")
+        .lean();
+      if (!user) {
+        return res.status(401).json({ error: "Session expired" });
+      }
+
+      const role = user.role ?? "user";
+      if (USER_ROLES.indexOf(role) < minRank) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+
+      req.user.role = role;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+};
@@ -0,0 +1,48 @@
+import { hitRateLimit } from "../utils/rateLimiter.js";
+import { recordAuthFailure } from "../utils/authAudit.js";
+
+/**
+ * Express middleware limiting requests per key (client IP by default).
+ *
+ * rateLimit({ name: "otp-send-ip", limit: 20, windowMs: 60 * 60 * 1000 })
+ */
+export const rateLimit = ({
+  name,
+  limit,
+  windowMs,
+  keyGenerator = (req) => req.ip,
+}) => {
+  return async (req, res, next) => {
+    try {
+      const subject = String(keyGenerator(req) ?? "").trim();
+      if (!subject) return next();
+
+      const result = await hitRateLimit(`${name}:${subject}`, {
+        limit,
+        windowMs,
+      });
+
+      res.set("RateLimit-Limit", String(limit));
+      res.set("RateLimit-Remaining", String(result.remaining));
+
+      if (!result.allowed) {
+        res.set("Retry-After", String(result.retryAfterSeconds));
+        await recordAuthFailure(req, {
+          event: "rate_limited",
+          identifier: req.body?.email ?? req.body?.phoneNumber ?? "",
+          reason: name,
+        });
+        return res.status(429).json({
+          error: "Too many requests. Please try again later.",
+          retryAfterSeconds: result.retryAfterSeconds,
+        });
+      }
+
+      next();
+    } catch (err) {
+      // Fail open: a storage hiccup should not lock everyone out.
+      console.warn("RATE LIMIT ERROR:", err?.message || err);
+      next();
+    }
+  };
+};
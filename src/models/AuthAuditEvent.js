@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const AUDIT_RETENTION_DAYS = 90;
+
+/**
+ * Audit trail of rejected authentication attempts
+ * (invalid OTPs, lockouts, throttled OTP sends).
+ */
+const AuthAuditEventSchema = new Schema(
+  {
+    event: {
+      type: String,
+      enum: [
+        "otp_verify_failed",
+        "otp_verify_locked",
+        "otp_send_throttled",
+        "rate_limited",
+      ],
+      required: true,
+      index: true,
+    },
+    // Email or phone the attempt targeted (may not belong to a user)
+    identifier: {
+      type: String,
+      default: "",
+      trim: true,
+      index: true,
+    },
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    route: {
+      type: String,
+      default: "",
+    },
+    reason: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+AuthAuditEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: AUDIT_RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+const AuthAuditEvent = mongoose.model("AuthAuditEvent", AuthAuditEventSchema);
+
+export default AuthAuditEvent;
@@ -0,0 +1,97 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * One signed-in device.
+ * Access tokens carry the session id (`sid`) so they can be revoked,
+ * and the refresh token is rotated on every use.
+ */
+const AuthSessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      required: true,
+      index: true,
+    },
+    // Client-provided stable device identifier (falls back to a random id)
+    deviceId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    deviceName: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    platform: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    appVersion: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // Entry in the user's device list (GET /api/auth/devices)
+    userDevice: {
+      type: Schema.Types.ObjectId,
+      ref: "UserDevice",
+      default: null,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    // sha256 of the current refresh token secret (never stored in plain text)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hash of the token that was just rotated out; reusing it revokes the session
+    previousRefreshTokenHash: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+AuthSessionSchema.index({ user: 1, deviceId: 1 });
+// Expired sessions are useless; let Mongo drop them.
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+AuthSessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt.getTime() > now.getTime();
+};
+
+const AuthSession = mongoose.model("AuthSession", AuthSessionSchema);
+
+export default AuthSession;
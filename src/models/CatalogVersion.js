@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// One counter per offline-synced catalog (e.g. "feelings"). Every change to
+// the catalog bumps it so clients can tell whether their copy is current.
+const CatalogVersionSchema = new Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    version: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+CatalogVersionSchema.statics.current = async function (name) {
+  const doc = await this.findById(name).lean();
+  return doc?.version ?? 0;
+};
+
+CatalogVersionSchema.statics.bump = async function (name) {
+  const doc = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { version: 1 } },
+    { upsert: true, new: true },
+  ).lean();
+  return doc.version;
+};
+
+const CatalogVersion = mongoose.model("CatalogVersion", CatalogVersionSchema);
+
+export default CatalogVersion;
@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const EXPORT_RECORD_RETENTION_DAYS = 30;
+
+/**
+ * A personal data export ("takeout") requested through POST /api/me/export.
+ * The archive is built by the "process-data-exports" job and stored in R2.
+ */
+const DataExportSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "ready", "failed", "expired"],
+      default: "queued",
+      index: true,
+    },
+    // 0-100, updated as each section of the archive is collected
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    // Section currently being collected (e.g. "journals")
+    step: {
+      type: String,
+      default: "",
+    },
+    r2Key: {
+      type: String,
+      default: null,
+    },
+    fileSize: {
+      type: Number,
+      default: null,
+    },
+    // Row counts per section, for the status endpoint
+    counts: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // After this the archive is deleted from R2 and can no longer be downloaded
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+DataExportSchema.index({ user: 1, createdAt: -1 });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+DataExportSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: EXPORT_RECORD_RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+const DataExport = mongoose.model("DataExport", DataExportSchema);
+
+export default DataExport;
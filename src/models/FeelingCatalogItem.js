@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const FeelingCatalogItemSchema = new Schema(
+  {
+    // Stable id stored on feeling logs, e.g. "calm"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    emoji: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    iconUrl: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    // Unpleasant (-2) .. pleasant (2)
+    valence: {
+      type: Number,
+      required: true,
+      min: -2,
+      max: 2,
+    },
+    // Low (-2) .. high (2) energy
+    energy: {
+      type: Number,
+      required: true,
+      min: -2,
+      max: 2,
+    },
+    group: {
+      type: String,
+      default: "",
+      trim: true,
+      lowercase: true,
+    },
+    // Other spellings that resolve to this feeling (lowercase, trimmed).
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    // Retired feelings stay in the catalog so old logs can still be shown.
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    // Catalog version of the last change (see CatalogVersion).
+    version: {
+      type: Number,
+      default: 0,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+FeelingCatalogItemSchema.index({ aliases: 1 });
+
+const FeelingCatalogItem = mongoose.model(
+  "FeelingCatalogItem",
+  FeelingCatalogItemSchema,
+);
+
+export default FeelingCatalogItem;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { toDateKey } from "../utils/dateKeyService.js";
 
 const { Schema } = mongoose;
 
@@ -10,11 +11,41 @@ const FeelingLogSchema = new Schema(
       required: true,
       index: true,
     },
+    // Feeling catalog key (see FeelingCatalogItem). Logs from before the
+    // catalog hold free text until `npm run seed:feelings` maps them.
     feeling: {
       type: String,
       required: true,
       trim: true,
     },
+    intensity: {
+      type: Number,
+      min: 1,
+      max: 5,
+      default: null,
+    },
+    note: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 280,
+    },
+    // Context tags, e.g. ["work", "sleep"]
+    tags: {
+      type: [String],
+      default: [],
+    },
+    // What the user was doing right before (e.g. a breathing session).
+    trigger: {
+      type: {
+        type: String,
+        default: null,
+      },
+      refId: {
+        type: String,
+        default: null,
+      },
+    },
     startedAt: {
       type: Date,
       required: true,
@@ -25,6 +56,12 @@ const FeelingLogSchema = new Schema(
       type: Date,
       default: null,
     },
+    // Closed by the auto-close policy rather than by the user.
+    autoClosed: {
+      type: Boolean,
+      default: false,
+    },
+    // YYYY-MM-DD of startedAt in the user's timezone (set by the controller)
     dateKey: {
       type: String,
       required: true,
@@ -36,17 +73,15 @@ const FeelingLogSchema = new Schema(
   }
 );
 
-function toUtcDateKey(date) {
-  const year = date.getUTCFullYear();
-  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(date.getUTCDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
-}
+// Range reads and /api/feelings/insights.
+FeelingLogSchema.index({ user: 1, startedAt: 1 });
+FeelingLogSchema.index({ user: 1, dateKey: 1, feeling: 1 });
 
 FeelingLogSchema.pre("validate", function () {
   const startedAt = this.startedAt ?? new Date();
   this.startedAt = startedAt;
-  this.dateKey = this.dateKey || toUtcDateKey(startedAt);
+  // Fallback only; callers pass the user's local date key.
+  this.dateKey = this.dateKey || toDateKey(startedAt);
 });
 
 FeelingLogSchema.statics.getCurrentOpenLog = function (userId) {
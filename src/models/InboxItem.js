@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const INBOX_RETENTION_DAYS = 30;
+
+export const INBOX_ITEM_KINDS = ["checkin_reminder"];
+
+/**
+ * A message in a user's in-app inbox, written by background jobs.
+ */
+const InboxItemSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: INBOX_ITEM_KINDS,
+      required: true,
+    },
+    // Identifies what the item was created for (e.g. a reminder slot
+    // "2025-01-01T20:00") so a job re-run never duplicates it.
+    slotKey: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    link: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+InboxItemSchema.index({ user: 1, kind: 1, slotKey: 1 }, { unique: true });
+InboxItemSchema.index({ user: 1, dueAt: -1 });
+InboxItemSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: INBOX_RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+const InboxItem = mongoose.model("InboxItem", InboxItemSchema);
+
+export default InboxItem;
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Distributed lock so only one instance runs a given job at a time.
+ * A lock is free once `lockedUntil` has passed (crashed holders time out).
+ */
+const JobLockSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const JobLock = mongoose.model("JobLock", JobLockSchema);
+
+export default JobLock;
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const RUN_HISTORY_RETENTION_DAYS = 30;
+
+/**
+ * History of background job executions (one document per attempt).
+ */
+const JobRunSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed", "skipped"],
+      default: "running",
+      index: true,
+    },
+    // What started the run: the in-process interval, the HTTP endpoint or a script
+    trigger: {
+      type: String,
+      enum: ["interval", "http", "manual"],
+      default: "manual",
+    },
+    instanceId: {
+      type: String,
+      default: "",
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    result: {
+      type: Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+JobRunSchema.index({ name: 1, startedAt: -1 });
+JobRunSchema.index(
+  { startedAt: 1 },
+  { expireAfterSeconds: RUN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+const JobRun = mongoose.model("JobRun", JobRunSchema);
+
+export default JobRun;
@@ -59,6 +59,32 @@ const JournalQuestionsSchema = new Schema(
   }
 );
 
+// Answer to one prompt of the entry's prompt set.
+const JournalAnswerSchema = new Schema(
+  {
+    promptId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    text: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 5000,
+    },
+
+    photos: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    _id: false,
+  }
+);
+
 const JournalEntrySchema = new Schema(
   {
     user: {
@@ -68,21 +94,48 @@ const JournalEntrySchema = new Schema(
       index: true,
     },
 
-    // YYYY-MM-DD in UTC
+    // YYYY-MM-DD in the user's timezone (UTC before timezones were supported)
     dateKey: {
       type: String,
       required: true,
       index: true,
     },
 
+    // Legacy: tasks now live in JournalTask. Kept only until the
+    // "migrate-journal-tasks" job has moved them (then unset).
     tasks: {
       type: [JournalTaskItemSchema],
-      default: [],
+      default: undefined,
     },
 
+    // Legacy: the three fixed questions. Entries written since prompts
+    // became configurable use `answers` instead (see journalPromptService.js).
     questions: {
       type: JournalQuestionsSchema,
-      default: () => ({}),
+      default: undefined,
+    },
+
+    // Key of the JournalPromptSet the answers belong to.
+    promptSet: {
+      type: String,
+      default: undefined,
+    },
+
+    answers: {
+      type: [JournalAnswerSchema],
+      default: undefined,
+    },
+
+    // Incremented on every change (0 on entries from before sync existed).
+    version: {
+      type: Number,
+      default: 0,
+    },
+
+    // RegisterUser.journalSyncSeq at the last change.
+    syncSeq: {
+      type: Number,
+      default: 0,
     },
   },
   {
@@ -92,6 +145,25 @@ const JournalEntrySchema = new Schema(
 
 JournalEntrySchema.index({ user: 1, dateKey: 1 }, { unique: true });
 JournalEntrySchema.index({ user: 1, dateKey: -1 });
+JournalEntrySchema.index({ user: 1, syncSeq: 1 });
+// GET /api/journal/search (always scoped to one user).
+JournalEntrySchema.index(
+  {
+    user: 1,
+    "questions.mistakes": "text",
+    "questions.whatDidYouLearn": "text",
+    "questions.anythingSpecialHappenedToday.aboutIt": "text",
+    "answers.text": "text",
+  },
+  // "journal_search" was the index without answers; the
+  // "migrate-journal-search-index" job drops it so this one can be built.
+  { name: "journal_search_v2" }
+);
+// Entries whose tasks still have to be migrated.
+JournalEntrySchema.index(
+  { user: 1, _id: 1 },
+  { partialFilterExpression: { tasks: { $exists: true } } }
+);
 
 const JournalEntry = mongoose.model("JournalEntry", JournalEntrySchema);
 
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+// A prompt set given to one user, optionally for a range of days. Takes
+// precedence over the sets scheduled for everyone.
+const JournalPromptAssignmentSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      required: true,
+    },
+    promptSet: {
+      type: String,
+      required: true,
+    },
+    // User's local dates; null = open ended.
+    startsOn: {
+      type: String,
+      default: null,
+    },
+    endsOn: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+JournalPromptAssignmentSchema.index(
+  { user: 1, promptSet: 1 },
+  { unique: true },
+);
+JournalPromptAssignmentSchema.index({ promptSet: 1 });
+
+const JournalPromptAssignment = mongoose.model(
+  "JournalPromptAssignment",
+  JournalPromptAssignmentSchema,
+);
+
+export default JournalPromptAssignment;
@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const JournalPromptSchema = new Schema(
+  {
+    // Stable id answers are stored under, e.g. "gratitude". Retire prompts
+    // instead of giving their id to a different question.
+    id: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 500,
+    },
+    placeholder: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 500,
+    },
+    // Whether photos can be attached to the answer.
+    allowPhotos: {
+      type: Boolean,
+      default: false,
+    },
+    maxLength: {
+      type: Number,
+      default: 5000,
+      min: 1,
+      max: 5000,
+    },
+  },
+  {
+    _id: false,
+  },
+);
+
+const JournalPromptSetSchema = new Schema(
+  {
+    // Stable id stored on journal entries, e.g. "gratitude-week"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    prompts: {
+      type: [JournalPromptSchema],
+      default: [],
+    },
+    // "everyone": shown whenever the schedule matches; "assigned": only to
+    // users assigned to the set (see JournalPromptAssignment).
+    audience: {
+      type: String,
+      enum: ["everyone", "assigned"],
+      default: "everyone",
+    },
+    // Days the set is shown on (user's local dates). Empty = always.
+    schedule: {
+      startsOn: { type: String, default: null },
+      endsOn: { type: String, default: null },
+      // 0 = Sunday; empty = every day of the week.
+      weekdays: { type: [Number], default: [] },
+    },
+    // Higher wins when several sets are scheduled on the same day.
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    // Shown when no other set applies.
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    // Retired sets stay so old entries can still show their prompts.
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+const JournalPromptSet = mongoose.model(
+  "JournalPromptSet",
+  JournalPromptSetSchema,
+);
+
+export default JournalPromptSet;
@@ -2,6 +2,8 @@ import mongoose from "mongoose";
 
 const { Schema } = mongoose;
 
+export const JOURNAL_TASK_STATUSES = ["pending", "completed", "skipped"];
+
 const JournalTaskSchema = new Schema(
   {
     user: {
@@ -15,7 +17,7 @@ const JournalTaskSchema = new Schema(
       type: String,
       required: true,
       trim: true,
-      maxlength: 200,
+      maxlength: 500,
     },
 
     description: {
@@ -33,10 +35,18 @@ const JournalTaskSchema = new Schema(
       index: true,
     },
 
-    isCompleted: {
-      type: Boolean,
-      default: false,
-      index: true,
+    // The day the task is currently planned for: the due day unless it was
+    // moved or deferred. Carried forward from here while pending.
+    scheduledDateKey: {
+      type: String,
+      required: true,
+    },
+
+    // "skipped" tasks were dropped and are no longer carried forward.
+    status: {
+      type: String,
+      enum: JOURNAL_TASK_STATUSES,
+      default: "pending",
     },
 
     completedAt: {
@@ -50,13 +60,50 @@ const JournalTaskSchema = new Schema(
       default: null,
       index: true,
     },
+
+    deferCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Id the mobile app gave the task when it was created offline.
+    clientId: {
+      type: String,
+      default: undefined,
+      trim: true,
+    },
+
+    // Incremented on every change; sync operations must name the version
+    // they were based on.
+    version: {
+      type: Number,
+      default: 1,
+    },
+
+    // RegisterUser.journalSyncSeq at the last change.
+    syncSeq: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-JournalTaskSchema.index({ user: 1, dueDateKey: 1, isCompleted: 1 });
+JournalTaskSchema.index({ user: 1, scheduledDateKey: 1, status: 1 });
+JournalTaskSchema.index({ user: 1, status: 1, scheduledDateKey: 1 });
+JournalTaskSchema.index({ user: 1, syncSeq: 1 });
+// GET /api/journal/search (always scoped to one user).
+JournalTaskSchema.index(
+  { user: 1, title: "text", description: "text" },
+  { name: "journal_task_search", weights: { title: 2, description: 1 } }
+);
+JournalTaskSchema.index(
+  { user: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: "string" } } }
+);
 
 const JournalTask = mongoose.model("JournalTask", JournalTaskSchema);
 
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Record of a deleted journal task, so GET /api/journal/changes can tell
+ * offline clients to drop their copy.
+ */
+const JournalTombstoneSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["task"],
+      default: "task",
+    },
+    // _id of the deleted document
+    docId: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    clientId: {
+      type: String,
+      default: null,
+    },
+    syncSeq: {
+      type: Number,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: "deletedAt", updatedAt: false },
+  },
+);
+
+JournalTombstoneSchema.index({ user: 1, syncSeq: 1 });
+JournalTombstoneSchema.index({ user: 1, docId: 1 });
+
+const JournalTombstone = mongoose.model(
+  "JournalTombstone",
+  JournalTombstoneSchema,
+);
+
+export default JournalTombstone;
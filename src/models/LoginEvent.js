@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+const LOGIN_HISTORY_RETENTION_DAYS = 180;
+
+/**
+ * One successful sign-in (OTP or social), for the user's login history.
+ */
+const LoginEventSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      required: true,
+    },
+    userDevice: {
+      type: Schema.Types.ObjectId,
+      ref: "UserDevice",
+      default: null,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    deviceName: {
+      type: String,
+      default: "",
+    },
+    platform: {
+      type: String,
+      default: "",
+    },
+    appVersion: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    isNewDevice: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+LoginEventSchema.index({ user: 1, createdAt: -1 });
+LoginEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 },
+);
+
+const LoginEvent = mongoose.model("LoginEvent", LoginEventSchema);
+
+export default LoginEvent;
@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Email or phone sign-ups waiting for OTP verification.
+ * Stored in Mongo (not process memory) so the send and verify requests can
+ * land on different Lambda instances. Documents expire via the TTL index.
+ */
+const PendingRegistrationSchema = new Schema(
+  {
+    email: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+    },
+    // E.164 phone number for phone sign-ups
+    phoneNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+    },
+    username: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // bcrypt hash of the current OTP
+    otp: {
+      type: String,
+      required: true,
+    },
+    otpExpires: {
+      type: Date,
+      required: true,
+    },
+    // Failed verification attempts against the current OTP
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // How many times an OTP has been (re)sent for this registration
+    sendCount: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    lastSentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Whole document is removed by Mongo once this passes
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+PendingRegistrationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PendingRegistration = mongoose.model(
+  "PendingRegistration",
+  PendingRegistrationSchema,
+);
+
+export default PendingRegistration;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Fixed-window counters for rate limiting and lockouts.
+ * Kept in Mongo so limits hold across Lambda instances; the TTL index
+ * removes a counter once its window is over.
+ */
+const RateLimitCounterSchema = new Schema(
+  {
+    // e.g. "otp-send-email:user@example.com"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    resetAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+RateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model(
+  "RateLimitCounter",
+  RateLimitCounterSchema,
+);
+
+export default RateLimitCounter;
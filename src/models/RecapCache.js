@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const RECAP_PERIODS = ["month", "year"];
+
+/**
+ * A computed recap (see utils/recapService.js), kept until `expiresAt`.
+ */
+const RecapCacheSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      required: true,
+    },
+    period: {
+      type: String,
+      enum: RECAP_PERIODS,
+      required: true,
+    },
+    // "YYYY-MM" for a month, "YYYY" for a year
+    key: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    computedAt: {
+      type: Date,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: false,
+    minimize: false,
+  },
+);
+
+RecapCacheSchema.index({ user: 1, period: 1, key: 1 }, { unique: true });
+RecapCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RecapCache = mongoose.model("RecapCache", RecapCacheSchema);
+
+export default RecapCache;
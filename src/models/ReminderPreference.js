@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+export const REMINDER_WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+/**
+ * A user's mood check-in reminder settings. Times are local wall-clock
+ * times (HH:mm) in the user's timezone (`preferences.timezone`).
+ */
+const ReminderPreferenceSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      required: true,
+      unique: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    times: {
+      type: [String],
+      default: ["20:00"],
+    },
+    // No reminders from `start` until `end` (may wrap past midnight).
+    quietHours: {
+      start: {
+        type: String,
+        default: null,
+      },
+      end: {
+        type: String,
+        default: null,
+      },
+    },
+    daysOfWeek: {
+      type: [{ type: String, enum: REMINDER_WEEKDAYS }],
+      default: () => [...REMINDER_WEEKDAYS],
+    },
+    // Next slot the "deliver-checkin-reminders" job should look at.
+    nextDueAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveredAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+ReminderPreferenceSchema.index({ enabled: 1, nextDueAt: 1 });
+
+const ReminderPreference = mongoose.model(
+  "ReminderPreference",
+  ReminderPreferenceSchema,
+);
+
+export default ReminderPreference;
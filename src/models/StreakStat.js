@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * Per-user streak aggregates for the leaderboard, refreshed whenever the
+ * user's streak days change (see refreshStreakStat in streakService.js).
+ */
+const StreakStatSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      required: true,
+      unique: true,
+    },
+    // Streak ending on `lastActiveKey`; it's only current while that day is
+    // the user's today or yesterday.
+    currentStreak: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Best streak ever seen (kept even once it leaves the streak window).
+    maxStreak: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastActiveKey: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Leaderboard order; `user` breaks ties so cursors are stable.
+StreakStatSchema.index({ maxStreak: -1, user: 1 });
+
+const StreakStat = mongoose.model("StreakStat", StreakStatSchema);
+
+export default StreakStat;
@@ -1,14 +1,8 @@
 import mongoose from "mongoose";
+import { getUserTimeZone, toDateKey } from "../utils/dateKeyService.js";
 
 const { Schema } = mongoose;
 
-function toUtcDateKey(date) {
-  const year = date.getUTCFullYear();
-  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(date.getUTCDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
-}
-
 const UserActivityDaySchema = new Schema(
   {
     user: {
@@ -17,11 +11,19 @@ const UserActivityDaySchema = new Schema(
       required: true,
       index: true,
     },
+    // YYYY-MM-DD in the user's timezone
     dateKey: {
       type: String,
       required: true,
       index: true,
     },
+    // "frozen" days were covered by a streak freeze: they keep the streak
+    // going but don't add to its length.
+    kind: {
+      type: String,
+      enum: ["active", "frozen"],
+      default: "active",
+    },
     firstSeenAt: {
       type: Date,
       required: true,
@@ -34,7 +36,30 @@ const UserActivityDaySchema = new Schema(
       type: Number,
       required: true,
       default: 1,
-      min: 1,
+      min: 0,
+    },
+    // Per-action counters for the day, e.g. { feeling_started: 2 }
+    actions: {
+      type: Map,
+      of: Number,
+      default: () => ({}),
+    },
+    qualifyingActions: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Minutes of client-reported sessions (breathing, yoga) that day.
+    mindfulMinutes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Whether the day counts toward streaks (enough qualifying actions).
+    // Days recorded before activity tracking have no flag and count.
+    qualified: {
+      type: Boolean,
+      default: false,
     },
   },
   {
@@ -44,8 +69,17 @@ const UserActivityDaySchema = new Schema(
 
 UserActivityDaySchema.index({ user: 1, dateKey: 1 }, { unique: true });
 
-UserActivityDaySchema.statics.markActive = function (userId, at = new Date()) {
-  const dateKey = toUtcDateKey(at);
+/**
+ * Count `count` occurrences of `action` on the local day of `at`. Qualifying
+ * actions also advance `qualifyingActions`; deciding when the day counts is
+ * up to utils/activityService.js. `minutes` adds to the day's mindful minutes.
+ */
+UserActivityDaySchema.statics.recordAction = async function (
+  userId,
+  action,
+  { at = new Date(), timeZone, count = 1, qualifying = false, minutes = 0 } = {}
+) {
+  const dateKey = toDateKey(at, timeZone ?? (await getUserTimeZone(userId)));
   return this.findOneAndUpdate(
     { user: userId, dateKey },
     {
@@ -58,14 +92,17 @@ UserActivityDaySchema.statics.markActive = function (userId, at = new Date()) {
         lastSeenAt: at,
       },
       $inc: {
-        hits: 1,
+        hits: count,
+        [`actions.${action}`]: count,
+        qualifyingActions: qualifying ? count : 0,
+        mindfulMinutes: minutes,
       },
     },
     {
       new: true,
       upsert: true,
     }
-  );
+  ).lean();
 };
 
 const UserActivityDay = mongoose.model(
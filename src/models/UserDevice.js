@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+const { Schema } = mongoose;
+
+/**
+ * A device a user has signed in from. One document per (user, fingerprint);
+ * sessions created from it point back here so it can be signed out.
+ */
+const UserDeviceSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "RegisterUser",
+      required: true,
+      index: true,
+    },
+    // Client device id when sent, otherwise a hash of the user agent/platform
+    fingerprint: {
+      type: String,
+      required: true,
+    },
+    deviceId: {
+      type: String,
+      default: null,
+    },
+    deviceName: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    platform: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    appVersion: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    lastIp: {
+      type: String,
+      default: "",
+    },
+    // How the latest sign-in happened: email, phone, google, apple, ...
+    lastProvider: {
+      type: String,
+      default: "",
+    },
+    firstSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    loginCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+UserDeviceSchema.index({ user: 1, fingerprint: 1 }, { unique: true });
+UserDeviceSchema.index({ user: 1, lastSeenAt: -1 });
+
+const UserDevice = mongoose.model("UserDevice", UserDeviceSchema);
+
+export default UserDevice;
@@ -2,6 +2,9 @@ import mongoose from "mongoose";
 
 const { Schema } = mongoose;
 
+// Ordered from least to most privileged.
+export const USER_ROLES = ["user", "editor", "admin"];
+
 const AmbienceSelectionSchema = new Schema(
   {
     categoryId: {
@@ -38,6 +41,13 @@ const PreferencesSchema = new Schema({
     type: Boolean,
     default: false,
   },
+  // IANA timezone (e.g. "Asia/Kolkata") that decides where the user's days
+  // start for streaks, journals and feeling logs. Empty means UTC.
+  timezone: {
+    type: String,
+    default: "",
+    trim: true,
+  },
   ambienceSelections: {
     type: [AmbienceSelectionSchema],
     default: [],
@@ -72,6 +82,17 @@ const RegisterUserSchema = new Schema(
       unique: true,
       sparse: true,
     },
+    isPhoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Content management access: editors manage content, admins everything.
+    role: {
+      type: String,
+      enum: USER_ROLES,
+      default: "user",
+      index: true,
+    },
     googleId: {
       type: String,
       unique: true,
@@ -98,6 +119,7 @@ const RegisterUserSchema = new Schema(
     },
     otpExpires: {
       type: Date,
+      index: true,
     },
     photoUrl: {
       type: String,
@@ -116,6 +138,18 @@ const RegisterUserSchema = new Schema(
       ],
       default: [],
     },
+    // When each badge was earned (badges earned before this was tracked
+    // have no entry).
+    badgeAwards: {
+      type: [
+        {
+          _id: false,
+          badge: { type: Schema.Types.ObjectId, ref: "Badge" },
+          earnedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
 
     preferences: {
       type: PreferencesSchema,
@@ -141,6 +175,62 @@ const RegisterUserSchema = new Schema(
       default: Date.now,
       index: true,
     },
+
+    // Bumped on every journal change; changed entries, tasks and tombstones
+    // carry the value (`syncSeq`) so GET /api/journal/changes can page by it.
+    journalSyncSeq: {
+      type: Number,
+      default: 0,
+    },
+
+    // Sequences handed to journal writes that haven't finished yet; the
+    // changes feed stops below the oldest (see journalTaskService.js).
+    journalSyncInFlight: {
+      type: [{ _id: false, seq: Number, at: Date }],
+      default: undefined,
+    },
+
+    // Access tokens issued before this instant are rejected (set by logout-all).
+    tokensValidAfter: {
+      type: Date,
+      default: null,
+    },
+
+    // Two-step account deletion: set by DELETE /api/auth/account, cleared by
+    // signing in again, purged by the "purge-deleted-accounts" job.
+    deletionRequestedAt: {
+      type: Date,
+      default: null,
+    },
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+
+    // Streak freeze inventory (see utils/streakService.js).
+    streakInventory: {
+      freezes: { type: Number, default: 0, min: 0 },
+      repairTokens: { type: Number, default: 0, min: 0 },
+      freezesEarned: { type: Number, default: 0, min: 0 },
+      freezesUsed: { type: Number, default: 0, min: 0 },
+    },
+
+    // Timezone the stored activity/feeling date keys were computed in. The
+    // "migrate-date-keys" job re-keys history when this differs from
+    // preferences.timezone.
+    dateKeysTimezone: {
+      type: String,
+      default: "UTC",
+    },
+
+    // Opt-in emails. The weekly digest records the week (its Monday date
+    // key) it was last sent for so the job sends each week once.
+    emailPreferences: {
+      weeklyDigest: { type: Boolean, default: false, index: true },
+      weeklyDigestSentFor: { type: String, default: null },
+      weeklyDigestSentAt: { type: Date, default: null },
+    },
   },
   {
     timestamps: true,
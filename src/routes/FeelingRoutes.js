@@ -1,9 +1,17 @@
 import { Router } from "express";
-import { authMiddleware } from "../middleware/authMiddleware.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 import { tryCatch, validateBody, validateQuery } from "../utils/http.js";
 import {
   startFeelingSchema,
   dayTimelineQuerySchema,
+  insightsQuerySchema,
+  catalogQuerySchema,
+  createCatalogFeelingSchema,
+  updateCatalogFeelingSchema,
+  createFeelingSessionSchema,
+  updateFeelingSessionSchema,
+  splitFeelingSessionSchema,
+  mergeFeelingSessionsSchema,
 } from "../validation/feelingSchemas.js";
 import {
   startFeeling,
@@ -11,10 +19,44 @@ import {
   getCurrentFeeling,
   getTodayFeelingLogs,
   getDayFeelingTimeline,
+  getFeelingInsightsHandler,
+  createFeelingSession,
+  updateFeelingSession,
+  deleteFeelingSession,
+  splitFeelingSession,
+  mergeFeelingSessions,
 } from "../controllers/feelingController.js";
+import {
+  getFeelingCatalogHandler,
+  createCatalogFeeling,
+  updateCatalogFeeling,
+  retireCatalogFeeling,
+} from "../controllers/feelingCatalogController.js";
 
 const router = Router();
 
+// The catalog is shared by every user, so only editors may change it.
+const requireEditor = [authMiddleware, requireRole("editor")];
+
+router.get(
+  "/catalog",
+  validateQuery(catalogQuerySchema),
+  tryCatch(getFeelingCatalogHandler)
+);
+router.post(
+  "/catalog",
+  requireEditor,
+  validateBody(createCatalogFeelingSchema),
+  tryCatch(createCatalogFeeling)
+);
+router.patch(
+  "/catalog/:key",
+  requireEditor,
+  validateBody(updateCatalogFeelingSchema),
+  tryCatch(updateCatalogFeeling)
+);
+router.delete("/catalog/:key", requireEditor, tryCatch(retireCatalogFeeling));
+
 router.post(
   "/start",
   authMiddleware,
@@ -31,5 +73,42 @@ router.get(
   validateQuery(dayTimelineQuerySchema),
   tryCatch(getDayFeelingTimeline)
 );
+router.get(
+  "/insights",
+  authMiddleware,
+  validateQuery(insightsQuerySchema),
+  tryCatch(getFeelingInsightsHandler)
+);
+
+// Backdating and editing past sessions.
+router.post(
+  "/sessions",
+  authMiddleware,
+  validateBody(createFeelingSessionSchema),
+  tryCatch(createFeelingSession)
+);
+router.post(
+  "/sessions/merge",
+  authMiddleware,
+  validateBody(mergeFeelingSessionsSchema),
+  tryCatch(mergeFeelingSessions)
+);
+router.patch(
+  "/sessions/:logId",
+  authMiddleware,
+  validateBody(updateFeelingSessionSchema),
+  tryCatch(updateFeelingSession)
+);
+router.delete(
+  "/sessions/:logId",
+  authMiddleware,
+  tryCatch(deleteFeelingSession)
+);
+router.post(
+  "/sessions/:logId/split",
+  authMiddleware,
+  validateBody(splitFeelingSessionSchema),
+  tryCatch(splitFeelingSession)
+);
 
 export default router;
@@ -1,8 +1,18 @@
 import { Router } from "express";
 import { authMiddleware } from "../middleware/authMiddleware.js";
-import { pingActivity } from "../controllers/activityController.js";
-import { tryCatch, validateQuery } from "../utils/http.js";
-import { calendarQuerySchema } from "../validation/activitySchemas.js";
+import {
+  pingActivity,
+  recordActivityAction,
+  getStreakFreezes,
+  buyStreakFreezeHandler,
+  redeemStreakFreezeHandler,
+} from "../controllers/activityController.js";
+import { tryCatch, validateBody, validateQuery } from "../utils/http.js";
+import {
+  calendarQuerySchema,
+  recordActionSchema,
+  redeemFreezeSchema,
+} from "../validation/activitySchemas.js";
 import {
   getFeelingStreak,
   getActiveDaysCalendar,
@@ -11,6 +21,12 @@ import {
 const router = Router();
 
 router.post("/ping", authMiddleware, tryCatch(pingActivity));
+router.post(
+  "/actions",
+  authMiddleware,
+  validateBody(recordActionSchema),
+  tryCatch(recordActivityAction)
+);
 router.get("/streak", authMiddleware, tryCatch(getFeelingStreak));
 router.get(
   "/calendar",
@@ -18,5 +34,13 @@ router.get(
   validateQuery(calendarQuerySchema),
   tryCatch(getActiveDaysCalendar)
 );
+router.get("/freezes", authMiddleware, tryCatch(getStreakFreezes));
+router.post("/freezes/buy", authMiddleware, tryCatch(buyStreakFreezeHandler));
+router.post(
+  "/freezes/redeem",
+  authMiddleware,
+  validateBody(redeemFreezeSchema),
+  tryCatch(redeemStreakFreezeHandler)
+);
 
 export default router;
@@ -1,9 +1,14 @@
 import express from "express";
 import multer from "multer";
 import * as ambienceAudioController from "../controllers/ambienceAudioController.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
+// Content management is restricted to editors; destructive maintenance to admins.
+const requireEditor = [authMiddleware, requireRole("editor")];
+const requireAdmin = [authMiddleware, requireRole("admin")];
+
 /**
  * Ambience Audio Routes
  * Handles soundscape/ambience audio for "Sound escape" feature
@@ -50,6 +55,7 @@ router.get(
  */
 router.post(
   "/upload-ambience-audio",
+  requireEditor,
   upload.single("audioFile"),
   ambienceAudioController.uploadAmbienceAudio
 ); ///tested
@@ -63,6 +69,7 @@ router.post(
  */
 router.post(
   "/upload-ambience-audio-url",
+  requireEditor,
   ambienceAudioController.uploadAmbienceAudioUrl
 ); ///what is ambience audio url
 
@@ -75,6 +82,7 @@ router.post(
  */
 router.delete(
   "/delete-ambience-audio/:id",
+  requireEditor,
   ambienceAudioController.deleteAmbienceAudio
 ); ///tested
 
@@ -87,6 +95,7 @@ router.delete(
  */
 router.delete(
   "/force-delete-ambience-audio/:id",
+  requireAdmin,
   ambienceAudioController.forceDeleteAmbienceAudio
 ); ///tested
 
@@ -99,6 +108,7 @@ router.delete(
  */
 router.put(
   "/update-ambience-audio/:id",
+  requireEditor,
   ambienceAudioController.updateAmbienceAudio
 ); // not tested but probably works
 
@@ -1,6 +1,10 @@
 import express from "express";
 const router = express.Router();
 import * as ambienceCommandController from "../controllers/ambienceCommandController.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
+
+// Content management is restricted to editors.
+const requireEditor = [authMiddleware, requireRole("editor")];
 
 /**
  * Ambience Command Routes
@@ -43,7 +47,11 @@ router.get(
  * Usage: Add new soundscape environment with BLE commands
  * Command format: [{ second: number, value: hex_string }]
  */
-router.post("/", ambienceCommandController.createAmbienceCommands); ///tested
+router.post(
+  "/",
+  requireEditor,
+  ambienceCommandController.createAmbienceCommands
+); ///tested
 
 /**
  * PUT /api/ambience-commands/:environment
@@ -53,7 +61,11 @@ router.post("/", ambienceCommandController.createAmbienceCommands); ///tested
  * Returns: Updated command set
  * Usage: Modify BLE sequence for existing soundscape
  */
-router.put("/:environment", ambienceCommandController.updateAmbienceCommands); //tested
+router.put(
+  "/:environment",
+  requireEditor,
+  ambienceCommandController.updateAmbienceCommands
+); //tested
 
 /**
  * DELETE /api/ambience-commands/:environment
@@ -64,6 +76,7 @@ router.put("/:environment", ambienceCommandController.updateAmbienceCommands); /
  */
 router.delete(
   "/:environment",
+  requireEditor,
   ambienceCommandController.deleteAmbienceCommands
 ); ///tested
 
@@ -78,6 +91,7 @@ router.delete(
  */
 router.post(
   "/bulk-upload",
+  requireEditor,
   ambienceCommandController.bulkUploadAmbienceCommands
 ); /// most probably it will work
 
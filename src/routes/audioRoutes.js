@@ -1,9 +1,14 @@
 import express from "express";
 import multer from "multer";
 import * as audioController from "../controllers/audioController.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
+// Content management is restricted to editors; destructive maintenance to admins.
+const requireEditor = [authMiddleware, requireRole("editor")];
+const requireAdmin = [authMiddleware, requireRole("admin")];
+
 /**
  * Audio Routes
  * Handles mindfulness/meditation/breath work audio files
@@ -49,6 +54,7 @@ router.get("/get-audios", audioController.getAllAudios); ///tested
  */
 router.post(
   "/upload-audio",
+  requireEditor,
   upload.fields([
     { name: "audioFile", maxCount: 1 },
     { name: "thumbnail", maxCount: 1 },
@@ -63,7 +69,7 @@ router.post(
  * Returns: Created audio metadata
  * Usage: Backward compatibility for direct URL saves
  */
-router.post("/upload-audio-url", audioController.uploadAudioUrl); /// what is audio url huhh
+router.post("/upload-audio-url", requireEditor, audioController.uploadAudioUrl); /// what is audio url huhh
 
 /**
  * DELETE /api/audios/delete-audio/:id
@@ -72,7 +78,7 @@ router.post("/upload-audio-url", audioController.uploadAudioUrl); /// what is au
  * Params: id - MongoDB document ID
  * Returns: Success message with deletion status
  */
-router.delete("/delete-audio/:id", audioController.deleteAudio); ///tested
+router.delete("/delete-audio/:id", requireEditor, audioController.deleteAudio); ///tested
 
 /**
  * DELETE /api/audios/force-delete-audio/:id
@@ -81,7 +87,11 @@ router.delete("/delete-audio/:id", audioController.deleteAudio); ///tested
  * Params: id - MongoDB document ID
  * Returns: Success message
  */
-router.delete("/force-delete-audio/:id", audioController.forceDeleteAudio); ///tested
+router.delete(
+  "/force-delete-audio/:id",
+  requireAdmin,
+  audioController.forceDeleteAudio,
+); ///tested
 
 /**
  * PUT /api/audios/update-audio/:id
@@ -90,7 +100,7 @@ router.delete("/force-delete-audio/:id", audioController.forceDeleteAudio); ///t
  * Params: id - MongoDB document ID
  * Returns: Updated audio object
  */
-router.put("/update-audio/:id", audioController.updateAudio); ///tested
+router.put("/update-audio/:id", requireEditor, audioController.updateAudio); ///tested
 
 /**
  * GET /api/audios/audio-info/:id
@@ -1,14 +1,27 @@
 import { Router } from "express";
-import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import RegisterUser from "../models/UserModel.js";
-import { JWT_SECRET, TEST_EMAIL, TEST_OTP } from "../config/constants.js";
-import { generateOtp, hashOtp, verifyOtp } from "../utils/otpService.js";
+import PendingRegistration from "../models/PendingRegistration.js";
+import {
+  TEST_EMAIL,
+  TEST_OTP,
+  ACCOUNT_DELETION_GRACE_DAYS,
+} from "../config/constants.js";
+import {
+  generateOtp,
+  hashOtp,
+  verifyOtp,
+  storeOtp,
+  reserveOtpSend,
+  getOtpLockout,
+  recordFailedOtp,
+  clearFailedOtps,
+} from "../utils/otpService.js";
 import { sendOtpEmail, sendWelcomeEmail } from "../utils/emailService.js";
+import { sendOtpSms } from "../utils/smsService.js";
 import { authMiddleware } from "../middleware/authMiddleware.js";
-import UserActivityDay from "../models/UserActivityDay.js";
-import FeelingLog from "../models/FeelingLog.js";
-import JournalEntry from "../models/JournalEntry.js";
-import JournalTask from "../models/JournalTask.js";
+import { rateLimit } from "../middleware/rateLimitMiddleware.js";
+import { recordAuthFailure } from "../utils/authAudit.js";
 import { tryCatch, validateBody } from "../utils/http.js";
 import {
   registerSchema,
@@ -16,8 +29,35 @@ import {
   loginSchema,
   onboardingSchema,
   socialLoginSchema,
+  phoneLoginSchema,
+  phoneVerifyOtpSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  linkProviderSchema,
 } from "../validation/authSchemas.js";
-import { verifySocialLogin } from "../utils/socialAuthService.js";
+import {
+  verifySocialLogin,
+  PROVIDER_ID_FIELDS,
+} from "../utils/socialAuthService.js";
+import {
+  recordLogin,
+  listUserDevices,
+  getRecentLogins,
+  signOutDevice,
+} from "../utils/deviceService.js";
+import {
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+} from "../utils/accountDeletionService.js";
+import {
+  createSession,
+  getDeviceInfo,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+} from "../utils/sessionService.js";
+import { forgetUserTimeZone, getUserToday } from "../utils/dateKeyService.js";
 import {
   buildMinimalProfilePayload,
   buildProfilePayload,
@@ -36,11 +76,123 @@ const shouldUseTestOtpForEmail = (email) => {
   return normalizeEmail(email) === normalizeEmail(TEST_EMAIL);
 };
 
-// Temporary storage for signup OTP (not stored in DB yet)
-const pendingRegistrations = new Map();
+// Per-IP limits; per-email/phone limits (cooldown, hourly cap, lockout) are in otpService.
+const otpSendIpLimit = rateLimit({
+  name: "otp-send-ip",
+  limit: 20,
+  windowMs: 60 * 60 * 1000,
+});
+const otpVerifyIpLimit = rateLimit({
+  name: "otp-verify-ip",
+  limit: 30,
+  windowMs: 15 * 60 * 1000,
+});
+
+// Reserves an OTP send for an email/phone; responds 429 and returns null when throttled.
+async function ensureOtpSendAllowed(req, res, identifier) {
+  if (shouldUseTestOtpForEmail(identifier)) {
+    return { allowed: true, resendAvailableInSeconds: 0 };
+  }
+
+  const reservation = await reserveOtpSend(identifier);
+  if (reservation.allowed) return reservation;
+
+  await recordAuthFailure(req, {
+    event: "otp_send_throttled",
+    identifier,
+    reason: reservation.reason,
+  });
+
+  res.set("Retry-After", String(reservation.retryAfterSeconds));
+  res.status(429).json({
+    error:
+      reservation.reason === "cooldown"
+        ? "Please wait before requesting another OTP."
+        : "Too many OTP requests. Please try again later.",
+    retryAfterSeconds: reservation.retryAfterSeconds,
+  });
+  return null;
+}
+
+// Responds 429 and returns true when verification is locked for an email/phone.
+async function rejectIfOtpLocked(req, res, identifier) {
+  const lockout = await getOtpLockout(identifier);
+  if (!lockout.locked) return false;
+
+  await recordAuthFailure(req, {
+    event: "otp_verify_locked",
+    identifier,
+    reason: "locked",
+  });
+
+  res.set("Retry-After", String(lockout.retryAfterSeconds));
+  res.status(429).json({
+    error: "Too many invalid attempts. Please try again later.",
+    retryAfterSeconds: lockout.retryAfterSeconds,
+  });
+  return true;
+}
+
+// Counts an invalid OTP (locking the identifier once the limit is hit) and responds.
+async function respondInvalidOtp(req, res, identifier, userId = null) {
+  const failure = await recordFailedOtp(identifier);
+
+  await recordAuthFailure(req, {
+    event: "otp_verify_failed",
+    identifier,
+    userId,
+    reason: failure.locked ? "invalid_otp_locked" : "invalid_otp",
+  });
+
+  if (failure.locked) {
+    res.set("Retry-After", String(failure.retryAfterSeconds));
+    return res.status(429).json({
+      error: "Too many invalid attempts. Please try again later.",
+      retryAfterSeconds: failure.retryAfterSeconds,
+    });
+  }
+
+  return res.status(400).json({
+    error: "Invalid OTP",
+    attemptsRemaining: failure.attemptsRemaining,
+  });
+}
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+// How long an unverified sign-up is kept before Mongo's TTL index drops it.
+const PENDING_REGISTRATION_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_REGISTRATION_OTP_ATTEMPTS = 5;
+const MAX_REGISTRATION_OTP_SENDS = 5;
+
+// Start a session for a verified sign-in and record it in the device history.
+async function signIn(req, user, provider) {
+  const device = getDeviceInfo(req);
+  const userDevice = await recordLogin(user, device, provider);
+  return createSession(user._id, { ...device, userDevice: userDevice?._id });
+}
+
+async function issueRegistrationOtp(pending) {
+  const email = pending.email;
+  const otp = shouldUseTestOtpForEmail(email)
+    ? String(TEST_OTP)
+    : generateOtp();
+
+  const now = Date.now();
+  pending.otp = await hashOtp(otp);
+  pending.otpExpires = new Date(now + OTP_TTL_MS);
+  pending.attempts = 0;
+  pending.lastSentAt = new Date(now);
+  pending.expiresAt = new Date(now + PENDING_REGISTRATION_TTL_MS);
+  await pending.save();
+
+  if (!shouldUseTestOtpForEmail(email)) {
+    await sendOtpEmail(email, otp);
+  }
+}
 
 router.post(
   "/register",
+  otpSendIpLimit,
   validateBody(registerSchema),
   tryCatch(async (req, res) => {
     try {
@@ -57,24 +209,28 @@ router.post(
         return res.status(400).json({ error: "User already exists" });
       }
 
-      const otp = shouldUseTestOtpForEmail(email)
-        ? String(TEST_OTP)
-        : generateOtp();
-      const hashedOtp = await hashOtp(otp);
+      // Registering again reuses the pending sign-up (new username, fresh OTP),
+      // but keeps the send counter so it can't be used to bypass the resend limit.
+      let pending = await PendingRegistration.findOne({ email });
+      if (!pending) {
+        pending = new PendingRegistration({ email, username, sendCount: 0 });
+      } else if (pending.sendCount >= MAX_REGISTRATION_OTP_SENDS) {
+        return res.status(429).json({
+          error: "Too many OTP requests. Please try again later.",
+        });
+      }
 
-      pendingRegistrations.set(email, {
-        username,
-        email,
-        otp: hashedOtp,
-        otpExpires: Date.now() + 10 * 60 * 1000,
-      });
+      const reservation = await ensureOtpSendAllowed(req, res, email);
+      if (!reservation) return;
 
-      if (!shouldUseTestOtpForEmail(email)) {
-        await sendOtpEmail(email, otp);
-      }
+      pending.username = username;
+      pending.sendCount += 1;
+
+      await issueRegistrationOtp(pending);
 
       return res.json({
         message: "OTP sent. Please verify to complete registration.",
+        resendAvailableInSeconds: reservation.resendAvailableInSeconds,
       });
     } catch (err) {
       console.error(err);
@@ -83,28 +239,79 @@ router.post(
   }),
 );
 
+router.post(
+  "/register/resend-otp",
+  otpSendIpLimit,
+  validateBody(loginSchema),
+  tryCatch(async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const pending = await PendingRegistration.findOne({ email });
+      if (!pending) {
+        return res.status(400).json({ error: "No registration found" });
+      }
+
+      if (pending.sendCount >= MAX_REGISTRATION_OTP_SENDS) {
+        return res.status(429).json({
+          error: "Too many OTP requests. Please try again later.",
+        });
+      }
+
+      const reservation = await ensureOtpSendAllowed(req, res, email);
+      if (!reservation) return;
+
+      pending.sendCount += 1;
+      await issueRegistrationOtp(pending);
+
+      return res.json({
+        message: "OTP resent. Please verify to complete registration.",
+        remainingResends: MAX_REGISTRATION_OTP_SENDS - pending.sendCount,
+        resendAvailableInSeconds: reservation.resendAvailableInSeconds,
+      });
+    } catch (err) {
+      console.error("REGISTER RESEND OTP ERROR:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
+  }),
+);
+
 router.post(
   "/verify-otp",
+  otpVerifyIpLimit,
   validateBody(verifyOtpSchema),
   tryCatch(async (req, res) => {
     try {
       const { email, otp } = req.body;
 
-      const pending = pendingRegistrations.get(email);
+      if (await rejectIfOtpLocked(req, res, email)) return;
+
+      const pending = await PendingRegistration.findOne({ email });
       if (!pending) {
         return res.status(400).json({ error: "No registration found" });
       }
 
-      if (pending.otpExpires < Date.now()) {
-        pendingRegistrations.delete(email);
+      if (pending.otpExpires.getTime() < Date.now()) {
         return res.status(400).json({ error: "OTP expired" });
       }
 
+      if (pending.attempts >= MAX_REGISTRATION_OTP_ATTEMPTS) {
+        return res.status(429).json({
+          error: "Too many invalid attempts. Please request a new OTP.",
+        });
+      }
+
       const valid = await verifyOtp(otp, pending.otp);
       if (!valid) {
-        return res.status(400).json({ error: "Invalid OTP" });
+        await PendingRegistration.updateOne(
+          { _id: pending._id },
+          { $inc: { attempts: 1 } },
+        );
+        return respondInvalidOtp(req, res, email);
       }
 
+      await clearFailedOtps(email);
+
       const newUser = new RegisterUser({
         username: pending.username,
         email: pending.email,
@@ -113,7 +320,7 @@ router.post(
       });
 
       await newUser.save();
-      pendingRegistrations.delete(email);
+      await PendingRegistration.deleteOne({ _id: pending._id });
 
       if (!newUser || !newUser.email || !newUser.username || !newUser._id) {
         return res.status(500).json({ error: "Error creating user" });
@@ -121,21 +328,13 @@ router.post(
 
       await sendWelcomeEmail(newUser.email, newUser.username);
 
-      try {
-        await UserActivityDay.markActive(String(newUser._id));
-      } catch (err) {
-        console.warn("ACTIVITY MARK ERROR (SIGNUP VERIFY):", err);
-      }
-
-      const token = jwt.sign({ user: { id: newUser._id } }, JWT_SECRET, {
-        expiresIn: "1000h",
-      });
+      const tokens = await signIn(req, newUser, "email");
 
       const profile = await buildMinimalProfilePayload(String(newUser._id));
 
       return res.json({
         message: "OTP verified successfully. Proceed with onboarding.",
-        token,
+        ...tokens,
         profile,
       });
     } catch (err) {
@@ -147,6 +346,7 @@ router.post(
 
 router.post(
   "/login",
+  otpSendIpLimit,
   validateBody(loginSchema),
   tryCatch(async (req, res) => {
     try {
@@ -160,6 +360,9 @@ router.post(
           .json({ error: "User not found. Please sign up." });
       }
 
+      const reservation = await ensureOtpSendAllowed(req, res, email);
+      if (!reservation) return;
+
       const otp = shouldUseTestOtpForEmail(email)
         ? String(TEST_OTP)
         : generateOtp();
@@ -173,7 +376,10 @@ router.post(
         await sendOtpEmail(email, otp);
       }
 
-      return res.json({ message: "OTP sent to email" });
+      return res.json({
+        message: "OTP sent to email",
+        resendAvailableInSeconds: reservation.resendAvailableInSeconds,
+      });
     } catch (err) {
       console.error("LOGIN OTP ERROR:", err);
       return res.status(500).json({ error: "Server error" });
@@ -183,11 +389,14 @@ router.post(
 
 router.post(
   "/login/verify-otp",
+  otpVerifyIpLimit,
   validateBody(verifyOtpSchema),
   tryCatch(async (req, res) => {
     try {
       const { email, otp } = req.body;
 
+      if (await rejectIfOtpLocked(req, res, email)) return;
+
       const user = await RegisterUser.findOne({ email });
       if (!user) return res.status(404).json({ error: "User not found" });
 
@@ -202,27 +411,23 @@ router.post(
       }
 
       const valid = await verifyOtp(otp, user.otp);
-      if (!valid) return res.status(400).json({ error: "Invalid OTP" });
+      if (!valid) return respondInvalidOtp(req, res, email, user._id);
+
+      await clearFailedOtps(email);
 
       delete user.otp;
       delete user.otpExpires;
       await user.save();
 
-      const token = jwt.sign({ user: { id: user._id } }, JWT_SECRET, {
-        expiresIn: "1000h",
-      });
-
-      try {
-        await UserActivityDay.markActive(String(user._id));
-      } catch (err) {
-        console.warn("ACTIVITY MARK ERROR (LOGIN VERIFY):", err);
-      }
+      const accountDeletionCancelled = await cancelAccountDeletion(user);
+      const tokens = await signIn(req, user, "email");
 
       const profile = await buildMinimalProfilePayload(String(user._id));
 
       return res.json({
         message: "Login successful",
-        token,
+        accountDeletionCancelled,
+        ...tokens,
         profile,
       });
     } catch (err) {
@@ -232,13 +437,143 @@ router.post(
   }),
 );
 
+// Phone login doubles as phone sign-up: unknown numbers get a pending
+// registration and the account is created once the OTP is verified.
+router.post(
+  "/phone/login",
+  otpSendIpLimit,
+  validateBody(phoneLoginSchema),
+  tryCatch(async (req, res) => {
+    const { phoneNumber, username } = req.body;
+
+    const reservation = await ensureOtpSendAllowed(req, res, phoneNumber);
+    if (!reservation) return;
+
+    const user = await RegisterUser.findByPhoneOrEmail(phoneNumber);
+    let otp;
+
+    if (user) {
+      otp = await storeOtp(user);
+    } else {
+      let pending = await PendingRegistration.findOne({ phoneNumber });
+      if (!pending) {
+        pending = new PendingRegistration({
+          phoneNumber,
+          username: username || "User",
+          sendCount: 0,
+        });
+      } else if (username) {
+        pending.username = username;
+      }
+      pending.sendCount += 1;
+      pending.attempts = 0;
+      pending.lastSentAt = new Date();
+      pending.expiresAt = new Date(Date.now() + PENDING_REGISTRATION_TTL_MS);
+      otp = await storeOtp(pending);
+    }
+
+    const sent = await sendOtpSms(phoneNumber, otp);
+    if (!sent) {
+      return res.status(502).json({ error: "Failed to send OTP" });
+    }
+
+    return res.json({
+      message: "OTP sent to phone",
+      isNewUser: !user,
+      resendAvailableInSeconds: reservation.resendAvailableInSeconds,
+    });
+  }),
+);
+
+router.post(
+  "/phone/verify-otp",
+  otpVerifyIpLimit,
+  validateBody(phoneVerifyOtpSchema),
+  tryCatch(async (req, res) => {
+    const { phoneNumber, otp } = req.body;
+
+    if (await rejectIfOtpLocked(req, res, phoneNumber)) return;
+
+    let user = await RegisterUser.findByPhoneOrEmail(phoneNumber);
+    const isNewUser = !user;
+
+    if (user) {
+      if (!user.otp || !user.otpExpires) {
+        return res.status(400).json({ error: "No OTP found" });
+      }
+
+      if (user.otpExpires.getTime() < Date.now()) {
+        user.otp = undefined;
+        user.otpExpires = undefined;
+        await user.save();
+        return res.status(400).json({ error: "OTP expired" });
+      }
+
+      const valid = await verifyOtp(otp, user.otp);
+      if (!valid) return respondInvalidOtp(req, res, phoneNumber, user._id);
+
+      user.otp = undefined;
+      user.otpExpires = undefined;
+      user.isPhoneVerified = true;
+      await user.save();
+    } else {
+      const pending = await PendingRegistration.findOne({ phoneNumber });
+      if (!pending) {
+        return res.status(400).json({ error: "No OTP found" });
+      }
+
+      if (pending.otpExpires.getTime() < Date.now()) {
+        return res.status(400).json({ error: "OTP expired" });
+      }
+
+      if (pending.attempts >= MAX_REGISTRATION_OTP_ATTEMPTS) {
+        return res.status(429).json({
+          error: "Too many invalid attempts. Please request a new OTP.",
+        });
+      }
+
+      const valid = await verifyOtp(otp, pending.otp);
+      if (!valid) {
+        await PendingRegistration.updateOne(
+          { _id: pending._id },
+          { $inc: { attempts: 1 } },
+        );
+        return respondInvalidOtp(req, res, phoneNumber);
+      }
+
+      user = await RegisterUser.create({
+        username: pending.username,
+        phoneNumber,
+        isPhoneVerified: true,
+        onboardingCompleted: false,
+      });
+      await PendingRegistration.deleteOne({ _id: pending._id });
+    }
+
+    await clearFailedOtps(phoneNumber);
+
+    const accountDeletionCancelled = await cancelAccountDeletion(user);
+    const tokens = await signIn(req, user, "phone");
+
+    const profile = await buildMinimalProfilePayload(String(user._id));
+
+    return res.json({
+      message: isNewUser ? "User registered successfully" : "Login successful",
+      isNewUser,
+      accountDeletionCancelled,
+      ...tokens,
+      profile,
+    });
+  }),
+);
+
 router.post(
   "/onboarding",
   authMiddleware,
   validateBody(onboardingSchema),
   tryCatch(async (req, res) => {
     try {
-      const { name, gender, dob } = req.body;
+      const { name, gender, dob, timezone } = req.body;
       const trimmedName = typeof name === "string" ? name.trim() : "";
 
       if (!gender || !dob) {
@@ -255,9 +590,11 @@ router.post(
       }
       user.preferences.gender = gender;
       user.preferences.dob = new Date(dob);
+      if (timezone) user.preferences.timezone = timezone;
       user.onboardingCompleted = true;
 
       await user.save();
+      if (timezone) forgetUserTimeZone(userId);
 
       return res.json({ message: "Onboarding completed", user });
     } catch (err) {
@@ -267,13 +604,14 @@ router.post(
   }),
 );
 
-router.get("/ping", authMiddleware, async (req, res) => {
-  const now = new Date();
-  const dateKey = `${now.getUTCFullYear()}-${String(
-    now.getUTCMonth() + 1,
-  ).padStart(2, "0")}-${String(now.getUTCDate()).padStart(2, "0")}`;
-  return res.json({ active: true, dateKey });
-});
+router.get(
+  "/ping",
+  authMiddleware,
+  tryCatch(async (req, res) => {
+    const { todayKey } = await getUserToday(req.user.id);
+    return res.json({ active: true, dateKey: todayKey });
+  }),
+);
 
 // Unified Social Login endpoint
 // Test tokens and user data for social login
@@ -325,45 +663,60 @@ router.post(
     // Verify provider token and get normalized profile
     const profile = await verifySocialLogin(provider, { idToken, accessToken });
 
-    const email = profile.email || fallbackEmail || "";
+    // Only an email the provider has verified identifies an existing
+    // account; the email in the request body is never trusted for that.
+    const verifiedEmail =
+      profile.email && profile.emailVerified ? profile.email : "";
     const name = profile.name || fallbackName || "User";
     const photoUrl = profile.photoUrl || fallbackPhoto || "";
 
-    // Find or create user by provider ID or email
-    const query = [];
-    if (email) query.push({ email });
-    if (provider === "google") query.push({ googleId: profile.providerId });
-    if (provider === "apple") query.push({ appleId: profile.providerId });
-
-    let user = await RegisterUser.findOne(
-      query.length ? { $or: query } : { _id: null },
-    );
+    // Find the user by provider ID first; email is only a fallback for the
+    // first login with this provider, so a changed provider email (common on
+    // GitHub) still resolves to the same account.
+    const idField = PROVIDER_ID_FIELDS[provider];
+    let user = profile.providerId
+      ? await RegisterUser.findOne({ [idField]: profile.providerId })
+      : null;
+    if (!user && verifiedEmail) {
+      user = await RegisterUser.findOne({ email: verifiedEmail });
+      if (user?.[idField] && user[idField] !== profile.providerId) {
+        return res.status(409).json({
+          error: `This email is linked to a different ${provider} account`,
+        });
+      }
+    }
     let isNewUser = false;
 
     if (!user) {
       isNewUser = true;
+      // An unverified or client-supplied email is kept (unverified) on a new
+      // account only if nobody else uses it yet.
+      const claimedEmail = profile.email || fallbackEmail || "";
+      const email =
+        verifiedEmail ||
+        (claimedEmail && !(await RegisterUser.exists({ email: claimedEmail }))
+          ? claimedEmail
+          : "");
       user = new RegisterUser({
         username: name,
         email: email || undefined,
         photoUrl,
-        isEmailVerified: Boolean(profile.emailVerified || !email),
+        isEmailVerified: Boolean(verifiedEmail),
       });
     }
 
     // Attach provider stable user id (token `sub`) and update user info.
     // NOTE: We do not store the idToken itself; we store the stable provider user id.
-    if (provider === "google") user.googleId = profile.providerId;
-    if (provider === "apple") user.appleId = profile.providerId;
-    if (email && !user.email) user.email = email;
+    user[idField] = profile.providerId;
+    if (verifiedEmail && !user.email) user.email = verifiedEmail;
     if (name && (!user.username || user.username === "User"))
       user.username = name;
     // Always update photoUrl if provided (keeps profile picture current)
     if (photoUrl) user.photoUrl = photoUrl;
 
-    // Mark verified if the provider asserts it.
-    // If email is not present (possible with Apple on subsequent logins), don't override existing state.
-    if (email) {
-      user.isEmailVerified = Boolean(profile.emailVerified);
+    // Mark verified if the provider verified this account's email.
+    if (verifiedEmail && user.email === verifiedEmail) {
+      user.isEmailVerified = true;
     }
 
     // Social login implies a successful login, so clear any pending OTP state.
@@ -372,19 +725,12 @@ router.post(
 
     await user.save();
 
-    try {
-      await UserActivityDay.markActive(String(user._id));
-    } catch (err) {
-      console.warn("ACTIVITY MARK ERROR (SOCIAL LOGIN):", err);
-    }
+    const accountDeletionCancelled = await cancelAccountDeletion(user);
+    const tokens = await signIn(req, user, provider);
 
-    const token = jwt.sign({ user: { id: user._id } }, JWT_SECRET, {
-      expiresIn: "1000h",
-    });
-
-    if (isNewUser && email && name) {
+    if (isNewUser && user.email && name) {
       try {
-        await sendWelcomeEmail(email, name);
+        await sendWelcomeEmail(user.email, name);
       } catch (e) {
         console.warn("WELCOME EMAIL ERROR (SOCIAL LOGIN):", e.message);
       }
@@ -397,7 +743,8 @@ router.post(
         ? "User registered successfully"
         : "User logged in successfully",
       isNewUser,
-      token,
+      accountDeletionCancelled,
+      ...tokens,
       // Keep a minimal user object to avoid leaking OTP/other internals.
       user: {
         _id: user._id,
@@ -412,8 +759,242 @@ router.post(
   }),
 );
 
+// Ways a user can sign in: email/phone OTP plus every linked social provider.
+function getLoginMethods(user) {
+  const methods = [];
+  if (user.email) methods.push("email");
+  if (user.phoneNumber) methods.push("phone");
+  for (const [provider, field] of Object.entries(PROVIDER_ID_FIELDS)) {
+    if (user[field]) methods.push(provider);
+  }
+  return methods;
+}
+
+function buildProvidersPayload(user) {
+  return {
+    providers: Object.entries(PROVIDER_ID_FIELDS).map(([provider, field]) => ({
+      provider,
+      linked: Boolean(user[field]),
+    })),
+    loginMethods: getLoginMethods(user),
+  };
+}
+
+// List social providers linked to the current account.
+router.get(
+  "/providers",
+  authMiddleware,
+  tryCatch(async (req, res) => {
+    const user = await RegisterUser.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    return res.json(buildProvidersPayload(user));
+  }),
+);
+
+// Link a social provider to the current account.
+// Body: { idToken?, accessToken? } (same tokens as /social-login)
+router.post(
+  "/providers/:provider",
+  authMiddleware,
+  validateBody(linkProviderSchema),
+  tryCatch(async (req, res) => {
+    const { provider } = req.params;
+    const idField = PROVIDER_ID_FIELDS[provider];
+    if (!idField)
+      return res.status(400).json({ error: "Unsupported provider" });
+
+    const user = await RegisterUser.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    let profile;
+    try {
+      profile = await verifySocialLogin(provider, {
+        idToken: req.body.idToken,
+        accessToken: req.body.accessToken,
+      });
+    } catch (err) {
+      console.warn("PROVIDER LINK VERIFY ERROR:", err?.message || err);
+      return res.status(401).json({ error: "Invalid provider token" });
+    }
+
+    if (user[idField] && user[idField] !== profile.providerId) {
+      return res.status(409).json({
+        error: `A different ${provider} account is already linked. Unlink it first.`,
+      });
+    }
+
+    const owner = await RegisterUser.findOne({
+      [idField]: profile.providerId,
+      _id: { $ne: user._id },
+    })
+      .select("_id")
+      .lean();
+    if (owner) {
+      return res.status(409).json({
+        error: `This ${provider} account is linked to another user`,
+      });
+    }
+
+    user[idField] = profile.providerId;
+    if (!user.photoUrl && profile.photoUrl) user.photoUrl = profile.photoUrl;
+    await user.save();
+
+    return res.json({
+      message: `${provider} linked`,
+      ...buildProvidersPayload(user),
+    });
+  }),
+);
+
+// Unlink a social provider (refused if it is the last way to sign in).
+router.delete(
+  "/providers/:provider",
+  authMiddleware,
+  tryCatch(async (req, res) => {
+    const { provider } = req.params;
+    const idField = PROVIDER_ID_FIELDS[provider];
+    if (!idField)
+      return res.status(400).json({ error: "Unsupported provider" });
+
+    const user = await RegisterUser.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    if (!user[idField]) {
+      return res.status(404).json({ error: `${provider} is not linked` });
+    }
+
+    if (getLoginMethods(user).length <= 1) {
+      return res.status(400).json({
+        error: "Cannot unlink your last login method",
+      });
+    }
+
+    user[idField] = undefined;
+    await user.save();
+
+    return res.json({
+      message: `${provider} unlinked`,
+      ...buildProvidersPayload(user),
+    });
+  }),
+);
+
+// Devices the user has signed in from, plus recent sign-ins.
+router.get(
+  "/devices",
+  authMiddleware,
+  tryCatch(async (req, res) => {
+    const userId = req.user.id;
+    const [devices, recentLogins] = await Promise.all([
+      listUserDevices(userId, req.auth?.sessionId),
+      getRecentLogins(userId),
+    ]);
+
+    return res.json({
+      devices: devices.map((device) => ({
+        id: String(device._id),
+        deviceId: device.deviceId ?? null,
+        deviceName: device.deviceName || null,
+        platform: device.platform || null,
+        appVersion: device.appVersion || null,
+        lastIp: device.lastIp || null,
+        lastProvider: device.lastProvider || null,
+        firstSeenAt: device.firstSeenAt,
+        lastSeenAt: device.lastSeenAt,
+        loginCount: device.loginCount ?? 0,
+        activeSessions: device.activeSessions,
+        isCurrent: device.isCurrent,
+      })),
+      recentLogins: recentLogins.map((login) => ({
+        id: String(login._id),
+        deviceId: login.userDevice ? String(login.userDevice) : null,
+        provider: login.provider,
+        deviceName: login.deviceName || null,
+        platform: login.platform || null,
+        appVersion: login.appVersion || null,
+        ip: login.ip || null,
+        isNewDevice: Boolean(login.isNewDevice),
+        at: login.createdAt,
+      })),
+    });
+  }),
+);
+
+// Sign a device out (revokes its sessions and removes it from the list).
+router.delete(
+  "/devices/:id",
+  authMiddleware,
+  tryCatch(async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid device id" });
+    }
+
+    const result = await signOutDevice(req.user.id, req.params.id);
+    if (!result) return res.status(404).json({ error: "Device not found" });
+
+    return res.json({
+      message: "Device signed out",
+      revokedSessions: result.revokedSessionIds.length,
+      signedOutCurrentDevice: result.revokedSessionIds.includes(
+        String(req.auth?.sessionId),
+      ),
+    });
+  }),
+);
+
+// Exchange a refresh token for a new access token (the refresh token rotates).
+router.post(
+  "/refresh",
+  validateBody(refreshTokenSchema),
+  tryCatch(async (req, res) => {
+    const tokens = await rotateRefreshToken(req.body.refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    return res.json({ message: "Token refreshed", ...tokens });
+  }),
+);
+
+// Sign out the current device.
+router.post(
+  "/logout",
+  authMiddleware,
+  validateBody(logoutSchema),
+  tryCatch(async (req, res) => {
+    const userId = req.user.id;
+    const sessionId = req.auth?.sessionId;
+
+    if (sessionId) {
+      await revokeSession(sessionId);
+    }
+    if (req.body.refreshToken) {
+      await revokeSessionByRefreshToken(userId, req.body.refreshToken);
+    }
+
+    return res.json({ success: true, message: "Logged out" });
+  }),
+);
+
+// Sign out every device, including tokens issued before sessions existed.
+router.post(
+  "/logout-all",
+  authMiddleware,
+  tryCatch(async (req, res) => {
+    const revokedSessions = await revokeAllSessions(req.user.id);
+
+    return res.json({
+      success: true,
+      message: "Logged out from all devices",
+      revokedSessions,
+    });
+  }),
+);
+
 // Account deletion endpoint (required for Sign in with Apple compliance)
-// Deletes the currently authenticated user's account and associated data.
+// Signs the user out everywhere and schedules a full data purge after a grace
+// period. Signing in again before then cancels the deletion.
 router.delete(
   "/account",
   authMiddleware,
@@ -428,19 +1009,15 @@ router.delete(
       return res.status(404).json({ error: "User not found" });
     }
 
-    await Promise.all([
-      FeelingLog.deleteMany({ user: userId }),
-      JournalEntry.deleteMany({ user: userId }),
-      JournalTask.deleteMany({ user: userId }),
-      UserActivityDay.deleteMany({ user: userId }),
-    ]);
-
-    await RegisterUser.findByIdAndDelete(userId);
+    const deletionScheduledFor = await scheduleAccountDeletion(user);
 
-    return res.json({
+    return res.status(202).json({
       success: true,
-      message: "Account deleted successfully",
+      message:
+        "Account scheduled for deletion. Sign in again before the date below to cancel.",
       userId,
+      deletionScheduledFor,
+      gracePeriodDays: ACCOUNT_DELETION_GRACE_DAYS,
     });
   }),
 );
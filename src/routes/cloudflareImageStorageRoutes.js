@@ -9,6 +9,7 @@ import {
   R2_BUCKET_NAME,
   R2_PUBLIC_URL,
 } from "../config/constants.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 
 /**
  * Cloudflare R2 Image Storage Routes
@@ -25,6 +26,9 @@ import {
 
 const router = express.Router();
 
+// Content management is restricted to editors.
+const requireEditor = [authMiddleware, requireRole("editor")];
+
 // Initialize Cloudflare R2 (S3-compatible API)
 const r2 = new AWS.S3({
   accessKeyId: R2_ACCESS_KEY_ID,
@@ -229,8 +233,18 @@ const uploadImageHandler = async (req, res) => {
 };
 
 // Register routes with handlers
-router.post("/upload-image", upload.single("image"), uploadImageHandler);
-router.post("/upload-r2-image", upload.single("image"), uploadImageHandler); // Legacy alias
+router.post(
+  "/upload-image",
+  requireEditor,
+  upload.single("image"),
+  uploadImageHandler
+);
+router.post(
+  "/upload-r2-image",
+  requireEditor,
+  upload.single("image"),
+  uploadImageHandler
+); // Legacy alias
 
 /**
  * POST /api/images/upload-images
@@ -346,9 +360,15 @@ const uploadImagesHandler = async (req, res) => {
 };
 
 // Register routes with handlers
-router.post("/upload-images", upload.array("images", 10), uploadImagesHandler);
+router.post(
+  "/upload-images",
+  requireEditor,
+  upload.array("images", 10),
+  uploadImagesHandler
+);
 router.post(
   "/upload-r2-images",
+  requireEditor,
   upload.array("images", 10),
   uploadImagesHandler
 ); // Legacy alias
@@ -437,8 +457,8 @@ const saveImageUrlHandler = async (req, res) => {
 };
 
 // Register routes with handlers
-router.post("/save-image-url", saveImageUrlHandler);
-router.post("/upload-r2-image-url", saveImageUrlHandler); // Legacy alias
+router.post("/save-image-url", requireEditor, saveImageUrlHandler);
+router.post("/upload-r2-image-url", requireEditor, saveImageUrlHandler); // Legacy alias
 
 /**
  * DELETE /api/images/delete-image/:r2Key
@@ -489,8 +509,8 @@ const deleteImageHandler = async (req, res) => {
 };
 
 // Register routes with handlers
-router.delete("/delete-image/:r2Key(*)", deleteImageHandler);
-router.delete("/delete-r2-image/:r2Key(*)", deleteImageHandler); // Legacy alias
+router.delete("/delete-image/:r2Key(*)", requireEditor, deleteImageHandler);
+router.delete("/delete-r2-image/:r2Key(*)", requireEditor, deleteImageHandler); // Legacy alias
 
 /**
  * GET /api/images/list
@@ -10,6 +10,7 @@ import {
   R2_BUCKET_NAME,
   R2_PUBLIC_URL,
 } from "../config/constants.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 
 /**
  * Cloudflare R2 Video Storage Routes
@@ -27,6 +28,10 @@ import {
 
 const router = express.Router();
 
+// Content management is restricted to editors; destructive maintenance to admins.
+const requireEditor = [authMiddleware, requireRole("editor")];
+const requireAdmin = [authMiddleware, requireRole("admin")];
+
 // Initialize Cloudflare R2 (S3-compatible API)
 const r2 = new AWS.S3({
   accessKeyId: R2_ACCESS_KEY_ID,
@@ -240,8 +245,18 @@ const uploadVideoHandler = async (req, res) => {
   }
 };
 
-router.post("/upload-r2-video", upload.single("video"), uploadVideoHandler);
-router.post("/upload-video", upload.single("video"), uploadVideoHandler); // Generic alias for backward compatibility
+router.post(
+  "/upload-r2-video",
+  requireEditor,
+  upload.single("video"),
+  uploadVideoHandler
+);
+router.post(
+  "/upload-video",
+  requireEditor,
+  upload.single("video"),
+  uploadVideoHandler
+); // Generic alias for backward compatibility
 
 /**
  * POST /api/upload-r2-video-url
@@ -319,7 +334,7 @@ const saveVideoUrlHandler = async (req, res) => {
   }
 };
 
-router.post("/upload-r2-video-url", saveVideoUrlHandler);
+router.post("/upload-r2-video-url", requireEditor, saveVideoUrlHandler);
 
 /**
  * DELETE /api/delete-r2-video/:id
@@ -391,8 +406,8 @@ const deleteVideoHandler = async (req, res) => {
   }
 };
 
-router.delete("/delete-r2-video/:id", deleteVideoHandler);
-router.delete("/delete-video/:id", deleteVideoHandler); // Generic alias for backward compatibility
+router.delete("/delete-r2-video/:id", requireEditor, deleteVideoHandler);
+router.delete("/delete-video/:id", requireEditor, deleteVideoHandler); // Generic alias for backward compatibility
 
 /**
  * DELETE /api/cleanup-r2/:r2Key
@@ -403,7 +418,7 @@ router.delete("/delete-video/:id", deleteVideoHandler); // Generic alias for bac
  *
  * Returns: Cleanup status
  */
-router.delete("/cleanup-r2/:r2Key(*)", async (req, res) => {
+router.delete("/cleanup-r2/:r2Key(*)", requireAdmin, async (req, res) => {
   const r2Key = req.params.r2Key;
 
   try {
@@ -727,7 +742,7 @@ router.get("/search-r2-videos", async (req, res) => {
  *
  * Returns: Updated video object
  */
-router.put("/update-r2-video/:id", async (req, res) => {
+router.put("/update-r2-video/:id", requireEditor, async (req, res) => {
   try {
     const videoId = req.params.id;
     const updates = req.body;
@@ -782,7 +797,7 @@ router.put("/update-r2-video/:id", async (req, res) => {
  *
  * Returns: List of updated videos
  */
-router.post("/fix-video-urls", async (req, res) => {
+router.post("/fix-video-urls", requireAdmin, async (req, res) => {
   try {
     const videos = await VideoS3.find({
       url: { $regex: "r2.cloudflarestorage.com" },
@@ -836,10 +851,15 @@ router.post("/fix-video-urls", async (req, res) => {
 
 // Backward compatible S3 route aliases
 router.get("/get-s3-videos", getAllVideosHandler);
-router.post("/upload-s3-video", upload.single("video"), uploadVideoHandler);
-router.post("/upload-s3-video-url", saveVideoUrlHandler);
-router.delete("/delete-s3-video/:id", deleteVideoHandler);
-router.delete("/cleanup-s3/:s3Key(*)", async (req, res) => {
+router.post(
+  "/upload-s3-video",
+  requireEditor,
+  upload.single("video"),
+  uploadVideoHandler
+);
+router.post("/upload-s3-video-url", requireEditor, saveVideoUrlHandler);
+router.delete("/delete-s3-video/:id", requireEditor, deleteVideoHandler);
+router.delete("/cleanup-s3/:s3Key(*)", requireAdmin, async (req, res) => {
   const r2Key = req.params.s3Key;
 
   try {
@@ -0,0 +1,18 @@
+import express from "express";
+
+import { tryCatch } from "../utils/http.js";
+import { unsubscribeFromEmail } from "../controllers/emailPreferenceController.js";
+
+const router = express.Router();
+
+/**
+ * Email Routes
+ *
+ * Mounted under: /api/email
+ *
+ * Public: unsubscribe links authenticate with the signed token they carry.
+ */
+router.get("/unsubscribe", tryCatch(unsubscribeFromEmail));
+router.post("/unsubscribe", tryCatch(unsubscribeFromEmail));
+
+export default router;
@@ -15,6 +15,7 @@ import {
   R2_BUCKET_NAME,
   R2_PUBLIC_URL,
 } from "../config/constants.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 
 /**
  * HLS Video Storage Routes
@@ -37,6 +38,9 @@ const __dirname = dirname(__filename);
 
 const router = express.Router();
 
+// Content management is restricted to editors.
+const requireEditor = [authMiddleware, requireRole("editor")];
+
 // Initialize Cloudflare R2 (S3-compatible API)
 const r2 = new AWS.S3({
   accessKeyId: R2_ACCESS_KEY_ID,
@@ -386,7 +390,12 @@ const uploadHLSVideoHandler = async (req, res) => {
   }
 };
 
-router.post("/upload-hls-video", upload.single("video"), uploadHLSVideoHandler);
+router.post(
+  "/upload-hls-video",
+  requireEditor,
+  upload.single("video"),
+  uploadHLSVideoHandler
+);
 
 /**
  * GET /api/get-hls-videos
@@ -467,7 +476,7 @@ router.get("/get-hls-video/:id", async (req, res) => {
  *
  * Returns: Updated video object with HLS metadata
  */
-router.post("/convert-to-hls/:id", async (req, res) => {
+router.post("/convert-to-hls/:id", requireEditor, async (req, res) => {
   let tempDir = null;
 
   try {
@@ -593,7 +602,7 @@ router.post("/convert-to-hls/:id", async (req, res) => {
  *
  * Returns: Deletion status with cleanup info
  */
-router.delete("/delete-hls-video/:id", async (req, res) => {
+router.delete("/delete-hls-video/:id", requireEditor, async (req, res) => {
   try {
     const video = await HLSVideoStorage.findById(req.params.id);
 
@@ -0,0 +1,51 @@
+import express from "express";
+import crypto from "crypto";
+
+import { tryCatch } from "../utils/http.js";
+import { JOB_RUNNER_SECRET } from "../config/constants.js";
+import {
+  getJobs,
+  getJobRuns,
+  triggerJob,
+} from "../controllers/jobController.js";
+
+const router = express.Router();
+
+/**
+ * Internal Job Routes
+ *
+ * Mounted under: /internal/jobs
+ *
+ * Lets a scheduler (EventBridge rule, cron, etc.) run background jobs when the
+ * app runs under serverless-http and in-process timers are not reliable.
+ * Callers must send the shared secret in the `x-job-secret` header.
+ */
+const requireJobSecret = (req, res, next) => {
+  if (!JOB_RUNNER_SECRET) {
+    return res.status(503).json({ error: "Job runner is not configured" });
+  }
+
+  const provided = Buffer.from(String(req.header("x-job-secret") ?? ""));
+  const expected = Buffer.from(JOB_RUNNER_SECRET);
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  next();
+};
+
+router.use(requireJobSecret);
+
+// List registered jobs and their last run.
+router.get("/", tryCatch(getJobs));
+
+// Run history for one job.
+router.get("/:name/runs", tryCatch(getJobRuns));
+
+// Run a job now (skipped with 409 if another instance holds the lock).
+router.post("/:name", tryCatch(triggerJob));
+
+export default router;
@@ -1,17 +1,24 @@
 import express from "express";
 import multer from "multer";
 
-import { authMiddleware } from "../middleware/authMiddleware.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 import { tryCatch, validateBody, validateQuery } from "../utils/http.js";
 
 import {
   getJournalForDate,
+  getJournalPrompts,
   getActiveJournals,
   getJournalHistory,
   upsertJournalTasksForDate,
   listIncompleteJournalDays,
   appendJournalTaskForDate,
   updateJournalTaskStatus,
+  moveJournalTask,
+  deferJournalTask,
+  dropJournalTask,
+  searchJournalHandler,
+  getJournalChangesHandler,
+  syncJournal,
   upsertJournalQuestionsForDate,
   getTotalTaskStats,
   getAverageDailyTaskStats,
@@ -21,18 +28,41 @@ import {
   getMonthlyTaskDaysFilled,
   getRandomWeeklyJournalVideo,
 } from "../controllers/journalController.js";
+import {
+  listPromptSets,
+  createPromptSet,
+  updatePromptSet,
+  retirePromptSet,
+  assignPromptSet,
+  unassignPromptSet,
+} from "../controllers/journalPromptController.js";
 
 import {
   journalDateQuerySchema,
   upsertJournalTasksSchema,
   appendJournalTaskSchema,
   updateJournalTaskStatusSchema,
+  moveJournalTaskSchema,
+  deferJournalTaskSchema,
+  journalSearchQuerySchema,
+  journalHistoryQuerySchema,
+  journalIncompleteQuerySchema,
+  journalMilestonesQuerySchema,
+  journalLearningsQuerySchema,
+  journalChangesQuerySchema,
+  journalSyncSchema,
   upsertJournalQuestionsSchema,
   journalMonthQuerySchema,
+  createPromptSetSchema,
+  updatePromptSetSchema,
+  assignPromptSetSchema,
 } from "../validation/journalSchemas.js";
 
 const router = express.Router();
 
+// Prompt sets are shared by every user, so only editors may change them.
+const requireEditor = [authMiddleware, requireRole("editor")];
+
 // Multer for optional journal photo uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -101,13 +131,57 @@ router.get(
   tryCatch(getJournalForDate),
 );
 
-// Get today's journal + all days with any incomplete tasks.
+// Get the prompts to answer on a day (defaults to today).
+router.get(
+  "/journal/prompts",
+  authMiddleware,
+  validateQuery(journalDateQuerySchema),
+  tryCatch(getJournalPrompts),
+);
+
+// Manage prompt sets, their schedules and who they're assigned to.
+router.get("/journal/prompt-sets", requireEditor, tryCatch(listPromptSets));
+router.post(
+  "/journal/prompt-sets",
+  requireEditor,
+  validateBody(createPromptSetSchema),
+  tryCatch(createPromptSet),
+);
+router.patch(
+  "/journal/prompt-sets/:key",
+  requireEditor,
+  validateBody(updatePromptSetSchema),
+  tryCatch(updatePromptSet),
+);
+router.delete(
+  "/journal/prompt-sets/:key",
+  requireEditor,
+  tryCatch(retirePromptSet),
+);
+router.put(
+  "/journal/prompt-sets/:key/assignments",
+  requireEditor,
+  validateBody(assignPromptSetSchema),
+  tryCatch(assignPromptSet),
+);
+router.delete(
+  "/journal/prompt-sets/:key/assignments/:userId",
+  requireEditor,
+  tryCatch(unassignPromptSet),
+);
+
+// Get today's journal, including pending tasks carried forward.
 router.get("/journal/active", authMiddleware, tryCatch(getActiveJournals));
 
-// Get all journal entries (newest first).
-router.get("/journal/history", authMiddleware, tryCatch(getJournalHistory));
+// Get journal days (newest first), paged by day.
+router.get(
+  "/journal/history",
+  authMiddleware,
+  validateQuery(journalHistoryQuerySchema),
+  tryCatch(getJournalHistory),
+);
 
-// Create/replace the 5 tasks for a day (defaults to today).
+// Create/replace the tasks scheduled for a day (defaults to today).
 router.post(
   "/journal/tasks/batch",
   authMiddleware,
@@ -115,10 +189,11 @@ router.post(
   tryCatch(upsertJournalTasksForDate),
 );
 
-// List days where at least one task is not completed.
+// List days with pending tasks scheduled on them (oldest first), paged by day.
 router.get(
   "/journal/incomplete",
   authMiddleware,
+  validateQuery(journalIncompleteQuerySchema),
   tryCatch(listIncompleteJournalDays),
 );
 
@@ -138,7 +213,54 @@ router.patch(
   tryCatch(updateJournalTaskStatus),
 );
 
-// Upsert daily questions for a day (defaults to today).
+// Move a pending task to another day.
+router.post(
+  "/journal/tasks/:taskId/move",
+  authMiddleware,
+  validateBody(moveJournalTaskSchema),
+  tryCatch(moveJournalTask),
+);
+
+// Defer a pending task by a number of days (default 1).
+router.post(
+  "/journal/tasks/:taskId/defer",
+  authMiddleware,
+  validateBody(deferJournalTaskSchema),
+  tryCatch(deferJournalTask),
+);
+
+// Drop a pending task (kept as skipped, no longer carried forward).
+router.post(
+  "/journal/tasks/:taskId/drop",
+  authMiddleware,
+  tryCatch(dropJournalTask),
+);
+
+// Full-text search over answers and tasks.
+router.get(
+  "/journal/search",
+  authMiddleware,
+  validateQuery(journalSearchQuerySchema),
+  tryCatch(searchJournalHandler),
+);
+
+// Changes since a sync sequence, for offline clients.
+router.get(
+  "/journal/changes",
+  authMiddleware,
+  validateQuery(journalChangesQuerySchema),
+  tryCatch(getJournalChangesHandler),
+);
+
+// Apply a batch of offline changes (versioned, conflicts reported).
+router.post(
+  "/journal/sync",
+  authMiddleware,
+  validateBody(journalSyncSchema),
+  tryCatch(syncJournal),
+);
+
+// Upsert the answers to a day's prompts (defaults to today).
 router.put(
   "/journal/questions",
   authMiddleware,
@@ -165,15 +287,21 @@ router.get(
   tryCatch(getAverageDailyTaskStats),
 );
 
-// Get all milestones (anythingSpecialHappenedToday) by day.
+// Get milestones (anythingSpecialHappenedToday) by day, paged by day.
 router.get(
   "/journal/milestones",
   authMiddleware,
+  validateQuery(journalMilestonesQuerySchema),
   tryCatch(getJournalMilestones),
 );
 
-// Get all learnings (whatDidYouLearn) by day.
-router.get("/journal/learnings", authMiddleware, tryCatch(getJournalLearnings));
+// Get learnings (whatDidYouLearn) by day, paged by day.
+router.get(
+  "/journal/learnings",
+  authMiddleware,
+  validateQuery(journalLearningsQuerySchema),
+  tryCatch(getJournalLearnings),
+);
 
 // Get stats for days with learning/mistakes answers.
 router.get(
@@ -1,8 +1,12 @@
 import express from "express";
 
 import { authMiddleware } from "../middleware/authMiddleware.js";
-import { tryCatch } from "../utils/http.js";
-import { getStreakLeaderboard } from "../controllers/leaderboardController.js";
+import { tryCatch, validateQuery } from "../utils/http.js";
+import { leaderboardQuerySchema } from "../validation/leaderboardSchemas.js";
+import {
+  getStreakLeaderboard,
+  getMyStreakRank,
+} from "../controllers/leaderboardController.js";
 
 const router = express.Router();
 
@@ -14,13 +18,20 @@ const router = express.Router();
 
 /**
  * GET /api/leaderboard/streak
- * Returns users sorted by max streak (desc).
- * Optional query: ?limit=100 (1..200)
+ * Returns users sorted by max streak (desc); ties go to the earlier account.
+ * Optional query: ?limit=100 (1..200) &cursor=<nextCursor>
  */
 router.get(
   "/leaderboard/streak",
   authMiddleware,
+  validateQuery(leaderboardQuerySchema),
   tryCatch(getStreakLeaderboard),
 );
 
+/**
+ * GET /api/leaderboard/streak/me
+ * Returns the signed-in user's rank (null without a streak yet).
+ */
+router.get("/leaderboard/streak/me", authMiddleware, tryCatch(getMyStreakRank));
+
 export default router;
@@ -1,6 +1,6 @@
 import express from "express";
 
-import { authMiddleware } from "../middleware/authMiddleware.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 import { tryCatch, validateBody } from "../utils/http.js";
 import {
   createNotificationSchema,
@@ -16,6 +16,9 @@ import {
 
 const router = express.Router();
 
+// Notifications are shown to every user, so only editors may manage them.
+const requireEditor = [authMiddleware, requireRole("editor")];
+
 /**
  * Notification Routes
  *
@@ -23,7 +26,7 @@ const router = express.Router();
  */
 router.post(
   "/notifications",
-  authMiddleware,
+  requireEditor,
   validateBody(createNotificationSchema),
   tryCatch(createNotification),
 );
@@ -35,13 +38,13 @@ router.get(
 );
 router.patch(
   "/notifications/:notificationId",
-  authMiddleware,
+  requireEditor,
   validateBody(updateNotificationSchema),
   tryCatch(updateNotification),
 );
 router.delete(
   "/notifications/:notificationId",
-  authMiddleware,
+  requireEditor,
   tryCatch(deleteNotification),
 );
 
@@ -1,7 +1,7 @@
 import express from "express";
 
 import { authMiddleware } from "../middleware/authMiddleware.js";
-import { tryCatch, validateBody } from "../utils/http.js";
+import { tryCatch, validateBody, validateQuery } from "../utils/http.js";
 
 import {
   getMyProfile,
@@ -9,9 +9,23 @@ import {
   getAmbiencePreferences,
   setAmbiencePreference,
 } from "../controllers/profileController.js";
+import {
+  requestMyDataExport,
+  getLatestDataExport,
+  getDataExportById,
+} from "../controllers/dataExportController.js";
+import {
+  getEmailPreferences,
+  updateEmailPreferences,
+  getWeeklyDigest,
+} from "../controllers/emailPreferenceController.js";
 
 import { setAmbienceSelectionSchema } from "../validation/authSchemas.js";
-import { updateProfileSchema } from "../validation/profileSchemas.js";
+import {
+  updateProfileSchema,
+  updateEmailPreferencesSchema,
+  weeklyDigestQuerySchema,
+} from "../validation/profileSchemas.js";
 
 const router = express.Router();
 
@@ -78,4 +92,55 @@ router.put(
   tryCatch(setAmbiencePreference)
 );
 
+// -------------------------
+//        DATA EXPORT
+// -------------------------
+
+/**
+ * POST /api/me/export
+ * Queues an archive (JSON + CSV) of the user's profile, journals, feelings,
+ * activity history, badges and form submissions.
+ */
+router.post("/me/export", authMiddleware, tryCatch(requestMyDataExport));
+
+/**
+ * GET /api/me/export
+ * GET /api/me/export/:exportId
+ * Export progress; `downloadUrl` is an expiring link once the archive is ready.
+ */
+router.get("/me/export", authMiddleware, tryCatch(getLatestDataExport));
+router.get("/me/export/:exportId", authMiddleware, tryCatch(getDataExportById));
+
+// -------------------------
+//      EMAIL PREFERENCES
+// -------------------------
+
+/**
+ * GET /api/me/email-preferences
+ * PUT /api/me/email-preferences
+ * Opt in/out of the weekly digest email. Body: { weeklyDigest }
+ */
+router.get(
+  "/me/email-preferences",
+  authMiddleware,
+  tryCatch(getEmailPreferences)
+);
+router.put(
+  "/me/email-preferences",
+  authMiddleware,
+  validateBody(updateEmailPreferencesSchema),
+  tryCatch(updateEmailPreferences)
+);
+
+/**
+ * GET /api/me/weekly-digest?week=YYYY-MM-DD
+ * The digest data for a week (default: last full week, Monday to Sunday).
+ */
+router.get(
+  "/me/weekly-digest",
+  authMiddleware,
+  validateQuery(weeklyDigestQuerySchema),
+  tryCatch(getWeeklyDigest)
+);
+
 export default router;
@@ -0,0 +1,25 @@
+import express from "express";
+
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import { tryCatch, validateQuery } from "../utils/http.js";
+import { recapQuerySchema } from "../validation/recapSchemas.js";
+import { getRecapHandler } from "../controllers/recapController.js";
+
+const router = express.Router();
+
+/**
+ * Recap Routes
+ *
+ * Mounted under: /api
+ *
+ * Recaps are cached per user and period (see utils/recapService.js), so
+ * recent activity can take a while to show up.
+ */
+router.get(
+  "/recap",
+  authMiddleware,
+  validateQuery(recapQuerySchema),
+  tryCatch(getRecapHandler),
+);
+
+export default router;
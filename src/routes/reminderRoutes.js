@@ -0,0 +1,45 @@
+import express from "express";
+
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import { tryCatch, validateBody, validateQuery } from "../utils/http.js";
+import {
+  inboxQuerySchema,
+  updateCheckInRemindersSchema,
+} from "../validation/reminderSchemas.js";
+import {
+  getCheckInReminders,
+  updateCheckInReminders,
+  getInbox,
+  markInboxItemRead,
+  markAllInboxRead,
+} from "../controllers/reminderController.js";
+
+const router = express.Router();
+
+/**
+ * Check-in Reminder & Inbox Routes
+ *
+ * Mounted under: /api
+ *
+ * Reminders are delivered to the inbox by the "deliver-checkin-reminders"
+ * job; a reminder is skipped when the user already logged a feeling since
+ * the previous one.
+ */
+router.get("/reminders/checkin", authMiddleware, tryCatch(getCheckInReminders));
+router.put(
+  "/reminders/checkin",
+  authMiddleware,
+  validateBody(updateCheckInRemindersSchema),
+  tryCatch(updateCheckInReminders),
+);
+
+router.get(
+  "/inbox",
+  authMiddleware,
+  validateQuery(inboxQuerySchema),
+  tryCatch(getInbox),
+);
+router.post("/inbox/read-all", authMiddleware, tryCatch(markAllInboxRead));
+router.post("/inbox/:itemId/read", authMiddleware, tryCatch(markInboxItemRead));
+
+export default router;
@@ -1,8 +1,12 @@
 import express from "express";
 import * as yogaPoseListController from "../controllers/yogaPoseListController.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
+// Content management is restricted to editors.
+const requireEditor = [authMiddleware, requireRole("editor")];
+
 /**
  * Yoga Pose List Routes
  * Legacy-compatible routes migrated from arvyax_back_end.
@@ -14,24 +18,40 @@ router.get(
   "/yoga-pose-list/:uniqueId",
   yogaPoseListController.getSectionByUniqueId,
 );
-router.post("/yoga-pose-list/section", yogaPoseListController.createSection);
+router.post(
+  "/yoga-pose-list/section",
+  requireEditor,
+  yogaPoseListController.createSection,
+);
 router.post(
   "/yoga-pose-list/:sectionId/card-url",
+  requireEditor,
   yogaPoseListController.addCardWithImageUrl,
 );
 router.put(
   "/yoga-pose-list/:sectionId/card-url/:cardId",
+  requireEditor,
   yogaPoseListController.updateCardWithImageUrl,
 );
 router.delete(
   "/yoga-pose-list/:sectionId/card/:cardId",
+  requireEditor,
   yogaPoseListController.deleteCard,
 );
-router.put("/yoga-pose-list/:uniqueId", yogaPoseListController.updateSection);
+router.put(
+  "/yoga-pose-list/:uniqueId",
+  requireEditor,
+  yogaPoseListController.updateSection,
+);
 router.delete(
   "/yoga-pose-list/:uniqueId",
+  requireEditor,
   yogaPoseListController.deleteSection,
 );
-router.post("/yoga-pose-list/reorder", yogaPoseListController.reorderSections);
+router.post(
+  "/yoga-pose-list/reorder",
+  requireEditor,
+  yogaPoseListController.reorderSections,
+);
 
 export default router;
@@ -1,7 +1,12 @@
 import express from "express";
 import * as yogaPracticeController from "../controllers/yogaPracticeController.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 const router = express.Router();
 
+// Content management is restricted to editors; destructive maintenance to admins.
+const requireEditor = [authMiddleware, requireRole("editor")];
+const requireAdmin = [authMiddleware, requireRole("admin")];
+
 /**
  * Yoga Practice Routes
  * Manages the practice library structure (sections & cards)
@@ -24,7 +29,11 @@ router.get("/get-yoga-practices", yogaPracticeController.getAllYogaPractices);
  * Auto-generates audio IDs for cards missing them
  * Returns: Count of updated items
  */
-router.post("/migrate-audio-ids", yogaPracticeController.migrateAudioIds);
+router.post(
+  "/migrate-audio-ids",
+  requireAdmin,
+  yogaPracticeController.migrateAudioIds
+);
 
 /**
  * POST /api/practices/upload-practice-image
@@ -35,6 +44,7 @@ router.post("/migrate-audio-ids", yogaPracticeController.migrateAudioIds);
  */
 router.post(
   "/upload-practice-image",
+  requireEditor,
   yogaPracticeController.uploadPracticeImage
 );
 
@@ -45,7 +55,7 @@ router.post(
  * Returns: Updated practice with new section
  * Usage: Add new category (e.g., "Advanced Asanas")
  */
-router.post("/add-section", yogaPracticeController.addSection);
+router.post("/add-section", requireEditor, yogaPracticeController.addSection);
 
 /**
  * DELETE /api/practices/delete-practice-image/:sectionName/:cardId
@@ -56,6 +66,7 @@ router.post("/add-section", yogaPracticeController.addSection);
  */
 router.delete(
   "/delete-practice-image/:sectionName/:cardId",
+  requireEditor,
   yogaPracticeController.deletePracticeImage
 );
 
@@ -69,6 +80,7 @@ router.delete(
  */
 router.put(
   "/update-card/:sectionName/:cardId",
+  requireEditor,
   yogaPracticeController.updateCard
 );
 
@@ -81,6 +93,7 @@ router.put(
  */
 router.delete(
   "/delete-section/:sectionName",
+  requireEditor,
   yogaPracticeController.deleteSection
 );
 
@@ -97,6 +110,7 @@ router.delete(
  */
 router.post(
   "/upload-card-image/:sectionName/:cardId",
+  requireEditor,
   yogaPracticeController.uploadCardImage
 );
 
@@ -109,6 +123,7 @@ router.post(
  */
 router.delete(
   "/delete-card-image/:sectionName/:cardId/:subId",
+  requireEditor,
   yogaPracticeController.deleteCardImage
 );
 
@@ -122,6 +137,7 @@ router.delete(
  */
 router.put(
   "/update-card-image/:sectionName/:cardId/:subId",
+  requireEditor,
   yogaPracticeController.updateCardImage
 );
 
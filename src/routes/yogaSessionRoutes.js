@@ -1,8 +1,13 @@
 import express from "express";
 import multer from "multer";
 import * as yogaSessionController from "../controllers/yogaSessionController.js";
+import { authMiddleware, requireRole } from "../middleware/authMiddleware.js";
 const router = express.Router();
 
+// Content management is restricted to editors; destructive maintenance to admins.
+const requireEditor = [authMiddleware, requireRole("editor")];
+const requireAdmin = [authMiddleware, requireRole("admin")];
+
 /**
  * Yoga Session Routes
  * Handles session JSONs for "Start Session" feature in wellness screen
@@ -55,6 +60,7 @@ router.get(
  */
 router.post(
   "/upload-yoga-session",
+  requireEditor,
   upload.single("jsonFile"),
   yogaSessionController.uploadYogaSession
 );
@@ -67,6 +73,7 @@ router.post(
  */
 router.post(
   "/upload-yoga-session-url",
+  requireEditor,
   yogaSessionController.uploadYogaSessionUrl
 );
 
@@ -79,6 +86,7 @@ router.post(
  */
 router.delete(
   "/delete-yoga-session/:id",
+  requireEditor,
   yogaSessionController.deleteYogaSession
 );
 
@@ -91,6 +99,7 @@ router.delete(
  */
 router.delete(
   "/force-delete-yoga-session/:id",
+  requireAdmin,
   yogaSessionController.forceDeleteYogaSession
 );
 
@@ -101,7 +110,11 @@ router.delete(
  * Params: id - MongoDB document ID
  * Returns: Updated session object
  */
-router.put("/update-yoga-session/:id", yogaSessionController.updateYogaSession);
+router.put(
+  "/update-yoga-session/:id",
+  requireEditor,
+  yogaSessionController.updateYogaSession
+);
 
 /**
  * GET /api/json/yoga-session-info/:id
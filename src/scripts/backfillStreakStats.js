@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import UserActivityDay from "../models/UserActivityDay.js";
+import { MONGODB_URI } from "../config/constants.js";
+import { refreshStreakStat } from "../utils/streakService.js";
+
+/**
+ * Builds the leaderboard aggregates (StreakStat) for every user with
+ * activity. Safe to re-run; needed once for activity recorded before the
+ * aggregates existed.
+ */
+const backfillStreakStats = async () => {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log("📦 Connected to database");
+
+    const userIds = await UserActivityDay.distinct("user");
+    let refreshed = 0;
+    for (const userId of userIds) {
+      if (await refreshStreakStat(userId)) refreshed += 1;
+    }
+    console.log(
+      `✅ Streak stats refreshed for ${refreshed}/${userIds.length} users`,
+    );
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error backfilling streak stats:", error);
+    process.exit(1);
+  }
+};
+
+backfillStreakStats();
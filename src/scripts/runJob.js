@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import { MONGODB_URI } from "../config/constants.js";
+import { listJobs, runJob } from "../utils/jobScheduler.js";
+import "../jobs/index.js";
+
+// Usage: npm run job:run -- <job-name> [--now=<ISO datetime>]
+// --now runs the job as if it were that time (fake clock for testing).
+const runJobFromCli = async () => {
+  const name = process.argv[2];
+  const nowArg = process.argv.find((arg) => arg.startsWith("--now="));
+  const now = nowArg ? new Date(nowArg.slice("--now=".length)) : undefined;
+  if (now && Number.isNaN(now.getTime())) {
+    console.error("❌ --now must be an ISO datetime");
+    process.exit(1);
+  }
+  if (!name) {
+    console.log("Available jobs:");
+    listJobs().forEach((job) =>
+      console.log(`- ${job.name}: ${job.description}`),
+    );
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log("📦 Connected to database");
+
+    const run = await runJob(name, { trigger: "manual", now });
+    console.log(`Job ${name} ${run.status}:`, run.result ?? run.error ?? "");
+
+    await mongoose.disconnect();
+    process.exit(run.status === "succeeded" ? 0 : 1);
+  } catch (error) {
+    console.error(`❌ Error running job ${name}:`, error);
+    process.exit(1);
+  }
+};
+
+runJobFromCli();
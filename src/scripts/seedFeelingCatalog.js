@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import FeelingCatalogItem from "../models/FeelingCatalogItem.js";
+import FeelingLog from "../models/FeelingLog.js";
+import { MONGODB_URI } from "../config/constants.js";
+import {
+  resolveFeeling,
+  seedDefaultFeelings,
+} from "../utils/feelingCatalogService.js";
+
+/**
+ * Seeds the default feeling catalog (existing items are left untouched) and
+ * maps free-text feelings on older logs to catalog keys.
+ */
+const seedFeelingCatalog = async () => {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log("📦 Connected to database");
+
+    const added = await seedDefaultFeelings();
+    console.log(`✅ Feeling catalog seeded (${added} added)`);
+
+    const keys = await FeelingCatalogItem.distinct("key");
+    const legacyValues = await FeelingLog.distinct("feeling", {
+      feeling: { $nin: keys },
+    });
+
+    const unmatched = [];
+    let mappedLogs = 0;
+    for (const value of legacyValues) {
+      const match = await resolveFeeling(value);
+      if (!match) {
+        unmatched.push(value);
+        continue;
+      }
+      const result = await FeelingLog.updateMany(
+        { feeling: value },
+        { $set: { feeling: match.key } },
+      );
+      mappedLogs += result.modifiedCount;
+    }
+    console.log(`✅ Mapped ${mappedLogs} feeling logs to catalog keys`);
+
+    if (unmatched.length) {
+      console.warn(
+        `⚠️  ${unmatched.length} feeling values have no catalog match; add them as aliases and re-run:`,
+      );
+      for (const value of unmatched) console.warn(`   - ${value}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error seeding feeling catalog:", error);
+    process.exit(1);
+  }
+};
+
+seedFeelingCatalog();
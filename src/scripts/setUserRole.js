@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import { MONGODB_URI } from "../config/constants.js";
+import RegisterUser, { USER_ROLES } from "../models/UserModel.js";
+
+// Usage: npm run user:set-role -- <email | phone number | user id> [role]
+// Role defaults to "admin", which is how the first admin is bootstrapped.
+const setUserRole = async () => {
+  const identifier = String(process.argv[2] ?? "").trim();
+  const role = String(process.argv[3] ?? "admin").trim();
+
+  if (!identifier || !USER_ROLES.includes(role)) {
+    console.log(
+      `Usage: npm run user:set-role -- <email|phone|userId> [${USER_ROLES.join("|")}]`,
+    );
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log("📦 Connected to database");
+
+    const user = mongoose.Types.ObjectId.isValid(identifier)
+      ? await RegisterUser.findById(identifier)
+      : await RegisterUser.findByPhoneOrEmail(identifier);
+
+    if (!user) {
+      console.error(`❌ No user found for ${identifier}`);
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+
+    const previousRole = user.role ?? "user";
+    user.role = role;
+    await user.save();
+
+    console.log(
+      `✅ ${user.email || user.phoneNumber || user._id}: ${previousRole} → ${role}`,
+    );
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error setting user role:", error);
+    process.exit(1);
+  }
+};
+
+setUserRole();
@@ -0,0 +1,186 @@
+import RegisterUser from "../models/UserModel.js";
+import PendingRegistration from "../models/PendingRegistration.js";
+import AuthSession from "../models/AuthSession.js";
+import AuthAuditEvent from "../models/AuthAuditEvent.js";
+import FeelingLog from "../models/FeelingLog.js";
+import JournalEntry from "../models/JournalEntry.js";
+import JournalTask from "../models/JournalTask.js";
+import JournalTombstone from "../models/JournalTombstone.js";
+import UserActivityDay from "../models/UserActivityDay.js";
+import FormSubmission from "../models/FormSubmission.js";
+import DataExport from "../models/DataExport.js";
+import UserDevice from "../models/UserDevice.js";
+import LoginEvent from "../models/LoginEvent.js";
+import ReminderPreference from "../models/ReminderPreference.js";
+import InboxItem from "../models/InboxItem.js";
+import RecapCache from "../models/RecapCache.js";
+import StreakStat from "../models/StreakStat.js";
+import JournalPromptAssignment from "../models/JournalPromptAssignment.js";
+import { ACCOUNT_DELETION_GRACE_DAYS } from "../config/constants.js";
+import { revokeAllSessions } from "./sessionService.js";
+import { sendAccountDeletionEmail } from "./emailService.js";
+import { deleteUserFilesFromR2 } from "./r2Upload.js";
+import { EXPORT_R2_PREFIX } from "./dataExportService.js";
+
+export const ACCOUNT_DELETION_GRACE_MS =
+  ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+
+/**
+ * Step one of account deletion: sign the user out everywhere and schedule
+ * the purge. Requesting again keeps the original date.
+ */
+export async function scheduleAccountDeletion(user, now = new Date()) {
+  if (!user.deletionScheduledFor) {
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(
+      now.getTime() + ACCOUNT_DELETION_GRACE_MS,
+    );
+    await user.save();
+  }
+
+  await revokeAllSessions(user._id, "account_deletion_requested");
+
+  if (user.email) {
+    await sendAccountDeletionEmail(
+      user.email,
+      user.username,
+      user.deletionScheduledFor,
+    );
+  }
+
+  return user.deletionScheduledFor;
+}
+
+/**
+ * Signing in during the grace period cancels a scheduled deletion.
+ * Resolves to true when a deletion was cancelled.
+ */
+export async function cancelAccountDeletion(user) {
+  if (!user?.deletionScheduledFor) return false;
+
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await user.save();
+  return true;
+}
+
+/**
+ * Remove everything tied to a user. The user document goes last so a
+ * failed purge is retried by the next job run.
+ */
+export async function purgeUserData(userId) {
+  const user = await RegisterUser.findById(userId)
+    .select("email phoneNumber")
+    .lean();
+  if (!user) return null;
+
+  const pendingIdentifiers = [
+    user.email && { email: user.email },
+    user.phoneNumber && { phoneNumber: user.phoneNumber },
+  ].filter(Boolean);
+
+  const [
+    feelingLogs,
+    journalEntries,
+    journalTasks,
+    journalTombstones,
+    activityDays,
+    formSubmissions,
+    authSessions,
+    auditEvents,
+    pendingRegistrations,
+    dataExports,
+    devices,
+    loginEvents,
+    reminderPreferences,
+    inboxItems,
+    recapCaches,
+    streakStats,
+    promptAssignments,
+  ] = await Promise.all([
+    FeelingLog.deleteMany({ user: userId }),
+    JournalEntry.deleteMany({ user: userId }),
+    JournalTask.deleteMany({ user: userId }),
+    JournalTombstone.deleteMany({ user: userId }),
+    UserActivityDay.deleteMany({ user: userId }),
+    FormSubmission.deleteMany({ userId: String(userId) }),
+    AuthSession.deleteMany({ user: userId }),
+    AuthAuditEvent.deleteMany({ user: userId }),
+    pendingIdentifiers.length
+      ? PendingRegistration.deleteMany({ $or: pendingIdentifiers })
+      : { deletedCount: 0 },
+    DataExport.deleteMany({ user: userId }),
+    UserDevice.deleteMany({ user: userId }),
+    LoginEvent.deleteMany({ user: userId }),
+    ReminderPreference.deleteMany({ user: userId }),
+    InboxItem.deleteMany({ user: userId }),
+    RecapCache.deleteMany({ user: userId }),
+    StreakStat.deleteMany({ user: userId }),
+    JournalPromptAssignment.deleteMany({ user: userId }),
+  ]);
+
+  const r2Objects =
+    (await deleteUserFilesFromR2({ userId: String(userId) })) +
+    (await deleteUserFilesFromR2({
+      userId: String(userId),
+      prefix: EXPORT_R2_PREFIX,
+    }));
+
+  await RegisterUser.deleteOne({ _id: userId });
+
+  return {
+    feelingLogs: feelingLogs.deletedCount,
+    journalEntries: journalEntries.deletedCount,
+    journalTasks: journalTasks.deletedCount,
+    journalTombstones: journalTombstones.deletedCount,
+    activityDays: activityDays.deletedCount,
+    formSubmissions: formSubmissions.deletedCount,
+    authSessions: authSessions.deletedCount,
+    auditEvents: auditEvents.deletedCount,
+    pendingRegistrations: pendingRegistrations.deletedCount,
+    dataExports: dataExports.deletedCount,
+    devices: devices.deletedCount,
+    loginEvents: loginEvents.deletedCount,
+    reminderPreferences: reminderPreferences.deletedCount,
+    inboxItems: inboxItems.deletedCount,
+    recapCaches: recapCaches.deletedCount,
+    streakStats: streakStats.deletedCount,
+    promptAssignments: promptAssignments.deletedCount,
+    r2Objects,
+  };
+}
+
+/**
+ * Purge every account whose grace period has ended.
+ */
+export async function purgeDueAccountDeletions(now = new Date(), limit = 100) {
+  const due = await RegisterUser.find({
+    deletionScheduledFor: { $ne: null, $lte: now },
+  })
+    .select("_id")
+    .sort({ deletionScheduledFor: 1 })
+    .limit(limit)
+    .lean();
+
+  let purged = 0;
+  const failed = [];
+
+  for (const { _id } of due) {
+    // Re-check right before purging in case the user just signed in.
+    const stillDue = await RegisterUser.exists({
+      _id,
+      deletionScheduledFor: { $ne: null, $lte: now },
+    });
+    if (!stillDue) continue;
+
+    try {
+      await purgeUserData(_id);
+      purged += 1;
+    } catch (err) {
+      console.error(`ACCOUNT PURGE FAILED (${_id}):`, err);
+      failed.push(String(_id));
+    }
+  }
+
+  return { due: due.length, purged, failed };
+}
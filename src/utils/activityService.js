@@ -0,0 +1,138 @@
+import UserActivityDay from "../models/UserActivityDay.js";
+import {
+  ACTIVITY_MIN_ACTIONS_PER_DAY,
+  ACTIVITY_QUALIFYING_ACTIONS,
+} from "../config/constants.js";
+import { getUserToday } from "./dateKeyService.js";
+import {
+  applyStreakFreezes,
+  awardStreakMilestone,
+  computeCurrentStreakFromDaySet,
+  getStreakDays,
+  refreshStreakStat,
+} from "./streakService.js";
+import { checkAndAssignBadges } from "./badgeService.js";
+
+export const ACTIVITY_ACTIONS = {
+  FEELING_STARTED: "feeling_started",
+  JOURNAL_TASK_COMPLETED: "journal_task_completed",
+  BREATHING_COMPLETED: "breathing_completed",
+  YOGA_COMPLETED: "yoga_completed",
+};
+
+// Sessions that play entirely on the device are reported by the client
+// (POST /api/activity/actions); the rest are recorded by their endpoints.
+export const CLIENT_REPORTED_ACTIONS = [
+  ACTIVITY_ACTIONS.BREATHING_COMPLETED,
+  ACTIVITY_ACTIONS.YOGA_COMPLETED,
+];
+
+export function isQualifyingAction(action) {
+  return ACTIVITY_QUALIFYING_ACTIONS.includes(action);
+}
+
+function dayProgress(day) {
+  return {
+    dateKey: day.dateKey,
+    qualified: day.qualified !== false,
+    qualifyingActions: day.qualifyingActions ?? 0,
+    requiredActions: ACTIVITY_MIN_ACTIONS_PER_DAY,
+    actions: { ...(day.actions ?? {}) },
+    mindfulMinutes: day.mindfulMinutes ?? 0,
+  };
+}
+
+/**
+ * Count a meaningful action toward today's activity. The action that makes
+ * the day qualify also applies pending streak freezes, pays out freeze
+ * milestones and checks streak badges. Never throws; resolves to null when
+ * recording fails.
+ */
+export async function recordActivity(
+  userId,
+  action,
+  { count = 1, minutes = 0, now = new Date() } = {},
+) {
+  try {
+    const { timeZone, todayKey } = await getUserToday(userId, now);
+    const qualifying = isQualifyingAction(action);
+    const day = await UserActivityDay.recordAction(userId, action, {
+      at: now,
+      timeZone,
+      count,
+      qualifying,
+      minutes,
+    });
+
+    const result = {
+      today: dayProgress(day),
+      newlyQualified: false,
+      frozenDays: [],
+      reward: null,
+      newBadges: [],
+    };
+    if (
+      day.qualified !== false ||
+      day.qualifyingActions < ACTIVITY_MIN_ACTIONS_PER_DAY
+    ) {
+      return result;
+    }
+
+    // Only one request gets to flip the flag, so rewards are paid once.
+    const flipped = await UserActivityDay.updateOne(
+      { _id: day._id, qualified: false },
+      { $set: { qualified: true, kind: "active" } },
+    );
+    if (flipped.modifiedCount === 0) return result;
+
+    result.newlyQualified = true;
+    result.today.qualified = true;
+    result.frozenDays = await applyStreakFreezes(
+      userId,
+      todayKey,
+      timeZone,
+      now,
+    );
+
+    const { active, frozen } = await getStreakDays(userId, todayKey);
+    const currentStreak = computeCurrentStreakFromDaySet(
+      active,
+      todayKey,
+      frozen,
+    );
+    result.currentStreak = currentStreak;
+    await refreshStreakStat(userId, { todayKey, active, frozen });
+    result.reward = await awardStreakMilestone(userId, currentStreak);
+    result.newBadges = await checkAndAssignBadges(userId);
+
+    return result;
+  } catch (err) {
+    console.warn("ACTIVITY RECORD ERROR:", err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Today's activity progress without recording anything.
+ */
+export async function getTodayActivity(userId, now = new Date()) {
+  const { timeZone, todayKey } = await getUserToday(userId, now);
+  const day = await UserActivityDay.findOne({
+    user: userId,
+    dateKey: todayKey,
+  }).lean();
+
+  return {
+    timeZone,
+    today: day
+      ? dayProgress(day)
+      : {
+          dateKey: todayKey,
+          qualified: false,
+          qualifyingActions: 0,
+          requiredActions: ACTIVITY_MIN_ACTIONS_PER_DAY,
+          actions: {},
+          mindfulMinutes: 0,
+        },
+  };
+}
@@ -0,0 +1,25 @@
+import AuthAuditEvent from "../models/AuthAuditEvent.js";
+
+/**
+ * Record a rejected auth attempt. Never throws: auditing must not break login.
+ */
+export async function recordAuthFailure(
+  req,
+  { event, identifier = "", userId = null, reason = "" },
+) {
+  try {
+    await AuthAuditEvent.create({
+      event,
+      identifier: String(identifier ?? "")
+        .trim()
+        .toLowerCase(),
+      user: userId,
+      ip: String(req?.ip ?? ""),
+      userAgent: String(req?.header?.("user-agent") ?? ""),
+      route: String(req?.originalUrl ?? ""),
+      reason,
+    });
+  } catch (err) {
+    console.warn("AUTH AUDIT ERROR:", err?.message || err);
+  }
+}
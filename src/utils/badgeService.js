@@ -1,48 +1,6 @@
 import RegisterUser from "../models/UserModel.js";
 import Badge from "../models/Badge.js";
-import UserActivityDay from "../models/UserActivityDay.js";
-
-function utcDateKey(date) {
-  const year = date.getUTCFullYear();
-  const month = String(date.getUTCMonth() + 1).padStart(2, "0");
-  const day = String(date.getUTCDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
-}
-
-/**
- * Calculate the current streak for a user
- */
-async function calculateCurrentStreak(userId) {
-  const today = new Date();
-  const todayUtcMidnight = new Date(
-    Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate())
-  );
-
-  const windowStart = new Date(todayUtcMidnight);
-  windowStart.setUTCDate(windowStart.getUTCDate() - 399);
-
-  const fromKey = utcDateKey(windowStart);
-  const toKey = utcDateKey(todayUtcMidnight);
-
-  const days = await UserActivityDay.distinct("dateKey", {
-    user: userId,
-    dateKey: { $gte: fromKey, $lte: toKey },
-  });
-
-  if (!days.length) return 0;
-
-  const daySet = new Set(days);
-  let streak = 0;
-  for (let i = 0; i < 400; i++) {
-    const d = new Date(todayUtcMidnight);
-    d.setUTCDate(d.getUTCDate() - i);
-    const key = utcDateKey(d);
-    if (!daySet.has(key)) break;
-    streak++;
-  }
-
-  return streak;
-}
+import { calculateCurrentStreak } from "./streakService.js";
 
 /**
  * Check and assign badges to a user based on their current streak
@@ -50,7 +8,8 @@ async function calculateCurrentStreak(userId) {
  */
 export async function checkAndAssignBadges(userId) {
   try {
-    const user = await RegisterUser.findById(userId).select("badges");
+    const user =
+      await RegisterUser.findById(userId).select("badges badgeAwards");
     if (!user) return [];
 
     // Get current streak
@@ -84,7 +43,11 @@ export async function checkAndAssignBadges(userId) {
 
     // Assign newly earned badges to user (skips if earnedBadges is empty)
     if (earnedBadges.length > 0) {
+      const earnedAt = new Date();
       user.badges.push(...earnedBadges.map((b) => b._id));
+      user.badgeAwards.push(
+        ...earnedBadges.map((b) => ({ badge: b._id, earnedAt }))
+      );
       await user.save();
     }
 
@@ -0,0 +1,240 @@
+import ReminderPreference, {
+  REMINDER_WEEKDAYS,
+} from "../models/ReminderPreference.js";
+import InboxItem from "../models/InboxItem.js";
+import FeelingLog from "../models/FeelingLog.js";
+import { CHECKIN_REMINDER_GRACE_MINUTES } from "../config/constants.js";
+import {
+  addDays,
+  getUserTimeZone,
+  localTimeToDate,
+  startOfDateKey,
+  toDateKey,
+} from "./dateKeyService.js";
+
+const GRACE_MS = CHECKIN_REMINDER_GRACE_MINUTES * 60 * 1000;
+// Far enough to get past a week of disabled days.
+const LOOKAHEAD_DAYS = 8;
+
+const CHECKIN_REMINDER = {
+  kind: "checkin_reminder",
+  title: "How are you feeling?",
+  message: "Take a moment to check in with your mood.",
+  link: "arvyax://feelings",
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether the local time `time` (HH:mm) falls in the quiet hours. Quiet
+ * hours may wrap past midnight (22:00-07:00); equal bounds mean none.
+ */
+export function isQuietTime(time, quietHours) {
+  if (!quietHours?.start || !quietHours?.end) return false;
+  const at = toMinutes(time);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  return start < end ? at >= start && at < end : at >= start || at < end;
+}
+
+/**
+ * Reminder slots on the local day `dateKey`, in order. Each slot covers the
+ * window since the previous slot of the day (or local midnight): a feeling
+ * logged in that window makes the reminder unnecessary.
+ */
+export function getDaySlots(prefs, timeZone, dateKey) {
+  const weekday =
+    REMINDER_WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+  if (!(prefs.daysOfWeek ?? []).includes(weekday)) return [];
+
+  const times = [...new Set(prefs.times ?? [])]
+    .filter((time) => !isQuietTime(time, prefs.quietHours))
+    .sort();
+
+  let windowStart = startOfDateKey(dateKey, timeZone);
+  return times.map((time) => {
+    const dueAt = localTimeToDate(dateKey, time, timeZone);
+    const slot = { slotKey: `${dateKey}T${time}`, dueAt, windowStart };
+    windowStart = dueAt;
+    return slot;
+  });
+}
+
+/**
+ * First slot strictly after `after`, or null when no day or time is enabled.
+ */
+export function findNextSlot(prefs, timeZone, after) {
+  const fromKey = addDays(toDateKey(after, timeZone), -1);
+  for (let i = 0; i <= LOOKAHEAD_DAYS; i++) {
+    const slot = getDaySlots(prefs, timeZone, addDays(fromKey, i)).find(
+      (s) => s.dueAt > after,
+    );
+    if (slot) return slot;
+  }
+  return null;
+}
+
+// Latest slot at or before `now` (today or yesterday), or null.
+function findLatestDueSlot(prefs, timeZone, now) {
+  const todayKey = toDateKey(now, timeZone);
+  for (const dateKey of [todayKey, addDays(todayKey, -1)]) {
+    const due = getDaySlots(prefs, timeZone, dateKey).filter(
+      (s) => s.dueAt <= now,
+    );
+    if (due.length) return due[due.length - 1];
+  }
+  return null;
+}
+
+export function formatReminderPreference(prefs) {
+  return {
+    enabled: prefs?.enabled ?? false,
+    times: prefs?.times ?? ["20:00"],
+    quietHours: {
+      start: prefs?.quietHours?.start ?? null,
+      end: prefs?.quietHours?.end ?? null,
+    },
+    daysOfWeek: prefs?.daysOfWeek ?? [...REMINDER_WEEKDAYS],
+    nextDueAt: prefs?.nextDueAt ?? null,
+  };
+}
+
+/**
+ * The user's reminder settings (defaults when never saved).
+ */
+export async function getReminderPreference(userId) {
+  const prefs = await ReminderPreference.findOne({ user: userId }).lean();
+  return formatReminderPreference(prefs);
+}
+
+/**
+ * Save reminder settings and schedule the next reminder from `now`.
+ * Also called after a timezone change to move the next slot.
+ */
+export async function saveReminderPreference(
+  userId,
+  fields = {},
+  now = new Date(),
+) {
+  const current = await ReminderPreference.findOne({ user: userId }).lean();
+  const next = {
+    ...formatReminderPreference(current),
+    ...fields,
+  };
+  if (next.times) next.times = [...new Set(next.times)].sort();
+
+  const timeZone = await getUserTimeZone(userId);
+  const slot = next.enabled ? findNextSlot(next, timeZone, now) : null;
+
+  const prefs = await ReminderPreference.findOneAndUpdate(
+    { user: userId },
+    {
+      $set: {
+        enabled: next.enabled,
+        times: next.times,
+        quietHours: next.quietHours,
+        daysOfWeek: next.daysOfWeek,
+        nextDueAt: slot?.dueAt ?? null,
+      },
+    },
+    { upsert: true, new: true, runValidators: true },
+  ).lean();
+  return formatReminderPreference(prefs);
+}
+
+/**
+ * Reschedule an existing reminder (e.g. after a timezone change).
+ */
+export async function rescheduleReminders(userId, now = new Date()) {
+  if (!(await ReminderPreference.exists({ user: userId, enabled: true }))) {
+    return;
+  }
+  await saveReminderPreference(userId, {}, now);
+}
+
+// Deliver one slot: "delivered", "late", "logged" or "duplicate".
+async function deliverSlot(userId, slot, now) {
+  if (now - slot.dueAt > GRACE_MS) return "late";
+
+  const logged = await FeelingLog.exists({
+    user: userId,
+    startedAt: { $gte: slot.windowStart, $lte: slot.dueAt },
+  });
+  if (logged) return "logged";
+
+  const result = await InboxItem.updateOne(
+    { user: userId, kind: CHECKIN_REMINDER.kind, slotKey: slot.slotKey },
+    {
+      $setOnInsert: {
+        title: CHECKIN_REMINDER.title,
+        message: CHECKIN_REMINDER.message,
+        link: CHECKIN_REMINDER.link,
+        dueAt: slot.dueAt,
+      },
+    },
+    { upsert: true },
+  );
+  return result.upsertedCount > 0 ? "delivered" : "duplicate";
+}
+
+/**
+ * Materialise due check-in reminders into users' inboxes. For every user
+ * whose next slot has passed, the latest due slot is delivered unless it's
+ * older than the grace period or the user already logged a feeling in the
+ * slot's window. `now` is injectable so tests can drive a fake clock.
+ */
+export async function deliverDueReminders({
+  now = new Date(),
+  limit = 500,
+} = {}) {
+  const due = await ReminderPreference.find({
+    enabled: true,
+    nextDueAt: { $ne: null, $lte: now },
+  })
+    .sort({ nextDueAt: 1 })
+    .limit(limit)
+    .lean();
+
+  const counts = { delivered: 0, logged: 0, late: 0, duplicate: 0 };
+  const failed = [];
+
+  for (const prefs of due) {
+    try {
+      const timeZone = await getUserTimeZone(prefs.user);
+      const slot = findLatestDueSlot(prefs, timeZone, now);
+      // Slots before nextDueAt were handled already.
+      const outcome =
+        slot && slot.dueAt >= prefs.nextDueAt
+          ? await deliverSlot(prefs.user, slot, now)
+          : null;
+      if (outcome) counts[outcome] += 1;
+
+      const next = findNextSlot(prefs, timeZone, now);
+      // Conditional so settings saved meanwhile aren't overwritten.
+      await ReminderPreference.updateOne(
+        { _id: prefs._id, nextDueAt: prefs.nextDueAt },
+        {
+          $set: {
+            nextDueAt: next?.dueAt ?? null,
+            ...(outcome === "delivered" ? { lastDeliveredAt: now } : {}),
+          },
+        },
+      );
+    } catch (err) {
+      console.error(`CHECK-IN REMINDER FAILED (${prefs.user}):`, err);
+      failed.push(String(prefs.user));
+    }
+  }
+
+  return {
+    due: due.length,
+    delivered: counts.delivered,
+    skippedLogged: counts.logged,
+    skippedLate: counts.late,
+    failed,
+  };
+}
@@ -0,0 +1,464 @@
+import crypto from "crypto";
+import RegisterUser from "../models/UserModel.js";
+import JournalEntry from "../models/JournalEntry.js";
+import JournalTask from "../models/JournalTask.js";
+import FeelingLog from "../models/FeelingLog.js";
+import UserActivityDay from "../models/UserActivityDay.js";
+import FormSubmission from "../models/FormSubmission.js";
+import DataExport from "../models/DataExport.js";
+import { createZip } from "./zipArchive.js";
+import { uploadPrivateUserFileToR2, deleteR2Object } from "./r2Upload.js";
+import { PROVIDER_ID_FIELDS } from "./socialAuthService.js";
+import { ensureJournalTasksMigrated } from "./journalTaskService.js";
+import {
+  CLASSIC_PROMPT_SET,
+  getEntryAnswers,
+  getPromptTexts,
+} from "./journalPromptService.js";
+
+export const EXPORT_R2_PREFIX = "mobile-user-exports";
+// How long a finished archive stays downloadable
+export const EXPORT_ARCHIVE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Lifetime of each pre-signed download link (the status endpoint mints new ones)
+export const EXPORT_LINK_TTL_SECONDS = 60 * 60;
+// A "processing" export older than this is assumed to have crashed and is retried
+const STALE_PROCESSING_MS = 30 * 60 * 1000;
+
+const ACTIVE_STATUSES = ["queued", "processing"];
+
+const iso = (value) => (value ? new Date(value).toISOString() : "");
+
+// CSV cell per RFC 4180. Cells that spreadsheets would treat as formulas are
+// prefixed with a quote so opening the file can't execute anything.
+function csvCell(value) {
+  if (value == null) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+async function collectProfile(userId) {
+  const user = await RegisterUser.findById(userId).lean();
+  if (!user) throw new Error("User not found");
+
+  return {
+    id: String(user._id),
+    username: user.username ?? "",
+    email: user.email ?? null,
+    phoneNumber: user.phoneNumber ?? null,
+    photoUrl: user.photoUrl ?? null,
+    onboardingCompleted: Boolean(user.onboardingCompleted),
+    linkedProviders: Object.entries(PROVIDER_ID_FIELDS)
+      .filter(([, field]) => Boolean(user[field]))
+      .map(([provider]) => provider),
+    preferences: {
+      nickname: user.preferences?.nickname ?? "",
+      gender: user.preferences?.gender ?? "",
+      dob: user.preferences?.dob ?? null,
+      ambienceSelections: (user.preferences?.ambienceSelections ?? []).map(
+        (selection) => ({
+          categoryId: String(selection.categoryId),
+          themeId: selection.themeId ? String(selection.themeId) : null,
+        }),
+      ),
+    },
+    createdAt: user.createdAt ?? null,
+    updatedAt: user.updatedAt ?? null,
+  };
+}
+
+async function collectJournals(userId) {
+  const [entries, promptTexts] = await Promise.all([
+    JournalEntry.find({ user: userId }).sort({ dateKey: 1 }).lean(),
+    getPromptTexts(),
+  ]);
+
+  return entries.map((entry) => ({
+    dateKey: entry.dateKey,
+    promptSet: entry.promptSet ?? CLASSIC_PROMPT_SET.key,
+    answers: getEntryAnswers(entry).map((answer) => ({
+      promptId: answer.promptId,
+      prompt: promptTexts.get(answer.promptId) ?? "",
+      text: answer.text,
+      photos: answer.photos,
+    })),
+    createdAt: entry.createdAt ?? null,
+    updatedAt: entry.updatedAt ?? null,
+  }));
+}
+
+async function collectTaskList(userId) {
+  await ensureJournalTasksMigrated(userId);
+  const tasks = await JournalTask.find({ user: userId })
+    .sort({ dueDateKey: 1, createdAt: 1 })
+    .lean();
+
+  return tasks.map((task) => ({
+    id: String(task._id),
+    task: task.title,
+    description: task.description ?? "",
+    status: task.status,
+    dueDateKey: task.dueDateKey,
+    scheduledDateKey: task.scheduledDateKey,
+    completedDateKey: task.completedDateKey ?? null,
+    completedAt: task.completedAt ?? null,
+    deferCount: task.deferCount ?? 0,
+    createdAt: task.createdAt ?? null,
+    updatedAt: task.updatedAt ?? null,
+  }));
+}
+
+async function collectFeelings(userId) {
+  const logs = await FeelingLog.find({ user: userId })
+    .sort({ startedAt: 1 })
+    .lean();
+
+  return logs.map((log) => ({
+    id: String(log._id),
+    feeling: log.feeling,
+    intensity: log.intensity ?? null,
+    note: log.note ?? "",
+    tags: log.tags ?? [],
+    trigger: log.trigger?.type
+      ? { type: log.trigger.type, refId: log.trigger.refId ?? null }
+      : null,
+    dateKey: log.dateKey,
+    startedAt: log.startedAt,
+    endedAt: log.endedAt ?? null,
+    durationMinutes: log.endedAt
+      ? Math.round(
+          (new Date(log.endedAt).getTime() -
+            new Date(log.startedAt).getTime()) /
+            60000,
+        )
+      : null,
+  }));
+}
+
+async function collectActivity(userId) {
+  const days = await UserActivityDay.find({ user: userId })
+    .sort({ dateKey: 1 })
+    .lean();
+
+  return days.map((day) => ({
+    dateKey: day.dateKey,
+    kind: day.kind ?? "active",
+    qualified: day.qualified !== false,
+    actions: day.actions ?? {},
+    mindfulMinutes: day.mindfulMinutes ?? 0,
+    firstSeenAt: day.firstSeenAt ?? null,
+    lastSeenAt: day.lastSeenAt ?? null,
+    hits: day.hits ?? 0,
+  }));
+}
+
+async function collectBadges(userId) {
+  const user = await RegisterUser.findById(userId)
+    .select("badges")
+    .populate("badges", "name description criteria level milestoneDays")
+    .lean();
+
+  return (user?.badges ?? []).map((badge) => ({
+    id: String(badge._id),
+    name: badge.name,
+    description: badge.description ?? "",
+    criteria: badge.criteria ?? "",
+    level: badge.level ?? 1,
+    milestoneDays: badge.milestoneDays ?? null,
+  }));
+}
+
+async function collectFormSubmissions(userId) {
+  const submissions = await FormSubmission.find({ userId: String(userId) })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return submissions.map((submission) => ({
+    id: String(submission._id),
+    formId: submission.formId,
+    formName: submission.formName ?? "",
+    answers: submission.metadata ?? {},
+    submittedAt: submission.createdAt ?? null,
+  }));
+}
+
+// Collected in order; each finished section advances `progress`.
+const SECTIONS = [
+  ["profile", collectProfile],
+  ["journals", collectJournals],
+  ["tasks", collectTaskList],
+  ["feelings", collectFeelings],
+  ["activity", collectActivity],
+  ["badges", collectBadges],
+  ["formSubmissions", collectFormSubmissions],
+];
+
+function buildCsvFiles(data) {
+  return [
+    {
+      name: "journal_tasks.csv",
+      data: toCsv(
+        [
+          "dueDateKey",
+          "scheduledDateKey",
+          "task",
+          "status",
+          "completedDateKey",
+          "deferCount",
+          "createdAt",
+          "updatedAt",
+        ],
+        data.tasks.map((task) => ({
+          ...task,
+          createdAt: iso(task.createdAt),
+          updatedAt: iso(task.updatedAt),
+        })),
+      ),
+    },
+    {
+      name: "journal_answers.csv",
+      data: toCsv(
+        ["dateKey", "promptSet", "promptId", "prompt", "answer", "photoUrls"],
+        data.journals.flatMap((entry) =>
+          entry.answers.map((answer) => ({
+            dateKey: entry.dateKey,
+            promptSet: entry.promptSet,
+            promptId: answer.promptId,
+            prompt: answer.prompt,
+            answer: answer.text,
+            photoUrls: answer.photos.join(" "),
+          })),
+        ),
+      ),
+    },
+    {
+      name: "feelings.csv",
+      data: toCsv(
+        [
+          "feeling",
+          "intensity",
+          "note",
+          "tags",
+          "trigger",
+          "dateKey",
+          "startedAt",
+          "endedAt",
+          "durationMinutes",
+        ],
+        data.feelings.map((log) => ({
+          ...log,
+          tags: log.tags.join(" "),
+          trigger: log.trigger?.type ?? "",
+          startedAt: iso(log.startedAt),
+          endedAt: iso(log.endedAt),
+        })),
+      ),
+    },
+    {
+      name: "activity_days.csv",
+      data: toCsv(
+        [
+          "dateKey",
+          "kind",
+          "qualified",
+          "firstSeenAt",
+          "lastSeenAt",
+          "hits",
+          "actions",
+          "mindfulMinutes",
+        ],
+        data.activity.map((day) => ({
+          ...day,
+          firstSeenAt: iso(day.firstSeenAt),
+          lastSeenAt: iso(day.lastSeenAt),
+          actions: JSON.stringify(day.actions),
+        })),
+      ),
+    },
+    {
+      name: "badges.csv",
+      data: toCsv(
+        ["name", "description", "criteria", "level", "milestoneDays"],
+        data.badges,
+      ),
+    },
+    {
+      name: "form_submissions.csv",
+      data: toCsv(
+        ["formId", "formName", "submittedAt", "answers"],
+        data.formSubmissions.map((submission) => ({
+          ...submission,
+          submittedAt: iso(submission.submittedAt),
+        })),
+      ),
+    },
+  ];
+}
+
+const README = `ARVYA_X personal data export
+
+export.json             Everything below in one JSON document
+profile.json            Account details and preferences
+journal_tasks.csv       Journal tasks (carried forward while pending)
+journal_answers.csv     Journal answers, one row per prompt (photoUrls are space separated)
+feelings.csv            Feeling sessions
+activity_days.csv       Days the app was used (streak history)
+badges.csv              Earned badges
+form_submissions.csv    Form answers (answers column is JSON)
+`;
+
+/**
+ * Collect a user's data and upload the archive to R2.
+ * `exportDoc` must already be claimed (status "processing").
+ */
+export async function buildDataExport(exportDoc, now = new Date()) {
+  const userId = exportDoc.user;
+  const data = { exportedAt: now.toISOString() };
+  const counts = {};
+
+  for (const [index, [section, collect]] of SECTIONS.entries()) {
+    await DataExport.updateOne(
+      { _id: exportDoc._id },
+      {
+        $set: {
+          step: section,
+          progress: Math.round((index / (SECTIONS.length + 1)) * 100),
+        },
+      },
+    );
+    data[section] = await collect(userId);
+    counts[section] = Array.isArray(data[section]) ? data[section].length : 1;
+  }
+
+  await DataExport.updateOne(
+    { _id: exportDoc._id },
+    {
+      $set: {
+        step: "archive",
+        progress: Math.round((SECTIONS.length / (SECTIONS.length + 1)) * 100),
+      },
+    },
+  );
+
+  const archive = createZip(
+    [
+      { name: "README.txt", data: README },
+      { name: "export.json", data: JSON.stringify(data, null, 2) },
+      { name: "profile.json", data: JSON.stringify(data.profile, null, 2) },
+      ...buildCsvFiles(data),
+    ],
+    { date: now },
+  );
+
+  const dateKey = now.toISOString().slice(0, 10);
+  const { r2Key } = await uploadPrivateUserFileToR2({
+    userId: String(userId),
+    prefix: EXPORT_R2_PREFIX,
+    // Random suffix keeps the key unguessable.
+    fileName: `arvyax-export-${dateKey}-${crypto.randomBytes(12).toString("hex")}.zip`,
+    body: archive,
+    contentType: "application/zip",
+  });
+
+  const completedAt = new Date();
+  return DataExport.findByIdAndUpdate(
+    exportDoc._id,
+    {
+      $set: {
+        status: "ready",
+        progress: 100,
+        step: "",
+        r2Key,
+        fileSize: archive.length,
+        counts,
+        error: null,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + EXPORT_ARCHIVE_TTL_MS),
+      },
+    },
+    { new: true },
+  );
+}
+
+/**
+ * Queue an export for the user, or return the one already in progress.
+ */
+export async function requestDataExport(userId) {
+  const active = await DataExport.findOne({
+    user: userId,
+    status: { $in: ACTIVE_STATUSES },
+  }).sort({ createdAt: -1 });
+  if (active) return { dataExport: active, created: false };
+
+  const dataExport = await DataExport.create({ user: userId });
+  return { dataExport, created: true };
+}
+
+/**
+ * Build queued exports (and retry ones stuck in "processing"), then expire
+ * finished archives whose download window has passed.
+ */
+export async function processDataExports(now = new Date(), limit = 10) {
+  let built = 0;
+  let failed = 0;
+
+  for (let i = 0; i < limit; i += 1) {
+    const claimed = await DataExport.findOneAndUpdate(
+      {
+        $or: [
+          { status: "queued" },
+          {
+            status: "processing",
+            startedAt: { $lte: new Date(now.getTime() - STALE_PROCESSING_MS) },
+          },
+        ],
+      },
+      { $set: { status: "processing", startedAt: now, progress: 0 } },
+      { sort: { createdAt: 1 }, new: true },
+    );
+    if (!claimed) break;
+
+    try {
+      await buildDataExport(claimed, now);
+      built += 1;
+    } catch (err) {
+      console.error(`DATA EXPORT FAILED (${claimed._id}):`, err);
+      await DataExport.updateOne(
+        { _id: claimed._id },
+        {
+          $set: {
+            status: "failed",
+            error: String(err?.message || err),
+            completedAt: new Date(),
+          },
+        },
+      );
+      failed += 1;
+    }
+  }
+
+  const expired = await DataExport.find({
+    status: "ready",
+    expiresAt: { $lte: now },
+  })
+    .select("r2Key")
+    .lean();
+
+  for (const dataExport of expired) {
+    await deleteR2Object(dataExport.r2Key);
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $set: { status: "expired", r2Key: null } },
+    );
+  }
+
+  return { built, failed, expired: expired.length };
+}
@@ -0,0 +1,118 @@
+import RegisterUser from "../models/UserModel.js";
+import UserActivityDay from "../models/UserActivityDay.js";
+import FeelingLog from "../models/FeelingLog.js";
+import { normalizeTimeZone, toDateKey } from "./dateKeyService.js";
+import { refreshStreakStat } from "./streakService.js";
+
+/**
+ * Re-key a user's activity days and feeling logs into `timeZone`.
+ *
+ * Activity days are re-keyed from `firstSeenAt` and merged when two land on
+ * the same local day; feeling logs from `startedAt`. Journal entries are
+ * left alone: their date is the day the user picked, not a timestamp.
+ */
+export async function migrateUserDateKeys(userId, timeZone) {
+  const days = await UserActivityDay.find({ user: userId }).lean();
+  const moving = days.filter(
+    (day) => day.dateKey !== toDateKey(day.firstSeenAt, timeZone),
+  );
+
+  if (moving.length) {
+    // Park moving days under unique temporary keys first so re-keying never
+    // trips the unique (user, dateKey) index. A crashed run leaves parked
+    // days behind, which the next run picks up again.
+    await UserActivityDay.bulkWrite(
+      moving.map((day) => ({
+        updateOne: {
+          filter: { _id: day._id },
+          update: { $set: { dateKey: `~${day._id}` } },
+        },
+      })),
+    );
+
+    for (const day of moving) {
+      const dateKey = toDateKey(day.firstSeenAt, timeZone);
+      const actionCounts = Object.fromEntries(
+        Object.entries(day.actions ?? {}).map(([action, count]) => [
+          `actions.${action}`,
+          count,
+        ]),
+      );
+      await UserActivityDay.updateOne(
+        { user: userId, dateKey },
+        {
+          $setOnInsert: { user: userId, dateKey, kind: day.kind ?? "active" },
+          $min: { firstSeenAt: day.firstSeenAt },
+          // Days from before activity tracking have no flag and count.
+          $max: {
+            lastSeenAt: day.lastSeenAt,
+            qualified: day.qualified ?? true,
+          },
+          $inc: {
+            hits: day.hits ?? 1,
+            qualifyingActions: day.qualifyingActions ?? 0,
+            mindfulMinutes: day.mindfulMinutes ?? 0,
+            ...actionCounts,
+          },
+        },
+        { upsert: true },
+      );
+      await UserActivityDay.deleteOne({ _id: day._id });
+    }
+    await refreshStreakStat(userId);
+  }
+
+  const logs = await FeelingLog.find({ user: userId })
+    .select("dateKey startedAt")
+    .lean();
+  const logUpdates = logs
+    .map((log) => ({ log, dateKey: toDateKey(log.startedAt, timeZone) }))
+    .filter(({ log, dateKey }) => log.dateKey !== dateKey)
+    .map(({ log, dateKey }) => ({
+      updateOne: { filter: { _id: log._id }, update: { $set: { dateKey } } },
+    }));
+  if (logUpdates.length) await FeelingLog.bulkWrite(logUpdates);
+
+  // Only mark done if the timezone didn't change again mid-run.
+  await RegisterUser.updateOne(
+    { _id: userId, "preferences.timezone": timeZone },
+    { $set: { dateKeysTimezone: timeZone } },
+  );
+
+  return { activityDays: moving.length, feelingLogs: logUpdates.length };
+}
+
+/**
+ * Migrate users whose timezone changed since their date keys were written.
+ */
+export async function migratePendingDateKeys(limit = 50) {
+  const users = await RegisterUser.find({
+    "preferences.timezone": { $nin: ["", null] },
+    $expr: { $ne: ["$preferences.timezone", "$dateKeysTimezone"] },
+  })
+    .select("preferences.timezone")
+    .limit(limit)
+    .lean();
+
+  let migrated = 0;
+  let activityDays = 0;
+  let feelingLogs = 0;
+  const failed = [];
+
+  for (const user of users) {
+    try {
+      const result = await migrateUserDateKeys(
+        user._id,
+        normalizeTimeZone(user.preferences?.timezone),
+      );
+      migrated += 1;
+      activityDays += result.activityDays;
+      feelingLogs += result.feelingLogs;
+    } catch (err) {
+      console.error(`DATE KEY MIGRATION FAILED (${user._id}):`, err);
+      failed.push(String(user._id));
+    }
+  }
+
+  return { pending: users.length, migrated, activityDays, feelingLogs, failed };
+}
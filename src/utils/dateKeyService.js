@@ -0,0 +1,192 @@
+import RegisterUser from "../models/UserModel.js";
+
+/**
+ * Day boundaries for streaks, journals and feeling logs.
+ *
+ * A "date key" is a calendar day (YYYY-MM-DD) in the user's IANA timezone
+ * (`preferences.timezone`). Users without a timezone fall back to UTC, which
+ * is how every key was computed before timezones were supported.
+ */
+
+export const DEFAULT_TIMEZONE = "UTC";
+
+const DATE_KEY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TIMEZONE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const formatters = new Map();
+const timeZoneCache = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      weekday: "short",
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function zonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone.trim()) return false;
+  try {
+    getFormatter(timeZone.trim());
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function normalizeTimeZone(timeZone) {
+  return isValidTimeZone(timeZone) ? timeZone.trim() : DEFAULT_TIMEZONE;
+}
+
+/**
+ * YYYY-MM-DD of `date` as seen in `timeZone`.
+ */
+export function toDateKey(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = zonedParts(date, normalizeTimeZone(timeZone));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Day of week (0 = Sunday) of `date` in `timeZone`.
+export function getLocalWeekday(date, timeZone = DEFAULT_TIMEZONE) {
+  const { weekday } = zonedParts(date, normalizeTimeZone(timeZone));
+  return ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(weekday);
+}
+
+export function isValidDateKey(dateKey) {
+  const match = DATE_KEY_RE.exec(String(dateKey ?? ""));
+  if (!match) return false;
+  const date = new Date(
+    Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])),
+  );
+  // Round-trip catches impossible dates such as 2025-02-30.
+  return date.toISOString().slice(0, 10) === dateKey;
+}
+
+// Date keys are calendar days, so arithmetic on them is timezone independent.
+export function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  return new Date(date.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function diffDays(fromKey, toKey) {
+  return Math.round(
+    (Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) /
+      DAY_MS,
+  );
+}
+
+/**
+ * First and last date keys of a month plus its length.
+ */
+export function getMonthRange(year, month) {
+  const end = new Date(Date.UTC(year, month, 0));
+  const monthKey = `${String(year).padStart(4, "0")}-${String(month).padStart(2, "0")}`;
+  return {
+    monthKey,
+    startKey: `${monthKey}-01`,
+    endKey: end.toISOString().slice(0, 10),
+    daysInMonth: end.getUTCDate(),
+  };
+}
+
+// Minutes `timeZone` is ahead of UTC at `date`.
+function getOffsetMinutes(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    Number(p.year),
+    Number(p.month) - 1,
+    Number(p.day),
+    Number(p.hour),
+    Number(p.minute),
+    Number(p.second),
+  );
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * UTC instant of the local wall-clock time `timeOfDay` (HH:mm) on `dateKey`
+ * in `timeZone`.
+ */
+export function localTimeToDate(
+  dateKey,
+  timeOfDay,
+  timeZone = DEFAULT_TIMEZONE,
+) {
+  const zone = normalizeTimeZone(timeZone);
+  const wallUtc = Date.parse(`${dateKey}T${timeOfDay}:00Z`);
+  // Two passes settle the offset across DST transitions.
+  let guess = wallUtc;
+  for (let i = 0; i < 2; i += 1) {
+    guess = wallUtc - getOffsetMinutes(new Date(guess), zone) * 60000;
+  }
+  return new Date(guess);
+}
+
+/**
+ * UTC instant of local midnight at the start of `dateKey` in `timeZone`.
+ */
+export function startOfDateKey(dateKey, timeZone = DEFAULT_TIMEZONE) {
+  return localTimeToDate(dateKey, "00:00", timeZone);
+}
+
+/**
+ * [start, end) instants covering the local day `dateKey`.
+ */
+export function getDateKeyRange(dateKey, timeZone = DEFAULT_TIMEZONE) {
+  return {
+    start: startOfDateKey(dateKey, timeZone),
+    end: startOfDateKey(addDays(dateKey, 1), timeZone),
+  };
+}
+
+/**
+ * The user's timezone (cached briefly; every request needs it).
+ */
+export async function getUserTimeZone(userId) {
+  const key = String(userId);
+  const cached = timeZoneCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.timeZone;
+
+  const user = await RegisterUser.findById(userId)
+    .select("preferences.timezone")
+    .lean();
+  const timeZone = normalizeTimeZone(user?.preferences?.timezone);
+  timeZoneCache.set(key, {
+    timeZone,
+    expiresAt: Date.now() + TIMEZONE_CACHE_TTL_MS,
+  });
+  return timeZone;
+}
+
+// Call after changing a user's timezone so this instance picks it up.
+export function forgetUserTimeZone(userId) {
+  timeZoneCache.delete(String(userId));
+}
+
+/**
+ * The user's current local day: { timeZone, todayKey }.
+ */
+export async function getUserToday(userId, now = new Date()) {
+  const timeZone = await getUserTimeZone(userId);
+  return { timeZone, todayKey: toDateKey(now, timeZone) };
+}
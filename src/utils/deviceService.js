@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import UserDevice from "../models/UserDevice.js";
+import LoginEvent from "../models/LoginEvent.js";
+import AuthSession from "../models/AuthSession.js";
+import { sendNewDeviceLoginEmail } from "./emailService.js";
+
+// Clients that don't send a deviceId are told apart by user agent + platform,
+// so a browser doesn't show up as a new device on every sign-in.
+function deviceFingerprint(device) {
+  if (device.deviceId) return `id:${device.deviceId}`;
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${device.userAgent ?? ""}|${device.platform ?? ""}`)
+    .digest("hex")
+    .slice(0, 32);
+  return `ua:${hash}`;
+}
+
+/**
+ * Record a successful sign-in: update the user's device list, append to the
+ * login history and email the user when the device hasn't been seen before
+ * (except for their very first device). Never throws; returns the device
+ * document or null.
+ */
+export async function recordLogin(user, device, provider, now = new Date()) {
+  try {
+    const fingerprint = deviceFingerprint(device);
+    const existing = await UserDevice.exists({ user: user._id, fingerprint });
+    const isNewDevice = !existing;
+    const hadOtherDevices = isNewDevice
+      ? await UserDevice.exists({ user: user._id })
+      : true;
+
+    const userDevice = await UserDevice.findOneAndUpdate(
+      { user: user._id, fingerprint },
+      {
+        $set: {
+          deviceId: device.deviceId || null,
+          deviceName: device.deviceName ?? "",
+          platform: device.platform ?? "",
+          appVersion: device.appVersion ?? "",
+          userAgent: device.userAgent ?? "",
+          lastIp: device.ip ?? "",
+          lastProvider: provider,
+          lastSeenAt: now,
+        },
+        $setOnInsert: { firstSeenAt: now },
+        $inc: { loginCount: 1 },
+      },
+      { upsert: true, new: true },
+    );
+
+    await LoginEvent.create({
+      user: user._id,
+      userDevice: userDevice._id,
+      provider,
+      deviceName: device.deviceName ?? "",
+      platform: device.platform ?? "",
+      appVersion: device.appVersion ?? "",
+      ip: device.ip ?? "",
+      userAgent: device.userAgent ?? "",
+      isNewDevice,
+    });
+
+    if (isNewDevice && hadOtherDevices && user.email) {
+      await sendNewDeviceLoginEmail(user.email, user.username, {
+        deviceName: device.deviceName,
+        platform: device.platform,
+        appVersion: device.appVersion,
+        ip: device.ip,
+        provider,
+        at: now,
+      });
+    }
+
+    return userDevice;
+  } catch (err) {
+    console.warn("LOGIN HISTORY ERROR:", err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * The user's devices, most recently used first, with active session counts.
+ * `isCurrent` marks the device behind `currentSessionId`.
+ */
+export async function listUserDevices(userId, currentSessionId = null) {
+  const [devices, activeSessions] = await Promise.all([
+    UserDevice.find({ user: userId }).sort({ lastSeenAt: -1 }).lean(),
+    AuthSession.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userDevice")
+      .lean(),
+  ]);
+
+  const sessionCounts = new Map();
+  let currentDeviceId = null;
+  for (const session of activeSessions) {
+    const key = String(session.userDevice ?? "");
+    sessionCounts.set(key, (sessionCounts.get(key) ?? 0) + 1);
+    if (String(session._id) === String(currentSessionId)) {
+      currentDeviceId = key;
+    }
+  }
+
+  return devices.map((device) => ({
+    ...device,
+    activeSessions: sessionCounts.get(String(device._id)) ?? 0,
+    isCurrent: String(device._id) === currentDeviceId,
+  }));
+}
+
+export function getRecentLogins(userId, limit = 20) {
+  return LoginEvent.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * Sign a device out: revoke its sessions and drop it from the device list.
+ * Resolves to null when the device doesn't belong to the user.
+ */
+export async function signOutDevice(userId, deviceDocId) {
+  const device = await UserDevice.findOne({
+    _id: deviceDocId,
+    user: userId,
+  }).lean();
+  if (!device) return null;
+
+  // Sessions created before device tracking only carry the client deviceId.
+  const sessionFilter = device.deviceId
+    ? { $or: [{ userDevice: device._id }, { deviceId: device.deviceId }] }
+    : { userDevice: device._id };
+
+  const sessions = await AuthSession.find({
+    user: userId,
+    revokedAt: null,
+    ...sessionFilter,
+  })
+    .select("_id")
+    .lean();
+
+  await AuthSession.updateMany(
+    { _id: { $in: sessions.map((s) => s._id) } },
+    { $set: { revokedAt: new Date(), revokedReason: "device_signed_out" } },
+  );
+  await UserDevice.deleteOne({ _id: device._id });
+
+  return { device, revokedSessionIds: sessions.map((s) => String(s._id)) };
+}
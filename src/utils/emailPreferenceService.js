@@ -0,0 +1,56 @@
+import jwt from "jsonwebtoken";
+import RegisterUser from "../models/UserModel.js";
+import { API_PUBLIC_URL, JWT_SECRET } from "../config/constants.js";
+
+const UNSUBSCRIBE_PURPOSE = "email_unsubscribe";
+
+// Opt-in email lists and the user field that stores each choice.
+export const EMAIL_LISTS = {
+  weekly_digest: "emailPreferences.weeklyDigest",
+};
+
+export function formatEmailPreferences(user) {
+  return {
+    weeklyDigest: user?.emailPreferences?.weeklyDigest ?? false,
+    weeklyDigestSentAt: user?.emailPreferences?.weeklyDigestSentAt ?? null,
+  };
+}
+
+/**
+ * Unsubscribe links carry a signed token instead of requiring sign-in.
+ * They don't expire: an old email should still be able to unsubscribe.
+ */
+export function createUnsubscribeToken(userId, list) {
+  return jwt.sign(
+    { sub: String(userId), purpose: UNSUBSCRIBE_PURPOSE, list },
+    JWT_SECRET,
+  );
+}
+
+export function getUnsubscribeUrl(userId, list) {
+  const token = createUnsubscribeToken(userId, list);
+  return `${API_PUBLIC_URL}/api/email/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Turn off the list named in an unsubscribe token.
+ * Resolves to { list } or { error } for invalid tokens.
+ */
+export async function unsubscribeWithToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(String(token ?? ""), JWT_SECRET);
+  } catch {
+    return { error: "Invalid unsubscribe link" };
+  }
+  const field = EMAIL_LISTS[payload?.list];
+  if (payload?.purpose !== UNSUBSCRIBE_PURPOSE || !field || !payload.sub) {
+    return { error: "Invalid unsubscribe link" };
+  }
+
+  await RegisterUser.updateOne(
+    { _id: payload.sub },
+    { $set: { [field]: false } },
+  );
+  return { list: payload.list };
+}
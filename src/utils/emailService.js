@@ -91,7 +91,82 @@ export const sendOtpEmail = async (email, otp) => {
   }
 };
 
+export const sendAccountDeletionEmail = async (
+  email,
+  username,
+  scheduledFor
+) => {
+  try {
+    const mailOptions = {
+      from: `\"ARVYA_X\" <${FROM_EMAIL}>`,
+      to: email,
+      subject: "Your ARVYA_X account is scheduled for deletion",
+      html: emailTemplates.accountDeletionEmailTemplate(username, scheduledFor),
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log("Account deletion email sent successfully to:", email);
+    return true;
+  } catch (error) {
+    console.error("Error sending account deletion email:", error);
+    return false;
+  }
+};
+
+export const sendNewDeviceLoginEmail = async (email, username, login) => {
+  try {
+    const mailOptions = {
+      from: `\"ARVYA_X\" <${FROM_EMAIL}>`,
+      to: email,
+      subject: "New sign-in to your ARVYA_X account",
+      html: emailTemplates.newDeviceLoginEmailTemplate(username, login),
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log("New device email sent successfully to:", email);
+    return true;
+  } catch (error) {
+    console.error("Error sending new device email:", error);
+    return false;
+  }
+};
+
+export const sendWeeklyDigestEmail = async (
+  email,
+  username,
+  digest,
+  unsubscribeUrl
+) => {
+  try {
+    const mailOptions = {
+      from: `\"ARVYA_X\" <${FROM_EMAIL}>`,
+      to: email,
+      subject: `Your ARVYA_X week: ${digest.daysActive} of 7 days active`,
+      html: emailTemplates.weeklyDigestEmailTemplate(
+        username,
+        digest,
+        unsubscribeUrl
+      ),
+      // One-click unsubscribe in mail clients (RFC 8058).
+      list: {
+        unsubscribe: { url: unsubscribeUrl, comment: "Unsubscribe" },
+      },
+      headers: { "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" },
+    };
+
+    await transporter.sendMail(mailOptions);
+    console.log("Weekly digest email sent successfully to:", email);
+    return true;
+  } catch (error) {
+    console.error("Error sending weekly digest email:", error);
+    return false;
+  }
+};
+
 export default {
   sendWelcomeEmail,
   sendOtpEmail,
+  sendAccountDeletionEmail,
+  sendNewDeviceLoginEmail,
+  sendWeeklyDigestEmail,
 };
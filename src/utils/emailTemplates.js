@@ -65,7 +65,123 @@ export const otpEmailTemplate = (otp) => {
 `;
 };
 
+// Usernames and device details come from the client, so escape them before
+// interpolating.
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+
+export const accountDeletionEmailTemplate = (username, scheduledFor) => {
+  const purgeDate = new Date(scheduledFor).toUTCString();
+  return `
+<div style="font-family: 'Arial', sans-serif; line-height: 1.6; background: #f4f4f4; padding: 20px; border-radius: 8px; max-width: 600px; margin: auto; box-shadow: 0 4px 8px rgba(0, 0, 0, 0.1);">
+    <h2 style="color: #4CAF50; text-align: center; font-size: 28px; margin-bottom: 20px;">Account deletion scheduled</h2>
+    <div style="background: #ffffff; border-radius: 8px; padding: 20px; box-shadow: 0 4px 8px rgba(0, 0, 0, 0.05);">
+      <p style="font-size: 16px; color: #333;">Hi ${escapeHtml(username) || "there"},</p>
+      <p style="font-size: 16px; color: #555;">We received a request to delete your ARVYA_X account. You have been signed out on all devices.</p>
+      <p style="font-size: 16px; color: #555;">Your account and all of its data (journals, feelings, activity and uploaded photos) will be permanently deleted on <strong style="color: #e74c3c;">${purgeDate}</strong>.</p>
+      <p style="font-size: 16px; color: #555;">Changed your mind? Just sign in again before then and the deletion will be cancelled.</p>
+    </div>
+</div>
+`;
+};
+
+export const newDeviceLoginEmailTemplate = (username, login) => {
+  const device =
+    [login.deviceName, login.platform]
+      .filter(Boolean)
+      .map(escapeHtml)
+      .join(" · ") || "Unknown device";
+  return `
+<div style="font-family: 'Arial', sans-serif; line-height: 1.6; background: #f4f4f4; padding: 20px; border-radius: 8px; max-width: 600px; margin: auto; box-shadow: 0 4px 8px rgba(0, 0, 0, 0.1);">
+    <h2 style="color: #4CAF50; text-align: center; font-size: 28px; margin-bottom: 20px;">New sign-in to your account</h2>
+    <div style="background: #ffffff; border-radius: 8px; padding: 20px; box-shadow: 0 4px 8px rgba(0, 0, 0, 0.05);">
+      <p style="font-size: 16px; color: #333;">Hi ${escapeHtml(username) || "there"},</p>
+      <p style="font-size: 16px; color: #555;">Your ARVYA_X account was just signed in on a new device:</p>
+      <p style="font-size: 16px; color: #333;">
+        <strong>Device:</strong> ${device}<br>
+        ${login.appVersion ? `<strong>App version:</strong> ${escapeHtml(login.appVersion)}<br>` : ""}
+        <strong>Signed in with:</strong> ${login.provider}<br>
+        <strong>IP address:</strong> ${escapeHtml(login.ip) || "unknown"}<br>
+        <strong>Time:</strong> ${new Date(login.at).toUTCString()}
+      </p>
+      <p style="font-size: 16px; color: #555;">If this was you, there's nothing to do. If not, sign this device out from <strong>Settings → Devices</strong> in the app.</p>
+    </div>
+</div>
+`;
+};
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+export const weeklyDigestEmailTemplate = (username, digest, unsubscribeUrl) => {
+  const dayDots = digest.days
+    .map((day) => (day.active ? "🟢" : day.frozen ? "🧊" : "⚪"))
+    .join(" ");
+  const feelings = digest.topFeelings.length
+    ? digest.topFeelings
+        .map(
+          (f) =>
+            `${f.emoji ? `${f.emoji} ` : ""}<strong>${escapeHtml(f.label)}</strong> (${pluralize(f.totalMinutes, "min")})`,
+        )
+        .join("<br>")
+    : "No feelings logged this week.";
+  const badges = digest.badges.length
+    ? `<p style="font-size: 16px; color: #333;"><strong>New badges:</strong> ${digest.badges.map((b) => escapeHtml(b.name)).join(", ")} 🏅</p>`
+    : "";
+  const learning = digest.learning
+    ? `<p style="font-size: 16px; color: #333;"><strong>Something you learned:</strong></p>
+      <p style="font-size: 16px; color: #555; font-style: italic; border-left: 3px solid #4CAF50; padding-left: 12px;">${escapeHtml(digest.learning.text)}</p>`
+    : "";
+  return `
+<div style="font-family: 'Arial', sans-serif; line-height: 1.6; background: #f4f4f4; padding: 20px; border-radius: 8px; max-width: 600px; margin: auto; box-shadow: 0 4px 8px rgba(0, 0, 0, 0.1);">
+    <h2 style="color: #4CAF50; text-align: center; font-size: 28px; margin-bottom: 20px;">Your week in ARVYA_X</h2>
+    <div style="background: #ffffff; border-radius: 8px; padding: 20px; box-shadow: 0 4px 8px rgba(0, 0, 0, 0.05);">
+      <p style="font-size: 16px; color: #333;">Hi ${escapeHtml(username) || "there"}, here's your week of ${digest.weekStart} to ${digest.weekEnd}.</p>
+      <p style="font-size: 16px; color: #333;">
+        <strong>Days active:</strong> ${digest.daysActive} of 7<br>
+        <span style="font-size: 20px;">${dayDots}</span>
+      </p>
+      <p style="font-size: 16px; color: #333;">
+        <strong>Current streak:</strong> ${pluralize(digest.currentStreak, "day")}<br>
+        <strong>Best streak:</strong> ${pluralize(digest.bestStreak, "day")}
+      </p>
+      ${badges}
+      <p style="font-size: 16px; color: #333;">
+        <strong>Journal tasks:</strong> ${digest.tasks.completed} completed, ${digest.tasks.skipped} skipped
+      </p>
+      <p style="font-size: 16px; color: #333;"><strong>How you felt most:</strong><br>${feelings}</p>
+      ${learning}
+    </div>
+    <p style="font-size: 12px; color: #999; text-align: center; margin-top: 16px;">You're receiving this because you turned on the weekly digest. <a href="${unsubscribeUrl}" style="color: #999;">Unsubscribe</a></p>
+</div>
+`;
+};
+
+export const unsubscribePageTemplate = (message) => {
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>ARVYA_X</title></head>
+<body style="font-family: 'Arial', sans-serif; background: #f4f4f4; padding: 40px 20px;">
+  <div style="background: #ffffff; border-radius: 8px; padding: 20px; max-width: 480px; margin: auto; text-align: center;">
+    <h2 style="color: #4CAF50;">ARVYA_X</h2>
+    <p style="font-size: 16px; color: #333;">${escapeHtml(message)}</p>
+  </div>
+</body>
+</html>
+`;
+};
+
 export default {
   welcomeEmailTemplate,
   otpEmailTemplate,
+  accountDeletionEmailTemplate,
+  newDeviceLoginEmailTemplate,
+  weeklyDigestEmailTemplate,
+  unsubscribePageTemplate,
 };
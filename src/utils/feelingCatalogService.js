@@ -0,0 +1,293 @@
+import FeelingCatalogItem from "../models/FeelingCatalogItem.js";
+import CatalogVersion from "../models/CatalogVersion.js";
+
+export const FEELING_CATALOG = "feelings";
+
+// Context a feeling log can be tagged with.
+export const FEELING_CONTEXT_TAGS = [
+  "work",
+  "study",
+  "family",
+  "friends",
+  "relationship",
+  "health",
+  "sleep",
+  "exercise",
+  "food",
+  "money",
+  "weather",
+  "travel",
+  "alone",
+];
+
+// What the user was doing right before logging the feeling.
+export const FEELING_TRIGGER_TYPES = [
+  "breathing",
+  "yoga",
+  "meditation",
+  "journal",
+  "ambience",
+  "audio",
+  "notification",
+  "other",
+];
+
+// Starting catalog: seeded on first use when the catalog is empty, and by
+// `npm run seed:feelings`.
+export const DEFAULT_FEELING_CATALOG = [
+  {
+    key: "happy",
+    label: "Happy",
+    emoji: "😊",
+    valence: 2,
+    energy: 1,
+    group: "joy",
+    aliases: ["hapy", "happpy", "joyful"],
+  },
+  {
+    key: "excited",
+    label: "Excited",
+    emoji: "🤩",
+    valence: 2,
+    energy: 2,
+    group: "joy",
+    aliases: ["exited"],
+  },
+  {
+    key: "grateful",
+    label: "Grateful",
+    emoji: "🙏",
+    valence: 2,
+    energy: 0,
+    group: "joy",
+    aliases: ["thankful", "greatful"],
+  },
+  {
+    key: "proud",
+    label: "Proud",
+    emoji: "🏆",
+    valence: 2,
+    energy: 1,
+    group: "joy",
+  },
+  {
+    key: "loved",
+    label: "Loved",
+    emoji: "🥰",
+    valence: 2,
+    energy: 0,
+    group: "connection",
+  },
+  {
+    key: "calm",
+    label: "Calm",
+    emoji: "😌",
+    valence: 1,
+    energy: -1,
+    group: "peace",
+    aliases: ["peaceful"],
+  },
+  {
+    key: "relaxed",
+    label: "Relaxed",
+    emoji: "🧘",
+    valence: 1,
+    energy: -2,
+    group: "peace",
+  },
+  {
+    key: "okay",
+    label: "Okay",
+    emoji: "🙂",
+    valence: 0,
+    energy: 0,
+    group: "neutral",
+    aliases: ["ok", "fine", "neutral"],
+  },
+  {
+    key: "tired",
+    label: "Tired",
+    emoji: "😴",
+    valence: -1,
+    energy: -2,
+    group: "low",
+    aliases: ["sleepy", "exhausted"],
+  },
+  {
+    key: "bored",
+    label: "Bored",
+    emoji: "😐",
+    valence: -1,
+    energy: -1,
+    group: "low",
+  },
+  {
+    key: "sad",
+    label: "Sad",
+    emoji: "😢",
+    valence: -2,
+    energy: -1,
+    group: "low",
+    aliases: ["down", "unhappy"],
+  },
+  {
+    key: "lonely",
+    label: "Lonely",
+    emoji: "🥺",
+    valence: -2,
+    energy: -1,
+    group: "connection",
+  },
+  {
+    key: "anxious",
+    label: "Anxious",
+    emoji: "😰",
+    valence: -2,
+    energy: 1,
+    group: "tension",
+    aliases: ["anxiety", "nervous", "worried"],
+  },
+  {
+    key: "stressed",
+    label: "Stressed",
+    emoji: "😫",
+    valence: -2,
+    energy: 1,
+    group: "tension",
+    aliases: ["stress"],
+  },
+  {
+    key: "overwhelmed",
+    label: "Overwhelmed",
+    emoji: "🤯",
+    valence: -2,
+    energy: 2,
+    group: "tension",
+  },
+  {
+    key: "angry",
+    label: "Angry",
+    emoji: "😠",
+    valence: -2,
+    energy: 2,
+    group: "tension",
+    aliases: ["mad", "frustrated"],
+  },
+];
+
+export function normalizeFeelingText(value) {
+  return String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+export function formatCatalogFeeling(item) {
+  return {
+    id: item.key,
+    label: item.label,
+    emoji: item.emoji ?? "",
+    iconUrl: item.iconUrl ?? "",
+    valence: item.valence,
+    energy: item.energy,
+    group: item.group ?? "",
+    order: item.order ?? 0,
+    isActive: item.isActive !== false,
+    version: item.version ?? 0,
+  };
+}
+
+/**
+ * Add the default feelings that aren't in the catalog yet (existing ones
+ * are left untouched). Resolves to the number added.
+ */
+export async function seedDefaultFeelings() {
+  let added = 0;
+  for (const [index, feeling] of DEFAULT_FEELING_CATALOG.entries()) {
+    if (await FeelingCatalogItem.exists({ key: feeling.key })) continue;
+    await saveCatalogFeeling(feeling.key, { ...feeling, order: index + 1 });
+    added += 1;
+  }
+  return added;
+}
+
+// Deploys that never ran the seed script start with an empty catalog, which
+// would reject every feeling; seed it the first time it's needed.
+let catalogReady = null;
+function ensureFeelingCatalog() {
+  if (!catalogReady) {
+    catalogReady = FeelingCatalogItem.exists({})
+      .exec()
+      .then((any) => (any ? 0 : seedDefaultFeelings()))
+      .catch((err) => {
+        catalogReady = null;
+        throw err;
+      });
+  }
+  return catalogReady;
+}
+
+/**
+ * The catalog for offline use. With `sinceVersion`, only feelings changed
+ * after that version are returned (retired ones included, so clients can
+ * drop them); `full` tells the client whether to replace or merge.
+ */
+export async function getFeelingCatalog(sinceVersion = null) {
+  await ensureFeelingCatalog();
+  const version = await CatalogVersion.current(FEELING_CATALOG);
+  const full = sinceVersion == null || sinceVersion > version;
+
+  const items = await FeelingCatalogItem.find(
+    full ? { isActive: true } : { version: { $gt: sinceVersion } },
+  )
+    .sort({ order: 1, label: 1 })
+    .lean();
+
+  return {
+    version,
+    full,
+    feelings: items.map(formatCatalogFeeling),
+    contextTags: FEELING_CONTEXT_TAGS,
+    triggerTypes: FEELING_TRIGGER_TYPES,
+  };
+}
+
+/**
+ * Find the active catalog feeling matching a key, label or alias
+ * (case and whitespace insensitive).
+ */
+export async function resolveFeeling(value) {
+  const text = normalizeFeelingText(value);
+  if (!text) return null;
+  await ensureFeelingCatalog();
+
+  const match =
+    (await FeelingCatalogItem.findOne({ isActive: true, key: text }).lean()) ??
+    (await FeelingCatalogItem.findOne({
+      isActive: true,
+      aliases: text,
+    }).lean());
+  if (match) return match;
+
+  const all = await FeelingCatalogItem.find({ isActive: true })
+    .select("key label")
+    .lean();
+  return all.find((item) => normalizeFeelingText(item.label) === text) ?? null;
+}
+
+/**
+ * Create or update a catalog feeling and bump the catalog version.
+ */
+export async function saveCatalogFeeling(key, fields) {
+  const version = await CatalogVersion.bump(FEELING_CATALOG);
+  const update = { ...fields, version };
+  if (Array.isArray(fields.aliases)) {
+    update.aliases = [...new Set(fields.aliases.map(normalizeFeelingText))];
+  }
+
+  return FeelingCatalogItem.findOneAndUpdate(
+    { key },
+    { $set: update },
+    { upsert: true, new: true, runValidators: true },
+  ).lean();
+}
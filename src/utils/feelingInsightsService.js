@@ -0,0 +1,282 @@
+import mongoose from "mongoose";
+import FeelingLog from "../models/FeelingLog.js";
+import { addDays, getDateKeyRange } from "./dateKeyService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const toMinutes = (ms) => Math.round((ms ?? 0) / 60000);
+
+// Most frequent feeling per bucket (weekday or hour), ties broken by time.
+function topFeelingBy(bucket) {
+  return [
+    {
+      $group: {
+        _id: { bucket, feeling: "$feeling" },
+        count: { $sum: 1 },
+        totalMs: { $sum: "$durationMs" },
+      },
+    },
+    { $sort: { "_id.bucket": 1, count: -1, totalMs: -1 } },
+    {
+      $group: {
+        _id: "$_id.bucket",
+        feeling: { $first: "$_id.feeling" },
+        count: { $first: "$count" },
+        sessions: { $sum: "$count" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ];
+}
+
+// Longest run of consecutive local days on which each feeling was logged:
+// rank each feeling's days in order; within a run, day number minus rank is
+// constant, so grouping on it yields the runs.
+const longestStreakStages = [
+  { $group: { _id: { feeling: "$feeling", dateKey: "$dateKey" } } },
+  {
+    $addFields: {
+      dayNumber: {
+        $divide: [
+          {
+            $toLong: {
+              $dateFromString: {
+                dateString: "$_id.dateKey",
+                format: "%Y-%m-%d",
+              },
+            },
+          },
+          DAY_MS,
+        ],
+      },
+    },
+  },
+  {
+    $setWindowFields: {
+      partitionBy: "$_id.feeling",
+      sortBy: { dayNumber: 1 },
+      output: { rank: { $documentNumber: {} } },
+    },
+  },
+  {
+    $group: {
+      _id: {
+        feeling: "$_id.feeling",
+        run: { $subtract: ["$dayNumber", "$rank"] },
+      },
+      days: { $sum: 1 },
+      from: { $min: "$_id.dateKey" },
+      to: { $max: "$_id.dateKey" },
+    },
+  },
+  { $sort: { days: -1, to: -1 } },
+  {
+    $group: {
+      _id: "$_id.feeling",
+      days: { $first: "$days" },
+      from: { $first: "$from" },
+      to: { $first: "$to" },
+    },
+  },
+  { $sort: { days: -1, _id: 1 } },
+];
+
+/**
+ * Feeling analytics over the local days [fromKey, toKey]:
+ * time per feeling, top feeling by weekday and hour, session lengths,
+ * longest streak per feeling and week-over-week change (the 7 days ending
+ * at `toKey` vs the 7 before). Open sessions count up to `now`.
+ */
+export async function getFeelingInsights(
+  userId,
+  { fromKey, toKey, timeZone, feeling = null, now = new Date() },
+) {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const rangeStart = getDateKeyRange(fromKey, timeZone).start;
+  const rangeEnd = getDateKeyRange(toKey, timeZone).end;
+  const feelingFilter = feeling ? { feeling } : {};
+
+  const durationStages = [
+    { $addFields: { effectiveEnd: { $ifNull: ["$endedAt", now] } } },
+    {
+      $addFields: {
+        // Time inside the requested range only.
+        durationMs: {
+          $max: [
+            0,
+            {
+              $subtract: [
+                { $min: ["$effectiveEnd", rangeEnd] },
+                { $max: ["$startedAt", rangeStart] },
+              ],
+            },
+          ],
+        },
+        // Full length of finished sessions (open ones are left out).
+        sessionMs: {
+          $cond: [
+            { $ne: ["$endedAt", null] },
+            { $subtract: ["$endedAt", "$startedAt"] },
+            null,
+          ],
+        },
+      },
+    },
+  ];
+
+  const [rangeFacets] = await FeelingLog.aggregate([
+    {
+      $match: {
+        user,
+        startedAt: { $lt: rangeEnd },
+        $or: [{ endedAt: null }, { endedAt: { $gt: rangeStart } }],
+      },
+    },
+    ...durationStages,
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              sessions: { $sum: 1 },
+              totalMs: { $sum: "$durationMs" },
+              averageSessionMs: { $avg: "$sessionMs" },
+            },
+          },
+        ],
+        distribution: [
+          {
+            $group: {
+              _id: "$feeling",
+              sessions: { $sum: 1 },
+              totalMs: { $sum: "$durationMs" },
+              averageSessionMs: { $avg: "$sessionMs" },
+            },
+          },
+          { $sort: { totalMs: -1, _id: 1 } },
+        ],
+        byWeekday: [
+          { $match: { startedAt: { $gte: rangeStart } } },
+          ...topFeelingBy({
+            $dayOfWeek: { date: "$startedAt", timezone: timeZone },
+          }),
+        ],
+        byHour: [
+          { $match: { startedAt: { $gte: rangeStart } } },
+          ...topFeelingBy({
+            $hour: { date: "$startedAt", timezone: timeZone },
+          }),
+        ],
+        longestStreaks: [
+          {
+            $match: {
+              dateKey: { $gte: fromKey, $lte: toKey },
+              ...feelingFilter,
+            },
+          },
+          ...longestStreakStages,
+        ],
+      },
+    },
+  ]);
+
+  const currentWeekStart = addDays(toKey, -6);
+  const weekRows = await FeelingLog.aggregate([
+    {
+      $match: {
+        user,
+        dateKey: { $gte: addDays(toKey, -13), $lte: toKey },
+      },
+    },
+    { $addFields: { effectiveEnd: { $ifNull: ["$endedAt", now] } } },
+    {
+      $group: {
+        _id: {
+          feeling: "$feeling",
+          current: { $gte: ["$dateKey", currentWeekStart] },
+        },
+        sessions: { $sum: 1 },
+        totalMs: { $sum: { $subtract: ["$effectiveEnd", "$startedAt"] } },
+      },
+    },
+  ]);
+
+  const totals = rangeFacets.totals[0] ?? {};
+  const totalMs = totals.totalMs ?? 0;
+
+  const weekByFeeling = new Map();
+  for (const row of weekRows) {
+    const entry = weekByFeeling.get(row._id.feeling) ?? {
+      feeling: row._id.feeling,
+      current: { totalMs: 0, sessions: 0 },
+      previous: { totalMs: 0, sessions: 0 },
+    };
+    entry[row._id.current ? "current" : "previous"] = row;
+    weekByFeeling.set(row._id.feeling, entry);
+  }
+
+  return {
+    range: { from: fromKey, to: toKey, timezone: timeZone },
+    totals: {
+      sessions: totals.sessions ?? 0,
+      totalMinutes: toMinutes(totalMs),
+      averageSessionMinutes: toMinutes(totals.averageSessionMs),
+    },
+    distribution: rangeFacets.distribution.map((row) => ({
+      feeling: row._id,
+      sessions: row.sessions,
+      totalMinutes: toMinutes(row.totalMs),
+      averageSessionMinutes: toMinutes(row.averageSessionMs),
+      share: totalMs ? Math.round((row.totalMs / totalMs) * 1000) / 10 : 0,
+    })),
+    byWeekday: rangeFacets.byWeekday.map((row) => ({
+      // $dayOfWeek is 1 (Sunday) .. 7 (Saturday)
+      weekday: row._id - 1,
+      name: WEEKDAYS[row._id - 1],
+      topFeeling: row.feeling,
+      count: row.count,
+      sessions: row.sessions,
+    })),
+    byHour: rangeFacets.byHour.map((row) => ({
+      hour: row._id,
+      topFeeling: row.feeling,
+      count: row.count,
+      sessions: row.sessions,
+    })),
+    longestStreaks: rangeFacets.longestStreaks.map((row) => ({
+      feeling: row._id,
+      days: row.days,
+      from: row.from,
+      to: row.to,
+    })),
+    weekOverWeek: {
+      current: { from: currentWeekStart, to: toKey },
+      previous: { from: addDays(toKey, -13), to: addDays(toKey, -7) },
+      feelings: Array.from(weekByFeeling.values())
+        .map(({ feeling: name, current, previous }) => ({
+          feeling: name,
+          currentMinutes: toMinutes(current.totalMs),
+          previousMinutes: toMinutes(previous.totalMs),
+          currentSessions: current.sessions,
+          previousSessions: previous.sessions,
+          // null when there's nothing to compare against
+          changePercent: previous.totalMs
+            ? Math.round(
+                ((current.totalMs - previous.totalMs) / previous.totalMs) * 100,
+              )
+            : null,
+        }))
+        .sort((a, b) => b.currentMinutes - a.currentMinutes),
+    },
+  };
+}
@@ -0,0 +1,280 @@
+import FeelingLog from "../models/FeelingLog.js";
+import { FEELING_MAX_SESSION_HOURS } from "../config/constants.js";
+import { getUserTimeZone, toDateKey } from "./dateKeyService.js";
+import { resolveFeeling } from "./feelingCatalogService.js";
+
+export const FEELING_MAX_SESSION_MS =
+  FEELING_MAX_SESSION_HOURS * 60 * 60 * 1000;
+
+/*
+ * Session rules shared by start/end and the editing endpoints: a session
+ * never lasts longer than FEELING_MAX_SESSION_HOURS, never ends in the
+ * future and never overlaps another session of the same user. An open
+ * session (endedAt null) is treated as running until further notice.
+ */
+
+/**
+ * When a session that is still open should end if closed at `now`:
+ * `now`, or the longest allowed length when it has run past it.
+ */
+export function getSessionEnd(log, now = new Date()) {
+  const cap = new Date(
+    new Date(log.startedAt).getTime() + FEELING_MAX_SESSION_MS,
+  );
+  return cap < now
+    ? { endedAt: cap, autoClosed: true }
+    : { endedAt: now, autoClosed: false };
+}
+
+/**
+ * Close open sessions that have run past the maximum length, at that length.
+ * Scoped to one user when `userId` is given. Resolves to the number closed.
+ */
+export async function closeStaleFeelingLogs({
+  userId = null,
+  now = new Date(),
+} = {}) {
+  const result = await FeelingLog.updateMany(
+    {
+      ...(userId ? { user: userId } : {}),
+      endedAt: null,
+      startedAt: { $lte: new Date(now.getTime() - FEELING_MAX_SESSION_MS) },
+    },
+    [
+      {
+        $set: {
+          endedAt: { $add: ["$startedAt", FEELING_MAX_SESSION_MS] },
+          autoClosed: true,
+        },
+      },
+    ],
+  );
+  return result.modifiedCount;
+}
+
+// Error string for an invalid session range, or null.
+function checkRange(startedAt, endedAt, now) {
+  if (startedAt > now) return "startedAt can't be in the future";
+  if (endedAt && endedAt > now) return "endedAt can't be in the future";
+  if (endedAt && endedAt <= startedAt) return "endedAt must be after startedAt";
+  if ((endedAt ?? now) - startedAt > FEELING_MAX_SESSION_MS) {
+    return `Sessions can't be longer than ${FEELING_MAX_SESSION_HOURS} hours`;
+  }
+  return null;
+}
+
+/**
+ * The first of the user's other sessions overlapping [startedAt, endedAt)
+ * (endedAt null = open-ended), or null.
+ */
+export function findOverlappingLog(
+  userId,
+  { startedAt, endedAt },
+  excludeIds = [],
+) {
+  return FeelingLog.findOne({
+    user: userId,
+    _id: { $nin: excludeIds },
+    ...(endedAt ? { startedAt: { $lt: endedAt } } : {}),
+    $or: [{ endedAt: null }, { endedAt: { $gt: startedAt } }],
+  })
+    .sort({ startedAt: 1 })
+    .lean();
+}
+
+function overlapError(conflict) {
+  return {
+    status: 409,
+    error: "Session overlaps another feeling session",
+    conflict: {
+      id: String(conflict._id),
+      feeling: conflict.feeling,
+      startedAt: conflict.startedAt,
+      endedAt: conflict.endedAt ?? null,
+    },
+  };
+}
+
+// Copy the optional detail fields (intensity, note, tags, trigger) that are set.
+function detailFields(fields) {
+  const details = {};
+  if (fields.intensity !== undefined) details.intensity = fields.intensity;
+  if (fields.note !== undefined) details.note = fields.note;
+  if (fields.tags !== undefined) details.tags = [...new Set(fields.tags)];
+  if (fields.trigger !== undefined) details.trigger = fields.trigger;
+  return details;
+}
+
+async function resolveFeelingKey(value) {
+  if (value === undefined) return { key: undefined };
+  const item = await resolveFeeling(value);
+  return item ? { key: item.key } : { error: "Unknown feeling" };
+}
+
+/**
+ * Log a finished session in the past. Backdated sessions don't count as
+ * activity: streaks are about what the user did on the day itself.
+ * Resolves to { status, error } on failure or { log } on success.
+ */
+export async function createPastSession(userId, fields, now = new Date()) {
+  const { key, error } = await resolveFeelingKey(fields.feeling);
+  if (error) return { status: 400, error };
+
+  const startedAt = new Date(fields.startedAt);
+  const endedAt = new Date(fields.endedAt);
+  const rangeError = checkRange(startedAt, endedAt, now);
+  if (rangeError) return { status: 400, error: rangeError };
+
+  await closeStaleFeelingLogs({ userId, now });
+  const conflict = await findOverlappingLog(userId, { startedAt, endedAt });
+  if (conflict) return overlapError(conflict);
+
+  const timeZone = await getUserTimeZone(userId);
+  const log = await FeelingLog.create({
+    user: userId,
+    feeling: key,
+    ...detailFields(fields),
+    startedAt,
+    endedAt,
+    dateKey: toDateKey(startedAt, timeZone),
+  });
+  return { log };
+}
+
+/**
+ * Edit a session's feeling, details or times. Setting `endedAt` on the open
+ * session closes it at that time.
+ */
+export async function updateSession(userId, logId, fields, now = new Date()) {
+  await closeStaleFeelingLogs({ userId, now });
+  const log = await FeelingLog.findOne({ _id: logId, user: userId });
+  if (!log) return { status: 404, error: "Feeling session not found" };
+
+  const { key, error } = await resolveFeelingKey(fields.feeling);
+  if (error) return { status: 400, error };
+
+  const startedAt = fields.startedAt
+    ? new Date(fields.startedAt)
+    : log.startedAt;
+  const endedAt = fields.endedAt ? new Date(fields.endedAt) : log.endedAt;
+  const timesChanged =
+    startedAt.getTime() !== log.startedAt.getTime() ||
+    endedAt?.getTime() !== log.endedAt?.getTime();
+
+  if (timesChanged) {
+    const rangeError = checkRange(startedAt, endedAt, now);
+    if (rangeError) return { status: 400, error: rangeError };
+
+    const conflict = await findOverlappingLog(userId, { startedAt, endedAt }, [
+      log._id,
+    ]);
+    if (conflict) return overlapError(conflict);
+
+    const timeZone = await getUserTimeZone(userId);
+    log.startedAt = startedAt;
+    log.endedAt = endedAt;
+    log.dateKey = toDateKey(startedAt, timeZone);
+    log.autoClosed = false;
+  }
+
+  if (key) log.feeling = key;
+  log.set(detailFields(fields));
+  await log.save();
+  return { log };
+}
+
+/**
+ * Split a session at `at` into two back-to-back sessions. The second one
+ * takes the given feeling and details (defaulting to the original's) and
+ * stays open if the original was.
+ */
+export async function splitSession(userId, logId, fields, now = new Date()) {
+  await closeStaleFeelingLogs({ userId, now });
+  const log = await FeelingLog.findOne({ _id: logId, user: userId });
+  if (!log) return { status: 404, error: "Feeling session not found" };
+
+  const { key, error } = await resolveFeelingKey(fields.feeling);
+  if (error) return { status: 400, error };
+
+  const at = new Date(fields.at);
+  if (at <= log.startedAt || at >= (log.endedAt ?? now)) {
+    return { status: 400, error: "Split time must fall inside the session" };
+  }
+
+  const timeZone = await getUserTimeZone(userId);
+  const second = new FeelingLog({
+    user: userId,
+    feeling: key ?? log.feeling,
+    intensity: log.intensity,
+    note: log.note,
+    tags: log.tags,
+    trigger: log.trigger?.type
+      ? { type: log.trigger.type, refId: log.trigger.refId }
+      : undefined,
+    ...detailFields(fields),
+    startedAt: at,
+    endedAt: log.endedAt,
+    autoClosed: log.autoClosed,
+    dateKey: toDateKey(at, timeZone),
+  });
+
+  log.endedAt = at;
+  log.autoClosed = false;
+  await log.save();
+  await second.save();
+  return { logs: [log, second] };
+}
+
+/**
+ * Merge sessions with nothing in between into the earliest one, which
+ * takes the given feeling and details (defaulting to its own) and the
+ * end of the latest.
+ */
+export async function mergeSessions(userId, logIds, fields, now = new Date()) {
+  await closeStaleFeelingLogs({ userId, now });
+  const logs = await FeelingLog.find({
+    _id: { $in: logIds },
+    user: userId,
+  }).sort({
+    startedAt: 1,
+  });
+  if (logs.length !== new Set(logIds.map(String)).size) {
+    return { status: 404, error: "Feeling session not found" };
+  }
+  if (logs.length < 2) {
+    return { status: 400, error: "Provide at least two sessions to merge" };
+  }
+
+  const { key, error } = await resolveFeelingKey(fields.feeling);
+  if (error) return { status: 400, error };
+
+  const [first] = logs;
+  const last = logs[logs.length - 1];
+  const rangeError = checkRange(first.startedAt, last.endedAt, now);
+  if (rangeError) return { status: 400, error: rangeError };
+
+  const between = await findOverlappingLog(
+    userId,
+    { startedAt: first.startedAt, endedAt: last.endedAt },
+    logs.map((log) => log._id),
+  );
+  if (between) {
+    return { ...overlapError(between), error: "Sessions are not adjacent" };
+  }
+
+  first.endedAt = last.endedAt;
+  first.autoClosed = last.autoClosed;
+  if (key) first.feeling = key;
+  first.tags = [...new Set(logs.flatMap((log) => log.tags ?? []))];
+  if (!first.note) first.note = logs.find((log) => log.note)?.note ?? "";
+  first.set(detailFields(fields));
+
+  // Save the merged session before dropping the others, so a failed save
+  // loses nothing.
+  await first.save();
+  await FeelingLog.deleteMany({
+    _id: { $in: logs.slice(1).map((log) => log._id) },
+    user: userId,
+  });
+  return { log: first, mergedIds: logs.slice(1).map((log) => String(log._id)) };
+}
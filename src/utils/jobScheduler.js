@@ -0,0 +1,159 @@
+import os from "os";
+import crypto from "crypto";
+import JobLock from "../models/JobLock.js";
+import JobRun from "../models/JobRun.js";
+
+const DUPLICATE_KEY = 11000;
+const DEFAULT_LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Identifies this process in locks and run history.
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(3)
+  .toString("hex")}`;
+
+const jobs = new Map();
+const timers = new Map();
+
+/**
+ * Register a named job.
+ *
+ * defineJob({
+ *   name: "cleanup-expired-otps",
+ *   description: "...",
+ *   intervalMs: 10 * 60 * 1000, // optional, for the in-process scheduler
+ *   lockTtlMs: 60 * 1000,       // optional, how long a run may hold the lock
+ *   handler: async ({ now, trigger }) => ({ ...summary }),
+ * })
+ */
+export function defineJob(job) {
+  if (!job?.name || typeof job.handler !== "function") {
+    throw new Error("Job requires a name and a handler");
+  }
+  jobs.set(job.name, {
+    description: "",
+    intervalMs: null,
+    lockTtlMs: DEFAULT_LOCK_TTL_MS,
+    ...job,
+  });
+}
+
+export function getJob(name) {
+  return jobs.get(name) ?? null;
+}
+
+export function listJobs() {
+  return Array.from(jobs.values()).map((job) => ({
+    name: job.name,
+    description: job.description,
+    intervalMs: job.intervalMs,
+  }));
+}
+
+async function acquireLock(name, ttlMs, now) {
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      {
+        name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          lockedBy: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+        },
+      },
+      { new: true, upsert: true },
+    ).lean();
+    return lock?.lockedBy === INSTANCE_ID;
+  } catch (err) {
+    // The upsert collides with an existing (held) lock document.
+    if (err?.code === DUPLICATE_KEY) return false;
+    throw err;
+  }
+}
+
+async function releaseLock(name) {
+  await JobLock.updateOne(
+    { name, lockedBy: INSTANCE_ID },
+    { $set: { lockedBy: null, lockedUntil: null } },
+  );
+}
+
+/**
+ * Run a job once if no other instance holds its lock.
+ * Resolves to the JobRun document (status "skipped" when the lock is taken).
+ * `now` can be injected for tests.
+ */
+export async function runJob(name, { trigger = "manual", now } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    const err = new Error(`Unknown job: ${name}`);
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const startedAt = now ?? new Date();
+  const acquired = await acquireLock(name, job.lockTtlMs, startedAt);
+
+  if (!acquired) {
+    return JobRun.create({
+      name,
+      trigger,
+      instanceId: INSTANCE_ID,
+      status: "skipped",
+      startedAt,
+      finishedAt: startedAt,
+      durationMs: 0,
+      error: "Lock held by another instance",
+    });
+  }
+
+  const run = await JobRun.create({
+    name,
+    trigger,
+    instanceId: INSTANCE_ID,
+    status: "running",
+    startedAt,
+  });
+
+  const clockStart = Date.now();
+  try {
+    const result = await job.handler({ now: startedAt, trigger });
+    run.status = "succeeded";
+    run.result = result ?? null;
+  } catch (err) {
+    console.error(`JOB ${name} FAILED:`, err);
+    run.status = "failed";
+    run.error = String(err?.message || err);
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = Date.now() - clockStart;
+    await run.save();
+    await releaseLock(name);
+  }
+
+  return run;
+}
+
+export function getRecentRuns(name, limit = 20) {
+  return JobRun.find({ name }).sort({ startedAt: -1 }).limit(limit).lean();
+}
+
+/**
+ * Start in-process intervals for every job that defines `intervalMs`.
+ * On Lambda, timers don't survive between invocations, so jobs are expected
+ * to be triggered through POST /internal/jobs/:name instead.
+ */
+export function scheduleJobs() {
+  for (const job of jobs.values()) {
+    if (!job.intervalMs || timers.has(job.name)) continue;
+
+    const timer = setInterval(() => {
+      runJob(job.name, { trigger: "interval" }).catch((err) =>
+        console.error(`JOB ${job.name} SCHEDULER ERROR:`, err),
+      );
+    }, job.intervalMs);
+    timer.unref?.();
+    timers.set(job.name, timer);
+  }
+}
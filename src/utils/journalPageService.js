@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+import JournalEntry from "../models/JournalEntry.js";
+import JournalTask from "../models/JournalTask.js";
+import { ensureJournalTasksMigrated } from "./journalTaskService.js";
+
+/*
+ * Journal lists are paged by day. `cursor` is the last dateKey of the
+ * previous page (`nextCursor`), `from`/`to` bound the days and `fields`
+ * picks which fields of each item are returned (dateKey always is).
+ */
+
+/**
+ * Condition on a dateKey field for the page after `cursor` within
+ * `from`..`to`, or null when there's nothing to filter on.
+ */
+export function dateKeyCondition({ from, to, cursor }, order = "desc") {
+  const condition = {};
+  if (from) condition.$gte = from;
+  if (to) condition.$lte = to;
+  if (cursor) condition[order === "desc" ? "$lt" : "$gt"] = cursor;
+  return Object.keys(condition).length ? condition : null;
+}
+
+/**
+ * The first `limit` of `items` (fetched with one extra) with the paging
+ * metadata: { items, nextCursor, hasMore }.
+ */
+export function toPage(items, limit, getKey = (item) => item.dateKey) {
+  const page = items.slice(0, limit);
+  const hasMore = items.length > limit;
+  return {
+    items: page,
+    nextCursor: hasMore ? getKey(page[page.length - 1]) : null,
+    hasMore,
+  };
+}
+
+/**
+ * Only the requested `fields` of `item` (all of them without a list).
+ */
+export function pickFields(item, fields) {
+  if (!fields) return item;
+  return Object.fromEntries(
+    Object.entries(item).filter(
+      ([key]) => key === "dateKey" || fields.includes(key),
+    ),
+  );
+}
+
+/**
+ * One page of the days that have an entry matching `entries` or a task
+ * matching `tasks` (either filter may be left out to skip that collection).
+ * Resolves to { dateKeys, nextCursor, hasMore }.
+ */
+export async function pageJournalDays(
+  userId,
+  { from, to, cursor, limit },
+  { entries = null, tasks = null, order = "desc" },
+) {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const range = dateKeyCondition({ from, to, cursor }, order);
+  const direction = order === "desc" ? -1 : 1;
+  if (tasks) await ensureJournalTasksMigrated(userId);
+
+  // Each collection can fill the page alone, so take limit + 1 of both.
+  const [entryKeys, taskKeys] = await Promise.all([
+    entries
+      ? JournalEntry.find({
+          user,
+          ...entries,
+          ...(range ? { dateKey: range } : {}),
+        })
+          .select("dateKey")
+          .sort({ dateKey: direction })
+          .limit(limit + 1)
+          .lean()
+          .then((docs) => docs.map((doc) => doc.dateKey))
+      : [],
+    tasks
+      ? JournalTask.aggregate([
+          {
+            $match: {
+              user,
+              ...tasks,
+              ...(range ? { scheduledDateKey: range } : {}),
+            },
+          },
+          { $group: { _id: "$scheduledDateKey" } },
+          { $sort: { _id: direction } },
+          { $limit: limit + 1 },
+        ]).then((groups) => groups.map((group) => group._id))
+      : [],
+  ]);
+
+  const dateKeys = [...new Set([...entryKeys, ...taskKeys])].sort(
+    (a, b) => direction * a.localeCompare(b),
+  );
+  const { items, nextCursor, hasMore } = toPage(dateKeys, limit, (key) => key);
+  return { dateKeys: items, nextCursor, hasMore };
+}
@@ -0,0 +1,295 @@
+import JournalPromptSet from "../models/JournalPromptSet.js";
+import JournalPromptAssignment from "../models/JournalPromptAssignment.js";
+
+/*
+ * Journal answers are stored per prompt (`answers: [{ promptId, text,
+ * photos }]`) together with the key of the prompt set they were written
+ * for. Entries from before prompt sets only have the three fixed
+ * `questions`; they read as answers to the built-in "classic" set, and
+ * every answer to a classic prompt can be read back in that legacy shape.
+ */
+
+export const MISTAKES_PROMPT_ID = "mistakes";
+export const LEARNING_PROMPT_ID = "whatDidYouLearn";
+export const MILESTONE_PROMPT_ID = "anythingSpecialHappenedToday";
+
+// Used when no default set has been created (an editor can override it by
+// creating a set with this key).
+export const CLASSIC_PROMPT_SET = {
+  key: "classic",
+  name: "Daily reflection",
+  description: "",
+  prompts: [
+    {
+      id: MISTAKES_PROMPT_ID,
+      text: "What mistakes did you make today?",
+      placeholder: "",
+      allowPhotos: false,
+      maxLength: 5000,
+    },
+    {
+      id: LEARNING_PROMPT_ID,
+      text: "What did you learn today?",
+      placeholder: "",
+      allowPhotos: false,
+      maxLength: 5000,
+    },
+    {
+      id: MILESTONE_PROMPT_ID,
+      text: "Did anything special happen today?",
+      placeholder: "",
+      allowPhotos: true,
+      maxLength: 5000,
+    },
+  ],
+  audience: "everyone",
+  schedule: { startsOn: null, endsOn: null, weekdays: [] },
+  priority: 0,
+  isDefault: true,
+  isActive: true,
+};
+
+// Where the classic prompts' text lives on legacy entries.
+const LEGACY_TEXT_PATHS = {
+  [MISTAKES_PROMPT_ID]: "questions.mistakes",
+  [LEARNING_PROMPT_ID]: "questions.whatDidYouLearn",
+  [MILESTONE_PROMPT_ID]: "questions.anythingSpecialHappenedToday.aboutIt",
+};
+
+const normalizeAnswer = (answer) => ({
+  promptId: answer.promptId,
+  text: String(answer.text ?? "").trim(),
+  photos: Array.isArray(answer.photos) ? answer.photos : [],
+});
+
+const isAnswered = (answer) =>
+  answer.text.length > 0 || answer.photos.length > 0;
+
+/**
+ * Legacy `questions` as answers to the classic prompts. Fields missing from
+ * `questions` are left out, so partial updates stay partial.
+ */
+export function legacyQuestionsToAnswers(questions) {
+  const answers = [];
+  if (questions?.mistakes !== undefined) {
+    answers.push({ promptId: MISTAKES_PROMPT_ID, text: questions.mistakes });
+  }
+  if (questions?.whatDidYouLearn !== undefined) {
+    answers.push({
+      promptId: LEARNING_PROMPT_ID,
+      text: questions.whatDidYouLearn,
+    });
+  }
+  const special = questions?.anythingSpecialHappenedToday;
+  if (special) {
+    answers.push({
+      promptId: MILESTONE_PROMPT_ID,
+      ...(special.aboutIt !== undefined ? { text: special.aboutIt } : {}),
+      ...(special.photos !== undefined ? { photos: special.photos } : {}),
+    });
+  }
+  return answers;
+}
+
+/**
+ * The answered prompts of a journal entry, whichever shape it was stored
+ * in: [{ promptId, text, photos }].
+ */
+export function getEntryAnswers(entry) {
+  const answers = entry?.answers ?? legacyQuestionsToAnswers(entry?.questions);
+  return answers.map(normalizeAnswer).filter(isAnswered);
+}
+
+/**
+ * The entry's answer to `promptId`, or null.
+ */
+export function findAnswer(entry, promptId) {
+  return (
+    getEntryAnswers(entry).find((answer) => answer.promptId === promptId) ??
+    null
+  );
+}
+
+/**
+ * The legacy `questions` shape of `answers` (classic prompts only), for
+ * clients that predate prompt sets.
+ */
+export function toLegacyQuestions(answers) {
+  const byId = new Map(answers.map((answer) => [answer.promptId, answer]));
+  return {
+    mistakes: byId.get(MISTAKES_PROMPT_ID)?.text ?? "",
+    whatDidYouLearn: byId.get(LEARNING_PROMPT_ID)?.text ?? "",
+    anythingSpecialHappenedToday: {
+      aboutIt: byId.get(MILESTONE_PROMPT_ID)?.text ?? "",
+      photos: byId.get(MILESTONE_PROMPT_ID)?.photos ?? [],
+    },
+  };
+}
+
+/**
+ * `current` answers with `updates` applied per prompt (an update may set
+ * only the text or only the photos); unanswered prompts are dropped.
+ */
+export function mergeAnswers(current, updates) {
+  const merged = new Map(current.map((answer) => [answer.promptId, answer]));
+  for (const update of updates) {
+    const fields = Object.entries(update).filter(([, v]) => v !== undefined);
+    merged.set(update.promptId, {
+      ...merged.get(update.promptId),
+      ...Object.fromEntries(fields),
+    });
+  }
+  return [...merged.values()].map(normalizeAnswer).filter(isAnswered);
+}
+
+/**
+ * Query matching entries with a non-blank answer to `promptId` (with
+ * `withPhotos`, also answers that only have photos), in either shape.
+ */
+export function answeredFilter(promptId, { withPhotos = false } = {}) {
+  const or = [{ answers: { $elemMatch: { promptId, text: /\S/ } } }];
+  if (LEGACY_TEXT_PATHS[promptId]) {
+    or.push({ [LEGACY_TEXT_PATHS[promptId]]: /\S/ });
+  }
+  if (withPhotos) {
+    or.push({
+      answers: { $elemMatch: { promptId, "photos.0": { $exists: true } } },
+    });
+    if (promptId === MILESTONE_PROMPT_ID) {
+      or.push({
+        "questions.anythingSpecialHappenedToday.photos.0": { $exists: true },
+      });
+    }
+  }
+  return { $or: or };
+}
+
+/**
+ * API shape of a prompt set as shown to users.
+ */
+export function formatPromptSet(set) {
+  return {
+    key: set.key,
+    name: set.name,
+    description: set.description ?? "",
+    prompts: (set.prompts ?? []).map((prompt) => ({
+      id: prompt.id,
+      text: prompt.text,
+      placeholder: prompt.placeholder ?? "",
+      allowPhotos: Boolean(prompt.allowPhotos),
+      maxLength: prompt.maxLength ?? 5000,
+    })),
+  };
+}
+
+// Whether a { startsOn, endsOn } range includes `dateKey`.
+function coversDay(range, dateKey) {
+  return (
+    (!range?.startsOn || range.startsOn <= dateKey) &&
+    (!range?.endsOn || dateKey <= range.endsOn)
+  );
+}
+
+function isScheduledOn(set, dateKey) {
+  const weekdays = set.schedule?.weekdays ?? [];
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return (
+    coversDay(set.schedule, dateKey) &&
+    (weekdays.length === 0 || weekdays.includes(weekday))
+  );
+}
+
+/**
+ * The prompt set with `key` (retired ones included), or null.
+ */
+export async function getPromptSet(key) {
+  const set = await JournalPromptSet.findOne({ key }).lean();
+  if (set) return set;
+  return key === CLASSIC_PROMPT_SET.key ? CLASSIC_PROMPT_SET : null;
+}
+
+/**
+ * The prompt set of the user's journal on `dateKey`: the one `entry` was
+ * written with, else a set assigned to the user, else the highest priority
+ * set scheduled for everyone, else the default set.
+ */
+export async function getPromptSetForDay(userId, dateKey, entry = null) {
+  if (entry?.answers || entry?.questions) {
+    const set = await getPromptSet(entry.promptSet ?? CLASSIC_PROMPT_SET.key);
+    if (set) return set;
+  }
+
+  const [assignments, sets] = await Promise.all([
+    JournalPromptAssignment.find({ user: userId })
+      .sort({ createdAt: -1 })
+      .lean(),
+    JournalPromptSet.find({ isActive: true }).lean(),
+  ]);
+  const setsByKey = new Map(sets.map((set) => [set.key, set]));
+
+  for (const assignment of assignments) {
+    const set = setsByKey.get(assignment.promptSet);
+    if (set && coversDay(assignment, dateKey) && isScheduledOn(set, dateKey)) {
+      return set;
+    }
+  }
+
+  const [scheduled] = sets
+    .filter(
+      (set) =>
+        set.audience === "everyone" &&
+        !set.isDefault &&
+        isScheduledOn(set, dateKey),
+    )
+    .sort(
+      (a, b) =>
+        b.priority - a.priority ||
+        String(b.schedule?.startsOn ?? "").localeCompare(
+          String(a.schedule?.startsOn ?? ""),
+        ),
+    );
+  return (
+    scheduled ??
+    sets.find((set) => set.isDefault && set.audience === "everyone") ??
+    CLASSIC_PROMPT_SET
+  );
+}
+
+/**
+ * Why `answers` can't be saved for `set`, or null when they can.
+ */
+export function checkAnswers(set, answers) {
+  const prompts = new Map(set.prompts.map((prompt) => [prompt.id, prompt]));
+  const seen = new Set();
+  for (const answer of answers) {
+    const prompt = prompts.get(answer.promptId);
+    if (!prompt) return `Unknown prompt: ${answer.promptId}`;
+    if (seen.has(answer.promptId)) {
+      return `More than one answer to prompt: ${answer.promptId}`;
+    }
+    seen.add(answer.promptId);
+    if (String(answer.text ?? "").length > (prompt.maxLength ?? 5000)) {
+      return `Answer to ${answer.promptId} is too long`;
+    }
+    if (answer.photos?.length && !prompt.allowPhotos) {
+      return `Prompt ${answer.promptId} doesn't take photos`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Text of every prompt id ever used (the latest wording wins):
+ * Map(promptId => text).
+ */
+export async function getPromptTexts() {
+  const sets = await JournalPromptSet.find()
+    .select("prompts.id prompts.text")
+    .sort({ updatedAt: 1 })
+    .lean();
+  const texts = new Map();
+  for (const set of [CLASSIC_PROMPT_SET, ...sets]) {
+    for (const prompt of set.prompts ?? []) texts.set(prompt.id, prompt.text);
+  }
+  return texts;
+}
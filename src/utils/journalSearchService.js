@@ -0,0 +1,204 @@
+import mongoose from "mongoose";
+import JournalEntry from "../models/JournalEntry.js";
+import JournalTask from "../models/JournalTask.js";
+import {
+  ensureJournalTasksMigrated,
+  formatJournalTask,
+} from "./journalTaskService.js";
+import { getEntryAnswers } from "./journalPromptService.js";
+
+/*
+ * Journal search runs a $text query against the answers (JournalEntry) and
+ * the task text (JournalTask), then groups hits by day: a day's relevance
+ * is the sum of its text scores. Only the best MAX_CANDIDATES hits of each
+ * collection are ranked, which is plenty for one user's journal.
+ */
+
+const MAX_CANDIDATES = 500;
+const SNIPPET_RADIUS = 60;
+
+// The text index from before answers were searchable. A collection only
+// takes one text index, so the current one can't be built until it's gone.
+const LEGACY_SEARCH_INDEX = "journal_search";
+const NAMESPACE_NOT_FOUND = 26;
+
+// Crude stemming so "sisters" highlights "sister" the way $text matches it.
+// Short words are left alone ("is" isn't "i").
+const stem = (word) => {
+  const lower = word.toLowerCase();
+  const stemmed = lower.replace(/(ing|ed|es|s)$/, "");
+  return stemmed.length >= 3 ? stemmed : lower;
+};
+
+// A word shorter than the search term only matches from this length on, so
+// "about" doesn't highlight "a".
+const MIN_PARTIAL_WORD = 4;
+
+const matchesTerm = (word, term) =>
+  word.startsWith(term) ||
+  (word.length >= MIN_PARTIAL_WORD && term.startsWith(word));
+
+/**
+ * Words of a search query, without quotes and negated terms.
+ */
+export function getSearchTerms(query) {
+  return String(query ?? "")
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith("-"))
+    .map((word) => word.replace(/[^\p{L}\p{N}]+/gu, ""))
+    .filter((word) => word.length > 1);
+}
+
+/**
+ * Part of `text` around the first matching word, with the character
+ * ranges of every matching word in it: { text, highlights: [[start, end]] }.
+ * Null when no word matches.
+ */
+export function buildSnippet(text, terms) {
+  const stems = terms.map(stem).filter(Boolean);
+  const matches = [];
+  for (const match of String(text ?? "").matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = stem(match[0]);
+    if (stems.some((term) => matchesTerm(word, term))) {
+      matches.push([match.index, match.index + match[0].length]);
+    }
+  }
+  if (!matches.length) return null;
+
+  let start = Math.max(matches[0][0] - SNIPPET_RADIUS, 0);
+  let end = Math.min(matches[0][1] + SNIPPET_RADIUS, text.length);
+  // Don't cut words in half, unless there's no space to cut at (long words,
+  // CJK text) or cutting there would drop the first match.
+  if (start > 0) {
+    const space = text.indexOf(" ", start);
+    if (space !== -1 && space < matches[0][0]) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(" ", end);
+    if (space > start && space >= matches[0][1]) end = space;
+  }
+
+  const prefix = start > 0 ? "…" : "";
+  return {
+    text: `${prefix}${text.slice(start, end)}${end < text.length ? "…" : ""}`,
+    highlights: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [
+        from - start + prefix.length,
+        to - start + prefix.length,
+      ]),
+  };
+}
+
+/**
+ * Replace the legacy journal search index with the current one (the
+ * "migrate-journal-search-index" job). Resolves to { dropped }.
+ */
+export async function migrateJournalSearchIndex() {
+  let indexes;
+  try {
+    indexes = await JournalEntry.collection.indexes();
+  } catch (err) {
+    // No journal entries yet, so no index either.
+    if (err?.code === NAMESPACE_NOT_FOUND) return { dropped: false };
+    throw err;
+  }
+  if (!indexes.some((index) => index.name === LEGACY_SEARCH_INDEX)) {
+    return { dropped: false };
+  }
+
+  await JournalEntry.collection.dropIndex(LEGACY_SEARCH_INDEX);
+  await JournalEntry.createIndexes();
+  return { dropped: true };
+}
+
+function dateKeyRange(from, to) {
+  if (!from && !to) return null;
+  return { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) };
+}
+
+/**
+ * Search the user's journal. `status` limits results to tasks with that
+ * status (answers have none). Resolves to { results, page, limit, total,
+ * hasMore }, best matches first; each result is one day.
+ */
+export async function searchJournal(
+  userId,
+  { q, from, to, status, page = 1, limit = 20 },
+) {
+  await ensureJournalTasksMigrated(userId);
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const range = dateKeyRange(from, to);
+  const score = { score: { $meta: "textScore" } };
+
+  const [entries, tasks] = await Promise.all([
+    status
+      ? []
+      : JournalEntry.find(
+          {
+            user,
+            $text: { $search: q },
+            ...(range ? { dateKey: range } : {}),
+          },
+          score,
+        )
+          .select("dateKey answers questions")
+          .sort(score)
+          .limit(MAX_CANDIDATES)
+          .lean(),
+    JournalTask.find(
+      {
+        user,
+        $text: { $search: q },
+        ...(range ? { scheduledDateKey: range } : {}),
+        ...(status ? { status } : {}),
+      },
+      score,
+    )
+      .sort(score)
+      .limit(MAX_CANDIDATES)
+      .lean(),
+  ]);
+
+  const terms = getSearchTerms(q);
+  const days = new Map();
+  const dayFor = (dateKey) => {
+    if (!days.has(dateKey)) {
+      days.set(dateKey, { dateKey, score: 0, snippets: [], tasks: [] });
+    }
+    return days.get(dateKey);
+  };
+
+  for (const entry of entries) {
+    const day = dayFor(entry.dateKey);
+    day.score += entry.score;
+    // `field` is the prompt id (the legacy question names for old entries).
+    for (const answer of getEntryAnswers(entry)) {
+      const snippet = buildSnippet(answer.text, terms);
+      if (snippet) day.snippets.push({ field: answer.promptId, ...snippet });
+    }
+  }
+  for (const task of tasks) {
+    const day = dayFor(task.scheduledDateKey);
+    day.score += task.score;
+    day.tasks.push({
+      ...formatJournalTask(task, task.scheduledDateKey),
+      snippet: buildSnippet(task.title, terms),
+    });
+  }
+
+  const ranked = [...days.values()].sort(
+    (a, b) => b.score - a.score || b.dateKey.localeCompare(a.dateKey),
+  );
+  const offset = (page - 1) * limit;
+  return {
+    results: ranked.slice(offset, offset + limit).map((day) => ({
+      ...day,
+      score: Math.round(day.score * 1000) / 1000,
+    })),
+    page,
+    limit,
+    total: ranked.length,
+    hasMore: offset + limit < ranked.length,
+  };
+}
@@ -0,0 +1,367 @@
+import mongoose from "mongoose";
+import JournalEntry from "../models/JournalEntry.js";
+import JournalTask from "../models/JournalTask.js";
+import JournalTombstone from "../models/JournalTombstone.js";
+import { getUserTimeZone, toDateKey } from "./dateKeyService.js";
+import {
+  ensureJournalTasksMigrated,
+  formatJournalTask,
+  getSettledJournalSyncSeq,
+  statusFields,
+  withJournalSyncSeq,
+  writeTaskTombstones,
+} from "./journalTaskService.js";
+import { ACTIVITY_ACTIONS, recordActivity } from "./activityService.js";
+import {
+  CLASSIC_PROMPT_SET,
+  checkAnswers,
+  getEntryAnswers,
+  getPromptSet,
+  getPromptSetForDay,
+  legacyQuestionsToAnswers,
+  mergeAnswers,
+  toLegacyQuestions,
+} from "./journalPromptService.js";
+
+/*
+ * Offline sync: every journal change is stamped with the user's next
+ * `journalSyncSeq`, so clients pull everything after the last sequence they
+ * saw. Pushed operations name the version they were based on and are only
+ * applied when it's still current; otherwise the server copy is returned as
+ * a conflict for the client to resolve and re-send.
+ */
+
+// Completions logged offline may be backdated by at most this much.
+const MAX_OFFLINE_MS = 7 * 24 * 60 * 60 * 1000;
+
+function formatSyncEntry(entry) {
+  const answers = getEntryAnswers(entry);
+  return {
+    dateKey: entry.dateKey,
+    promptSet: entry.promptSet ?? CLASSIC_PROMPT_SET.key,
+    answers,
+    questions: toLegacyQuestions(answers),
+    version: entry.version ?? 0,
+    updatedAt: entry.updatedAt ?? null,
+  };
+}
+
+// Entries and tasks written before sync existed have no sequence (or 0).
+const UNSYNCED = { syncSeq: { $in: [null, 0] } };
+
+/**
+ * Stamp the user's entries and tasks from before sync with a sync sequence,
+ * so a full pull (`since` 0) includes them. Resolves to how many were
+ * stamped.
+ */
+export async function ensureJournalSyncSeqs(userId) {
+  const filter = { user: userId, ...UNSYNCED };
+  const [entries, tasks] = await Promise.all([
+    JournalEntry.exists(filter),
+    JournalTask.exists(filter),
+  ]);
+  if (!entries && !tasks) return 0;
+
+  return withJournalSyncSeq(userId, new Date(), async (syncSeq) => {
+    const update = { $set: { syncSeq } };
+    const results = await Promise.all([
+      JournalEntry.updateMany(filter, update, { timestamps: false }),
+      JournalTask.updateMany(filter, update, { timestamps: false }),
+    ]);
+    return results.reduce((sum, result) => sum + result.modifiedCount, 0);
+  });
+}
+
+/**
+ * Stamp pre-sync journal data of up to `limit` users (the
+ * "backfill-journal-sync-seqs" job).
+ */
+export async function backfillJournalSyncSeqs({ limit = 500 } = {}) {
+  const usersOf = (Model) =>
+    Model.aggregate([
+      { $match: UNSYNCED },
+      { $group: { _id: "$user" } },
+      { $limit: limit },
+    ]).then((groups) => groups.map((group) => String(group._id)));
+  const users = [
+    ...new Set([
+      ...(await usersOf(JournalEntry)),
+      ...(await usersOf(JournalTask)),
+    ]),
+  ].slice(0, limit);
+
+  let stamped = 0;
+  const failed = [];
+  for (const userId of users) {
+    try {
+      stamped += await ensureJournalSyncSeqs(userId);
+    } catch (err) {
+      console.error(`JOURNAL SYNC BACKFILL FAILED (${userId}):`, err);
+      failed.push(userId);
+    }
+  }
+  return { users: users.length, stamped, failed };
+}
+
+/**
+ * Journal changes after sequence `since`, oldest first, at most `limit`
+ * records: { entries, tasks, deleted, since, hasMore }. `since` in the
+ * result is what to pass next time. Changes of writes still in flight (and
+ * everything after them) are left for the next pull.
+ */
+export async function getJournalChanges(userId, { since = 0, limit = 500 }) {
+  await ensureJournalTasksMigrated(userId);
+  await ensureJournalSyncSeqs(userId);
+  const settled = await getSettledJournalSyncSeq(userId);
+  const filter = { user: userId, syncSeq: { $gt: since, $lte: settled } };
+
+  // One extra of each tells whether anything is left after this page.
+  const [entries, tasks, tombstones] = await Promise.all([
+    JournalEntry.find(filter)
+      .sort({ syncSeq: 1 })
+      .limit(limit + 1)
+      .lean(),
+    JournalTask.find(filter)
+      .sort({ syncSeq: 1 })
+      .limit(limit + 1)
+      .lean(),
+    JournalTombstone.find(filter)
+      .sort({ syncSeq: 1 })
+      .limit(limit + 1)
+      .lean(),
+  ]);
+
+  const changes = [
+    ...entries.map((doc) => ({ type: "entry", doc })),
+    ...tasks.map((doc) => ({ type: "task", doc })),
+    ...tombstones.map((doc) => ({ type: "deleted", doc })),
+  ].sort((a, b) => a.doc.syncSeq - b.doc.syncSeq);
+  const hasMore = changes.length > limit;
+
+  // A page never ends halfway through the changes of one sequence (one
+  // batch write), unless that batch alone fills it.
+  let page = changes.slice(0, limit);
+  if (hasMore) {
+    const cutSeq = changes[limit].doc.syncSeq;
+    const whole = page.filter((change) => change.doc.syncSeq < cutSeq);
+    if (whole.length) page = whole;
+  }
+  const nextSince = page.length ? page[page.length - 1].doc.syncSeq : since;
+
+  const pick = (type) =>
+    page.filter((change) => change.type === type).map((c) => c.doc);
+
+  return {
+    entries: pick("entry").map(formatSyncEntry),
+    tasks: pick("task").map((task) => ({
+      ...formatJournalTask(task),
+      description: task.description ?? "",
+    })),
+    deleted: pick("deleted").map((tombstone) => ({
+      type: tombstone.kind,
+      id: String(tombstone.docId),
+      clientId: tombstone.clientId ?? null,
+      deletedAt: tombstone.deletedAt,
+    })),
+    since: nextSince,
+    hasMore,
+  };
+}
+
+// A task op may name the task by server id or by the id the client gave it.
+async function findOpTask(userId, op) {
+  if (op.id) {
+    if (!mongoose.Types.ObjectId.isValid(op.id)) return null;
+    return JournalTask.findOne({ _id: op.id, user: userId }).lean();
+  }
+  return JournalTask.findOne({ user: userId, clientId: op.clientId }).lean();
+}
+
+async function isTaskDeleted(userId, op) {
+  return JournalTombstone.exists({
+    user: userId,
+    ...(op.id ? { docId: op.id } : { clientId: op.clientId }),
+  });
+}
+
+// When the op happened: its `at`, if it's recent and not in the future.
+function opTime(op, now) {
+  const at = op.at ? new Date(op.at) : null;
+  if (!at || at > now || now - at > MAX_OFFLINE_MS) return now;
+  return at;
+}
+
+const applied = (fields) => ({ status: "applied", ...fields });
+const conflict = (fields) => ({ status: "conflict", ...fields });
+const failed = (error) => ({ status: "error", error });
+
+async function createTask(userId, op, ctx) {
+  const existing = await JournalTask.findOne({
+    user: userId,
+    clientId: op.clientId,
+  }).lean();
+  // Already created by an earlier (retried) sync.
+  if (existing) return applied({ task: formatJournalTask(existing) });
+
+  const at = opTime(op, ctx.now);
+  const status = op.status ?? "pending";
+  try {
+    const task = await withJournalSyncSeq(userId, ctx.now, (syncSeq) =>
+      JournalTask.create({
+        user: userId,
+        clientId: op.clientId,
+        title: op.task,
+        dueDateKey: op.dateKey,
+        scheduledDateKey: op.dateKey,
+        ...statusFields(status, toDateKey(at, ctx.timeZone), at),
+        syncSeq,
+      }),
+    );
+    if (status === "completed") ctx.completedAt.push(at);
+    return applied({ task: formatJournalTask(task) });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    const task = await findOpTask(userId, { clientId: op.clientId });
+    return applied({ task: formatJournalTask(task) });
+  }
+}
+
+async function updateTask(userId, op, ctx) {
+  const current = await findOpTask(userId, op);
+  if (!current) {
+    return (await isTaskDeleted(userId, op))
+      ? conflict({ deleted: true })
+      : failed("Task not found");
+  }
+
+  const at = opTime(op, ctx.now);
+  const set = {};
+  if (op.task !== undefined) set.title = op.task;
+  if (op.scheduledDateKey !== undefined) {
+    set.scheduledDateKey = op.scheduledDateKey;
+  }
+  if (op.status !== undefined && op.status !== current.status) {
+    Object.assign(
+      set,
+      statusFields(op.status, toDateKey(at, ctx.timeZone), at),
+    );
+  }
+
+  const task = await withJournalSyncSeq(userId, ctx.now, (syncSeq) =>
+    JournalTask.findOneAndUpdate(
+      { _id: current._id, version: op.baseVersion },
+      { $set: { ...set, syncSeq }, $inc: { version: 1 } },
+      { new: true },
+    ).lean(),
+  );
+  if (!task) return conflict({ task: formatJournalTask(current) });
+
+  if (current.status !== "completed" && task.status === "completed") {
+    ctx.completedAt.push(at);
+  }
+  return applied({ task: formatJournalTask(task) });
+}
+
+async function deleteTask(userId, op, ctx) {
+  const current = await findOpTask(userId, op);
+  if (!current) {
+    return (await isTaskDeleted(userId, op))
+      ? applied({ deleted: true })
+      : failed("Task not found");
+  }
+
+  const deleted = await JournalTask.findOneAndDelete({
+    _id: current._id,
+    version: op.baseVersion,
+  }).lean();
+  if (!deleted) return conflict({ task: formatJournalTask(current) });
+
+  await withJournalSyncSeq(userId, ctx.now, (syncSeq) =>
+    writeTaskTombstones(userId, [deleted], syncSeq),
+  );
+  return applied({ deleted: true });
+}
+
+async function updateEntry(userId, op, ctx) {
+  const stored = await JournalEntry.findOne({
+    user: userId,
+    dateKey: op.dateKey,
+  })
+    .select("promptSet answers questions")
+    .lean();
+  // Ops from older clients carry the classic questions.
+  const promptSet = op.answers
+    ? await getPromptSetForDay(userId, op.dateKey, stored)
+    : await getPromptSet(CLASSIC_PROMPT_SET.key);
+  const updates = op.answers ?? legacyQuestionsToAnswers(op.questions);
+  const error = checkAnswers(promptSet, updates);
+  if (error) return failed(error);
+
+  const set = {
+    promptSet: promptSet.key,
+    // Safe to merge: the write only goes through at `baseVersion`.
+    answers: mergeAnswers(getEntryAnswers(stored), updates),
+  };
+
+  // Entries from before sync have no version; they count as version 0.
+  const filter =
+    op.baseVersion === 0
+      ? { user: userId, dateKey: op.dateKey, version: { $in: [0, null] } }
+      : { user: userId, dateKey: op.dateKey, version: op.baseVersion };
+
+  try {
+    const entry = await withJournalSyncSeq(userId, ctx.now, (syncSeq) =>
+      JournalEntry.findOneAndUpdate(
+        filter,
+        {
+          $set: { ...set, syncSeq },
+          $unset: { questions: 1 },
+          $inc: { version: 1 },
+        },
+        { new: true, upsert: op.baseVersion === 0, setDefaultsOnInsert: true },
+      ).lean(),
+    );
+    if (entry) return applied({ entry: formatSyncEntry(entry) });
+  } catch (err) {
+    // Someone else created the entry first.
+    if (err?.code !== 11000) throw err;
+  }
+
+  const current = await JournalEntry.findOne({
+    user: userId,
+    dateKey: op.dateKey,
+  }).lean();
+  return conflict({ entry: current ? formatSyncEntry(current) : null });
+}
+
+const HANDLERS = {
+  "task.create": createTask,
+  "task.update": updateTask,
+  "task.delete": deleteTask,
+  "entry.update": updateEntry,
+};
+
+/**
+ * Apply a batch of client operations in order. Resolves to
+ * { results, since }: one result per op ("applied", "conflict" with the
+ * server copy, or "error") and the sequence to pull changes after.
+ */
+export async function applyJournalSyncOps(userId, ops, now = new Date()) {
+  await ensureJournalTasksMigrated(userId);
+  const ctx = { now, timeZone: await getUserTimeZone(userId), completedAt: [] };
+
+  const results = [];
+  for (const op of ops) {
+    const result = await HANDLERS[op.op](userId, op, ctx);
+    results.push({ opId: op.opId ?? null, op: op.op, ...result });
+  }
+
+  // Completions count toward activity on the day they happened.
+  for (const at of ctx.completedAt) {
+    await recordActivity(userId, ACTIVITY_ACTIONS.JOURNAL_TASK_COMPLETED, {
+      now: at,
+    });
+  }
+
+  return { results, since: await getSettledJournalSyncSeq(userId) };
+}
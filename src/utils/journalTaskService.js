@@ -0,0 +1,462 @@
+import mongoose from "mongoose";
+import RegisterUser from "../models/UserModel.js";
+import JournalTask from "../models/JournalTask.js";
+import JournalEntry from "../models/JournalEntry.js";
+import JournalTombstone from "../models/JournalTombstone.js";
+import { addDays, diffDays, getUserToday } from "./dateKeyService.js";
+
+/*
+ * Carry-forward rules: a task belongs to the day it's scheduled for
+ * (`scheduledDateKey`, its due day unless moved or deferred). While it's
+ * pending it also shows on today's journal, carried over from that day,
+ * with its age counted from the original due day. Completing a task
+ * records the local day it was done on; dropped tasks become "skipped".
+ *
+ * Every change bumps the task's `version` and stamps it with the next
+ * journal sync sequence (see journalSyncService.js).
+ *
+ * A sequence is handed out before the write that uses it, so concurrent
+ * writes can commit out of order. Each one is leased (listed in
+ * `journalSyncInFlight`) until its write is done, and the changes feed only
+ * reads up to the sequence below the oldest lease. Leases of writes that
+ * crashed lapse after SYNC_LEASE_MS.
+ */
+
+const SYNC_LEASE_MS = 60 * 1000;
+
+/**
+ * Run `write(syncSeq)` with the user's next journal sync sequence (also
+ * marking the journal as updated). Resolves to what `write` resolves to.
+ */
+export async function withJournalSyncSeq(userId, now, write) {
+  const leasedAt = new Date();
+  const lapsed = new Date(leasedAt.getTime() - SYNC_LEASE_MS);
+  const user = await RegisterUser.findOneAndUpdate(
+    { _id: userId },
+    [
+      {
+        $set: {
+          journalSyncSeq: { $add: [{ $ifNull: ["$journalSyncSeq", 0] }, 1] },
+          journalLastUpdatedAt: now ?? leasedAt,
+        },
+      },
+      {
+        $set: {
+          journalSyncInFlight: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ["$journalSyncInFlight", []] },
+                  cond: { $gt: ["$$this.at", lapsed] },
+                },
+              },
+              [{ seq: "$journalSyncSeq", at: leasedAt }],
+            ],
+          },
+        },
+      },
+    ],
+    { new: true, projection: { journalSyncSeq: 1 } },
+  ).lean();
+  const syncSeq = user?.journalSyncSeq ?? 0;
+  try {
+    return await write(syncSeq);
+  } finally {
+    await RegisterUser.updateOne(
+      { _id: userId },
+      { $pull: { journalSyncInFlight: { seq: syncSeq } } },
+    );
+  }
+}
+
+/**
+ * The highest journal sync sequence whose changes are all written; the
+ * changes feed must not read past it.
+ */
+export async function getSettledJournalSyncSeq(userId) {
+  const user = await RegisterUser.findById(userId)
+    .select("journalSyncSeq journalSyncInFlight")
+    .lean();
+  const lapsed = Date.now() - SYNC_LEASE_MS;
+  const inFlight = (user?.journalSyncInFlight ?? [])
+    .filter((lease) => lease.at.getTime() > lapsed)
+    .map((lease) => lease.seq);
+  return inFlight.length
+    ? Math.min(...inFlight) - 1
+    : (user?.journalSyncSeq ?? 0);
+}
+
+/**
+ * API shape of a task as seen on the journal for `viewKey`.
+ */
+export function formatJournalTask(task, viewKey = null) {
+  const untilKey = task.completedDateKey ?? viewKey;
+  return {
+    id: String(task._id),
+    task: task.title,
+    status: task.status,
+    dueDateKey: task.dueDateKey,
+    scheduledDateKey: task.scheduledDateKey,
+    completedDateKey: task.completedDateKey ?? null,
+    carriedOver: Boolean(viewKey && task.scheduledDateKey < viewKey),
+    ageDays: untilKey ? Math.max(diffDays(task.dueDateKey, untilKey), 0) : 0,
+    deferCount: task.deferCount ?? 0,
+    clientId: task.clientId ?? null,
+    version: task.version ?? 1,
+    createdAt: task.createdAt ?? null,
+    updatedAt: task.updatedAt ?? null,
+  };
+}
+
+// Move one entry's embedded tasks to JournalTask, keeping their ids.
+async function migrateEntryTasks(entry) {
+  const tasks = entry.tasks ?? [];
+  if (tasks.length) {
+    await withJournalSyncSeq(entry.user, new Date(), (syncSeq) =>
+      JournalTask.bulkWrite(
+        tasks.map((task) => ({
+          updateOne: {
+            filter: { _id: task._id },
+            update: {
+              $setOnInsert: {
+                user: entry.user,
+                title: task.task,
+                status: task.status ?? "pending",
+                dueDateKey: entry.dateKey,
+                scheduledDateKey: entry.dateKey,
+                // The only completion day legacy tasks have is their own.
+                completedDateKey:
+                  task.status === "completed" ? entry.dateKey : null,
+                completedAt:
+                  task.status === "completed" ? (task.updatedAt ?? null) : null,
+                createdAt: task.createdAt ?? entry.createdAt ?? new Date(),
+                updatedAt: task.updatedAt ?? entry.updatedAt ?? new Date(),
+                version: 1,
+                syncSeq,
+              },
+            },
+            upsert: true,
+            timestamps: false,
+          },
+        })),
+      ),
+    );
+  }
+  await JournalEntry.updateOne({ _id: entry._id }, { $unset: { tasks: 1 } });
+  return tasks.length;
+}
+
+/**
+ * Migrate the user's legacy journal tasks, if any are left. Called before
+ * reading tasks so nobody waits for the migration job.
+ */
+export async function ensureJournalTasksMigrated(userId) {
+  const entries = await JournalEntry.find({
+    user: userId,
+    tasks: { $exists: true },
+  })
+    .select("user dateKey tasks createdAt updatedAt")
+    .lean();
+  for (const entry of entries) await migrateEntryTasks(entry);
+}
+
+/**
+ * Migrate legacy tasks of up to `limit` journal entries (the
+ * "migrate-journal-tasks" job).
+ */
+export async function migratePendingJournalTasks({ limit = 500 } = {}) {
+  const entries = await JournalEntry.find({ tasks: { $exists: true } })
+    .select("user dateKey tasks createdAt updatedAt")
+    .limit(limit)
+    .lean();
+
+  let tasks = 0;
+  const failed = [];
+  for (const entry of entries) {
+    try {
+      tasks += await migrateEntryTasks(entry);
+    } catch (err) {
+      console.error(`JOURNAL TASK MIGRATION FAILED (${entry._id}):`, err);
+      failed.push(String(entry._id));
+    }
+  }
+  return { entries: entries.length, tasks, failed };
+}
+
+// Which tasks show on the journal for `dateKey` (see getTasksForDay).
+function dayTaskConditions(dateKey, todayKey) {
+  const or = [{ scheduledDateKey: dateKey }, { completedDateKey: dateKey }];
+  if (dateKey === todayKey) {
+    or.push({ status: "pending", scheduledDateKey: { $lt: dateKey } });
+  }
+  return or;
+}
+
+/**
+ * Tasks on the journal for `dateKey`: the ones scheduled or completed that
+ * day, plus (on today's journal) every pending task carried forward.
+ */
+export async function getTasksForDay(userId, dateKey, now = new Date()) {
+  await ensureJournalTasksMigrated(userId);
+  const { todayKey } = await getUserToday(userId, now);
+
+  const tasks = await JournalTask.find({
+    user: userId,
+    $or: dayTaskConditions(dateKey, todayKey),
+  })
+    .sort({ scheduledDateKey: 1, createdAt: 1 })
+    .lean();
+  return tasks.map((task) => formatJournalTask(task, dateKey));
+}
+
+/**
+ * The user's tasks grouped by scheduled day: Map(dateKey => tasks).
+ * `filter` narrows the tasks (e.g. { status: "pending" }).
+ */
+export async function getTasksByScheduledDay(userId, filter = {}) {
+  await ensureJournalTasksMigrated(userId);
+  const tasks = await JournalTask.find({ user: userId, ...filter })
+    .sort({ scheduledDateKey: 1, createdAt: 1 })
+    .lean();
+
+  const byDay = new Map();
+  for (const task of tasks) {
+    if (!byDay.has(task.scheduledDateKey)) byDay.set(task.scheduledDateKey, []);
+    byDay
+      .get(task.scheduledDateKey)
+      .push(formatJournalTask(task, task.scheduledDateKey));
+  }
+  return byDay;
+}
+
+/**
+ * Completion fields for a task moving to `status`, done at `at` on the
+ * local day `dateKey`.
+ */
+export function statusFields(status, dateKey, at) {
+  return status === "completed"
+    ? { status, completedAt: at, completedDateKey: dateKey }
+    : { status, completedAt: null, completedDateKey: null };
+}
+
+// Deleted tasks leave tombstones behind for offline clients.
+export async function writeTaskTombstones(userId, tasks, syncSeq) {
+  if (!tasks.length) return;
+  await JournalTombstone.insertMany(
+    tasks.map((task) => ({
+      user: userId,
+      kind: "task",
+      docId: task._id,
+      clientId: task.clientId ?? null,
+      syncSeq,
+    })),
+  );
+}
+
+// Save a changed task document under a new version.
+async function saveTask(task, now) {
+  task.version = (task.version ?? 1) + 1;
+  await withJournalSyncSeq(task.user, now, (syncSeq) => {
+    task.syncSeq = syncSeq;
+    return task.save();
+  });
+}
+
+/**
+ * Save the task list of `dateKey` as shown on that day's journal: `tasks`
+ * ([{ id?, task, status }]). Items with an id update that task in place,
+ * whichever day it's scheduled on. Items without one (older clients) stand
+ * for the first unclaimed task on that day's journal with the same title,
+ * or are added to `dateKey`. Tasks scheduled on `dateKey` that are left out
+ * are deleted; tasks scheduled on other days never are.
+ * Resolves to { tasks, newlyCompleted } or { status, error }.
+ */
+export async function replaceDayTasks(
+  userId,
+  dateKey,
+  tasks,
+  now = new Date(),
+) {
+  await ensureJournalTasksMigrated(userId);
+  const { todayKey } = await getUserToday(userId, now);
+
+  const ids = tasks.filter((item) => item.id).map((item) => item.id);
+  if (new Set(ids).size !== ids.length) {
+    return { status: 400, error: "Each task can only be listed once" };
+  }
+  const [existing, unclaimed] = await Promise.all([
+    JournalTask.find({ user: userId, _id: { $in: ids } }),
+    JournalTask.find({
+      user: userId,
+      _id: { $nin: ids },
+      $or: dayTaskConditions(dateKey, todayKey),
+    }).sort({ scheduledDateKey: 1, createdAt: 1 }),
+  ]);
+  if (existing.length !== ids.length) {
+    return { status: 404, error: "Task not found" };
+  }
+  const byId = new Map(existing.map((task) => [String(task._id), task]));
+  const matched = tasks.map((item) => {
+    if (item.id) return byId.get(item.id);
+    const index = unclaimed.findIndex((task) => task.title === item.task);
+    return index === -1 ? null : unclaimed.splice(index, 1)[0];
+  });
+  const removed = unclaimed.filter((task) => task.scheduledDateKey === dateKey);
+
+  let newlyCompleted = 0;
+  await withJournalSyncSeq(userId, now, async (syncSeq) => {
+    if (removed.length) {
+      await JournalTask.deleteMany({
+        _id: { $in: removed.map((task) => task._id) },
+      });
+      await writeTaskTombstones(userId, removed, syncSeq);
+    }
+
+    const added = [];
+    for (const [index, item] of tasks.entries()) {
+      const task = matched[index];
+      if (item.status === "completed" && task?.status !== "completed") {
+        newlyCompleted += 1;
+      }
+      if (!task) {
+        added.push({
+          user: userId,
+          title: item.task,
+          dueDateKey: dateKey,
+          scheduledDateKey: dateKey,
+          ...statusFields(item.status, todayKey, now),
+          syncSeq,
+        });
+        continue;
+      }
+      if (task.title === item.task && task.status === item.status) continue;
+      task.title = item.task;
+      if (task.status !== item.status) {
+        task.set(statusFields(item.status, todayKey, now));
+      }
+      task.version = (task.version ?? 1) + 1;
+      task.syncSeq = syncSeq;
+      await task.save();
+    }
+    if (added.length) await JournalTask.insertMany(added);
+  });
+
+  return {
+    tasks: await getTasksForDay(userId, dateKey, now),
+    newlyCompleted,
+  };
+}
+
+/**
+ * Add a task to `dateKey`. Resolves to the formatted task.
+ */
+export async function addTask(
+  userId,
+  dateKey,
+  { task, status = "pending" },
+  now = new Date(),
+) {
+  const { todayKey } = await getUserToday(userId, now);
+  const created = await withJournalSyncSeq(userId, now, (syncSeq) =>
+    JournalTask.create({
+      user: userId,
+      title: task,
+      dueDateKey: dateKey,
+      scheduledDateKey: dateKey,
+      ...statusFields(status, todayKey, now),
+      syncSeq,
+    }),
+  );
+  return formatJournalTask(created, dateKey);
+}
+
+async function findTask(userId, taskId) {
+  if (!mongoose.Types.ObjectId.isValid(taskId)) {
+    return { status: 400, error: "Invalid taskId" };
+  }
+  await ensureJournalTasksMigrated(userId);
+  const task = await JournalTask.findOne({ _id: taskId, user: userId });
+  if (!task) return { status: 404, error: "Task not found" };
+  return { task };
+}
+
+/**
+ * Set a task's status; completing it records today as the completion day.
+ * Resolves to { task, newlyCompleted } or { status, error }.
+ */
+export async function setTaskStatus(userId, taskId, status, now = new Date()) {
+  const found = await findTask(userId, taskId);
+  if (found.error) return found;
+  const { task } = found;
+
+  const { todayKey } = await getUserToday(userId, now);
+  const wasCompleted = task.status === "completed";
+  if (task.status !== status) {
+    task.set(statusFields(status, todayKey, now));
+    await saveTask(task, now);
+  }
+
+  return {
+    task: formatJournalTask(task, todayKey),
+    newlyCompleted: !wasCompleted && status === "completed",
+  };
+}
+
+// Move/defer/drop only apply to tasks still on the list.
+async function findPendingTask(userId, taskId) {
+  const found = await findTask(userId, taskId);
+  if (found.error) return found;
+  if (found.task.status !== "pending") {
+    return { status: 409, error: "Only pending tasks can be rescheduled" };
+  }
+  return found;
+}
+
+/**
+ * Plan a pending task for another day (earlier or later).
+ * Resolves to { task } or { status, error }.
+ */
+export async function moveTask(userId, taskId, dateKey, now = new Date()) {
+  const found = await findPendingTask(userId, taskId);
+  if (found.error) return found;
+  const { task } = found;
+
+  task.scheduledDateKey = dateKey;
+  await saveTask(task, now);
+  const { todayKey } = await getUserToday(userId, now);
+  return { task: formatJournalTask(task, todayKey) };
+}
+
+/**
+ * Push a pending task `days` days past today (or past its scheduled day
+ * if that's later), hiding it from today's journal until then.
+ * Resolves to { task } or { status, error }.
+ */
+export async function deferTask(userId, taskId, days = 1, now = new Date()) {
+  const found = await findPendingTask(userId, taskId);
+  if (found.error) return found;
+  const { task } = found;
+
+  const { todayKey } = await getUserToday(userId, now);
+  const fromKey =
+    task.scheduledDateKey > todayKey ? task.scheduledDateKey : todayKey;
+  task.scheduledDateKey = addDays(fromKey, days);
+  task.deferCount = (task.deferCount ?? 0) + 1;
+  await saveTask(task, now);
+  return { task: formatJournalTask(task, todayKey) };
+}
+
+/**
+ * Stop carrying a pending task forward (it's kept as "skipped").
+ * Resolves to { task } or { status, error }.
+ */
+export async function dropTask(userId, taskId, now = new Date()) {
+  const found = await findPendingTask(userId, taskId);
+  if (found.error) return found;
+  const { task } = found;
+
+  const { todayKey } = await getUserToday(userId, now);
+  task.set(statusFields("skipped", todayKey, now));
+  await saveTask(task, now);
+  return { task: formatJournalTask(task, todayKey) };
+}
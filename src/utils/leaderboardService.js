@@ -0,0 +1,123 @@
+import mongoose from "mongoose";
+import RegisterUser from "../models/UserModel.js";
+import StreakStat from "../models/StreakStat.js";
+import { addDays, toDateKey } from "./dateKeyService.js";
+
+/*
+ * The streak leaderboard reads StreakStat, which is kept up to date as
+ * activity is recorded, ordered by max streak (desc) then user id. Cursors
+ * carry the last entry's sort key and rank so later pages don't have to
+ * count what came before.
+ */
+
+const encodeCursor = (stat, rank) =>
+  Buffer.from(
+    JSON.stringify({ m: stat.maxStreak, u: String(stat.user), r: rank }),
+  ).toString("base64url");
+
+/**
+ * Decoded `cursor`, or null when it isn't one of ours.
+ */
+export function decodeLeaderboardCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (
+      !Number.isInteger(value?.m) ||
+      !Number.isInteger(value?.r) ||
+      !mongoose.Types.ObjectId.isValid(value?.u)
+    ) {
+      return null;
+    }
+    return {
+      maxStreak: value.m,
+      user: new mongoose.Types.ObjectId(value.u),
+      rank: value.r,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// The stored streak only counts as current while its last day is today or
+// yesterday (today may not have qualified yet).
+function toEntry(stat, user, rank, now) {
+  const todayKey = toDateKey(now, user?.preferences?.timezone);
+  return {
+    rank,
+    userId: String(stat.user),
+    name: String(user?.preferences?.nickname ?? user?.username ?? ""),
+    photoUrl: user?.photoUrl ?? null,
+    currentStreak:
+      stat.lastActiveKey >= addDays(todayKey, -1) ? stat.currentStreak : 0,
+    maxStreak: stat.maxStreak,
+    streak: stat.maxStreak,
+  };
+}
+
+async function loadUsers(userIds) {
+  const users = await RegisterUser.find({ _id: { $in: userIds } })
+    .select("username photoUrl preferences.nickname preferences.timezone")
+    .lean();
+  return new Map(users.map((user) => [String(user._id), user]));
+}
+
+/**
+ * One page of the leaderboard after `cursor` (the first page without one).
+ * Resolves to { leaderboard, nextCursor }.
+ */
+export async function getLeaderboardPage({
+  limit = 100,
+  cursor = null,
+  now = new Date(),
+} = {}) {
+  const filter = { maxStreak: { $gt: 0 } };
+  if (cursor) {
+    filter.$or = [
+      { maxStreak: { $lt: cursor.maxStreak } },
+      { maxStreak: cursor.maxStreak, user: { $gt: cursor.user } },
+    ];
+  }
+
+  const stats = await StreakStat.find(filter)
+    .sort({ maxStreak: -1, user: 1 })
+    .limit(limit + 1)
+    .lean();
+  const page = stats.slice(0, limit);
+  const users = await loadUsers(page.map((stat) => stat.user));
+
+  const firstRank = (cursor?.rank ?? 0) + 1;
+  const leaderboard = page.map((stat, index) =>
+    toEntry(stat, users.get(String(stat.user)), firstRank + index, now),
+  );
+
+  return {
+    leaderboard,
+    nextCursor:
+      stats.length > limit
+        ? encodeCursor(page[page.length - 1], firstRank + page.length - 1)
+        : null,
+  };
+}
+
+/**
+ * The user's own leaderboard entry; `rank` is null until they have a streak.
+ */
+export async function getLeaderboardRank(userId, now = new Date()) {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const [stat, users] = await Promise.all([
+    StreakStat.findOne({ user }).lean(),
+    loadUsers([user]),
+  ]);
+  const maxStreak = stat?.maxStreak ?? 0;
+  if (!maxStreak) {
+    return toEntry({ user, maxStreak: 0 }, users.get(String(user)), null, now);
+  }
+
+  const ahead = await StreakStat.countDocuments({
+    $or: [
+      { maxStreak: { $gt: maxStreak } },
+      { maxStreak, user: { $lt: user } },
+    ],
+  });
+  return toEntry(stat, users.get(String(user)), ahead + 1, now);
+}
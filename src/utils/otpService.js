@@ -1,4 +1,14 @@
 import bcrypt from "bcrypt";
+import RegisterUser from "../models/UserModel.js";
+import { hitRateLimit, peekRateLimit, resetRateLimit } from "./rateLimiter.js";
+
+// Limits applied per email/phone number. IP-based limits live on the routes.
+const OTP_POLICY = {
+  resendCooldownMs: 60 * 1000,
+  maxSendsPerHour: 5,
+  maxFailedVerifications: 5,
+  lockoutMs: 15 * 60 * 1000,
+};
 
 const generateOtp = () => {
   return Math.floor(100000 + Math.random() * 900000).toString();
@@ -24,23 +34,113 @@ const storeOtp = async (user) => {
   return otp;
 };
 
-const cleanupExpiredOTPs = async () => {
-  try {
-    // left intentionally blank (same as TS version)
-  } catch (err) {
-    console.error("Error cleaning up expired OTPs:", err);
+const normalizeIdentifier = (identifier) =>
+  String(identifier ?? "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Check the resend cooldown and hourly cap for an identifier and, if allowed,
+ * count this send. Returns { allowed, reason?, retryAfterSeconds, resendAvailableInSeconds }.
+ */
+const reserveOtpSend = async (identifier) => {
+  const id = normalizeIdentifier(identifier);
+  const cooldownKey = `otp-send-cooldown:${id}`;
+  const hourlyKey = `otp-send-hourly:${id}`;
+  const hourly = {
+    limit: OTP_POLICY.maxSendsPerHour,
+    windowMs: 60 * 60 * 1000,
+  };
+  const cooldown = { limit: 1, windowMs: OTP_POLICY.resendCooldownMs };
+
+  const cooling = await peekRateLimit(cooldownKey, cooldown);
+  if (!cooling.allowed) {
+    return {
+      allowed: false,
+      reason: "cooldown",
+      retryAfterSeconds: cooling.retryAfterSeconds,
+    };
   }
+
+  const capped = await peekRateLimit(hourlyKey, hourly);
+  if (!capped.allowed) {
+    return {
+      allowed: false,
+      reason: "hourly_limit",
+      retryAfterSeconds: capped.retryAfterSeconds,
+    };
+  }
+
+  await Promise.all([
+    hitRateLimit(cooldownKey, cooldown),
+    hitRateLimit(hourlyKey, hourly),
+  ]);
+
+  return {
+    allowed: true,
+    retryAfterSeconds: 0,
+    resendAvailableInSeconds: Math.ceil(OTP_POLICY.resendCooldownMs / 1000),
+  };
+};
+
+/**
+ * Whether verification is locked for an identifier after too many failures.
+ */
+const getOtpLockout = async (identifier) => {
+  const state = await peekRateLimit(
+    `otp-verify-fail:${normalizeIdentifier(identifier)}`,
+    { limit: OTP_POLICY.maxFailedVerifications },
+  );
+  return {
+    locked: !state.allowed,
+    retryAfterSeconds: state.allowed ? 0 : state.retryAfterSeconds,
+  };
+};
+
+/**
+ * Count a failed verification. Once the limit is reached the identifier is
+ * locked until the failure window expires.
+ */
+const recordFailedOtp = async (identifier) => {
+  const state = await hitRateLimit(
+    `otp-verify-fail:${normalizeIdentifier(identifier)}`,
+    {
+      limit: OTP_POLICY.maxFailedVerifications,
+      windowMs: OTP_POLICY.lockoutMs,
+    },
+  );
+  const locked = state.count >= OTP_POLICY.maxFailedVerifications;
+  return {
+    locked,
+    attemptsRemaining: state.remaining,
+    retryAfterSeconds: locked ? state.retryAfterSeconds : 0,
+  };
+};
+
+const clearFailedOtps = async (identifier) => {
+  await resetRateLimit(`otp-verify-fail:${normalizeIdentifier(identifier)}`);
 };
 
-const scheduleCleanup = () => {
-  setInterval(cleanupExpiredOTPs, 10 * 60 * 1000);
+/**
+ * Unset login OTPs that have expired. Returns how many users were cleaned up.
+ */
+const cleanupExpiredOTPs = async (now = new Date()) => {
+  const result = await RegisterUser.updateMany(
+    { otpExpires: { $lt: now } },
+    { $unset: { otp: 1, otpExpires: 1 } },
+  );
+  return result.modifiedCount;
 };
 
 export {
+  OTP_POLICY,
   generateOtp,
   hashOtp,
   verifyOtp,
   storeOtp,
+  reserveOtpSend,
+  getOtpLockout,
+  recordFailedOtp,
+  clearFailedOtps,
   cleanupExpiredOTPs,
-  scheduleCleanup,
 };
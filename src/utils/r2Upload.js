@@ -20,6 +20,9 @@ const r2 = new AWS.S3({
 const BUCKET_NAME = R2_BUCKET_NAME;
 const PUBLIC_R2_URL = R2_PUBLIC_URL;
 
+// Where journal photos are uploaded (and purged from on account deletion).
+export const JOURNAL_PHOTO_R2_PREFIX = "mobile-user-images/journal-questions";
+
 function extFromMime(mime) {
   const m = String(mime || "").toLowerCase();
   if (m === "image/jpeg") return "jpg";
@@ -35,20 +38,25 @@ export function getPublicR2Url(r2Key) {
   return `${PUBLIC_R2_URL}/${r2Key}`;
 }
 
+// Every object a user uploads lives under `<prefix>/<userId>/`.
+function userKeyPrefix(prefix, userId) {
+  const safeUser = String(userId || "unknown").replace(/[^a-zA-Z0-9_-]/g, "_");
+  return `${prefix}/${safeUser}/`;
+}
+
 export async function uploadUserImageToR2({
   userId,
   dateKey,
   file,
-  prefix = "mobile-user-images/journal",
+  prefix = JOURNAL_PHOTO_R2_PREFIX,
 }) {
   if (!file?.buffer) throw new Error("file buffer is required");
   if (!BUCKET_NAME) throw new Error("R2_BUCKET_NAME is not configured");
   if (!PUBLIC_R2_URL) throw new Error("R2_PUBLIC_URL is not configured");
 
-  const safeUser = String(userId || "unknown").replace(/[^a-zA-Z0-9_-]/g, "_");
   const safeDate = String(dateKey || "").replace(/[^0-9-]/g, "");
   const ext = extFromMime(file.mimetype);
-  const key = `${prefix}/${safeUser}/${safeDate}/${uuidv4()}.${ext}`;
+  const key = `${userKeyPrefix(prefix, userId)}${safeDate}/${uuidv4()}.${ext}`;
 
   await r2
     .putObject({
@@ -61,3 +69,99 @@ export async function uploadUserImageToR2({
 
   return { r2Key: key, url: getPublicR2Url(key) };
 }
+
+/**
+ * Store a file under the user's prefix without handing out its public URL.
+ * Use `getSignedR2Url` to hand out an expiring download link.
+ */
+export async function uploadPrivateUserFileToR2({
+  userId,
+  fileName,
+  body,
+  contentType = "application/octet-stream",
+  prefix,
+}) {
+  if (!body) throw new Error("body is required");
+  if (!prefix) throw new Error("prefix is required");
+  if (!BUCKET_NAME) throw new Error("R2_BUCKET_NAME is not configured");
+
+  const safeName = String(fileName || uuidv4()).replace(
+    /[^a-zA-Z0-9._-]/g,
+    "_",
+  );
+  const key = `${userKeyPrefix(prefix, userId)}${safeName}`;
+
+  await r2
+    .putObject({
+      Bucket: BUCKET_NAME,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ContentDisposition: `attachment; filename="${safeName}"`,
+    })
+    .promise();
+
+  return { r2Key: key };
+}
+
+/**
+ * Pre-signed GET link for a private object, valid for `expiresInSeconds`.
+ */
+export function getSignedR2Url(r2Key, expiresInSeconds = 60 * 60) {
+  if (!BUCKET_NAME) throw new Error("R2_BUCKET_NAME is not configured");
+  return r2.getSignedUrl("getObject", {
+    Bucket: BUCKET_NAME,
+    Key: r2Key,
+    Expires: expiresInSeconds,
+  });
+}
+
+export async function deleteR2Object(r2Key) {
+  if (!BUCKET_NAME || !r2Key) return;
+  await r2.deleteObject({ Bucket: BUCKET_NAME, Key: r2Key }).promise();
+}
+
+/**
+ * Delete every object uploaded under a user's prefix.
+ * Returns the number of deleted objects.
+ */
+export async function deleteUserFilesFromR2({
+  userId,
+  prefix = JOURNAL_PHOTO_R2_PREFIX,
+}) {
+  if (!userId) throw new Error("userId is required");
+  // Nothing can have been uploaded without a bucket.
+  if (!BUCKET_NAME) return 0;
+
+  const Prefix = userKeyPrefix(prefix, userId);
+  let deleted = 0;
+  let ContinuationToken;
+
+  do {
+    const page = await r2
+      .listObjectsV2({ Bucket: BUCKET_NAME, Prefix, ContinuationToken })
+      .promise();
+    const objects = (page.Contents ?? []).map(({ Key }) => ({ Key }));
+
+    if (objects.length) {
+      const result = await r2
+        .deleteObjects({
+          Bucket: BUCKET_NAME,
+          Delete: { Objects: objects, Quiet: true },
+        })
+        .promise();
+      if (result.Errors?.length) {
+        throw new Error(
+          `R2 delete failed for ${result.Errors.length} object(s) under ${Prefix}`,
+        );
+      }
+      deleted += objects.length;
+    }
+
+    ContinuationToken = page.IsTruncated
+      ? page.NextContinuationToken
+      : undefined;
+  } while (ContinuationToken);
+
+  return deleted;
+}
@@ -0,0 +1,77 @@
+import RateLimitCounter from "../models/RateLimitCounter.js";
+
+const DUPLICATE_KEY = 11000;
+
+function toResult(doc, limit) {
+  const count = Number(doc?.count ?? 0);
+  const resetAt = doc?.resetAt ?? null;
+  const retryAfterSeconds = resetAt
+    ? Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000))
+    : 0;
+  return {
+    count,
+    limit,
+    remaining: Math.max(0, limit - count),
+    allowed: count <= limit,
+    resetAt,
+    retryAfterSeconds,
+  };
+}
+
+/**
+ * Count one hit against `key` inside a fixed window.
+ * `allowed` is false once the hit pushes the count above `limit`.
+ */
+export async function hitRateLimit(key, { limit, windowMs }) {
+  const now = new Date();
+
+  const current = await RateLimitCounter.findOneAndUpdate(
+    { key, resetAt: { $gt: now } },
+    { $inc: { count: 1 } },
+    { new: true },
+  ).lean();
+  if (current) return toResult(current, limit);
+
+  // No live window: start a new one (replacing an expired counter the TTL
+  // monitor has not removed yet).
+  try {
+    const fresh = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      { $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) } },
+      { new: true, upsert: true },
+    ).lean();
+    return toResult(fresh, limit);
+  } catch (err) {
+    if (err?.code !== DUPLICATE_KEY) throw err;
+    return hitRateLimit(key, { limit, windowMs });
+  }
+}
+
+/**
+ * Read a counter without changing it. `allowed` tells whether one more hit
+ * would still fit (count < limit).
+ */
+export async function peekRateLimit(key, { limit }) {
+  const current = await RateLimitCounter.findOne({
+    key,
+    resetAt: { $gt: new Date() },
+  }).lean();
+
+  if (!current) {
+    return {
+      count: 0,
+      limit,
+      remaining: limit,
+      allowed: true,
+      resetAt: null,
+      retryAfterSeconds: 0,
+    };
+  }
+
+  const result = toResult(current, limit);
+  return { ...result, allowed: result.count < limit };
+}
+
+export async function resetRateLimit(key) {
+  await RateLimitCounter.deleteOne({ key });
+}
@@ -0,0 +1,324 @@
+import mongoose from "mongoose";
+import RegisterUser from "../models/UserModel.js";
+import UserActivityDay from "../models/UserActivityDay.js";
+import JournalEntry from "../models/JournalEntry.js";
+import FeelingLog from "../models/FeelingLog.js";
+import FeelingCatalogItem from "../models/FeelingCatalogItem.js";
+import Badge from "../models/Badge.js";
+import RecapCache from "../models/RecapCache.js";
+import {
+  IMAGE_THUMBNAIL_URL_TEMPLATE,
+  RECAP_CACHE_CURRENT_MINUTES,
+  RECAP_CACHE_PAST_HOURS,
+} from "../config/constants.js";
+import {
+  addDays,
+  diffDays,
+  getDateKeyRange,
+  getMonthRange,
+  getUserTimeZone,
+  toDateKey,
+} from "./dateKeyService.js";
+import { computeMaxStreakFromDaySet } from "./streakService.js";
+import {
+  FEELING_MAX_SESSION_MS,
+  getSessionEnd,
+} from "./feelingSessionService.js";
+import {
+  MILESTONE_PROMPT_ID,
+  answeredFilter,
+  findAnswer,
+} from "./journalPromptService.js";
+
+const TOP_MILESTONES = { month: 5, year: 12 };
+const MILESTONE_MAX_LENGTH = 280;
+
+/**
+ * First and last date keys of a recap period: `key` is "YYYY-MM" for a
+ * month and "YYYY" for a year.
+ */
+export function getRecapRange(period, key) {
+  if (period === "month") {
+    const [year, month] = key.split("-").map(Number);
+    const { startKey, endKey } = getMonthRange(year, month);
+    return { startKey, endKey };
+  }
+  return { startKey: `${key}-01-01`, endKey: `${key}-12-31` };
+}
+
+// The period containing `todayKey`.
+export function getCurrentRecapKey(period, todayKey) {
+  return period === "month" ? todayKey.slice(0, 7) : todayKey.slice(0, 4);
+}
+
+/**
+ * Thumbnail for a user photo (IMAGE_THUMBNAIL_URL_TEMPLATE), or the photo
+ * itself when no resizing endpoint is configured.
+ */
+export function getThumbnailUrl(url) {
+  if (!IMAGE_THUMBNAIL_URL_TEMPLATE) return url;
+  return IMAGE_THUMBNAIL_URL_TEMPLATE.replace("{url}", encodeURIComponent(url));
+}
+
+const clip = (text) =>
+  text.length > MILESTONE_MAX_LENGTH
+    ? `${text.slice(0, MILESTONE_MAX_LENGTH - 1)}…`
+    : text;
+
+// Milestones with photos first, then the longest stories.
+function pickTopMilestones(entries, limit) {
+  return entries
+    .map((entry) => {
+      const answer = findAnswer(entry, MILESTONE_PROMPT_ID);
+      return {
+        dateKey: entry.dateKey,
+        aboutIt: answer?.text ?? "",
+        photos: answer?.photos ?? [],
+      };
+    })
+    .filter((item) => item.aboutIt.length > 0 || item.photos.length > 0)
+    .sort(
+      (a, b) =>
+        b.photos.length - a.photos.length ||
+        b.aboutIt.length - a.aboutIt.length ||
+        b.dateKey.localeCompare(a.dateKey),
+    )
+    .slice(0, limit)
+    .sort((a, b) => a.dateKey.localeCompare(b.dateKey))
+    .map((item) => ({
+      dateKey: item.dateKey,
+      aboutIt: clip(item.aboutIt),
+      photos: item.photos.map((url) => ({
+        url,
+        thumbnailUrl: getThumbnailUrl(url),
+      })),
+    }));
+}
+
+/*
+ * Feeling sessions overlapping [rangeStart, rangeEnd), clipped to it. Open
+ * sessions count up to now (or the longest allowed session length).
+ */
+function clipFeelingSessions(logs, rangeStart, rangeEnd, now) {
+  const until = rangeEnd < now ? rangeEnd : now;
+  return logs
+    .map((log) => {
+      const endedAt = log.endedAt ?? getSessionEnd(log, now).endedAt;
+      const start = log.startedAt > rangeStart ? log.startedAt : rangeStart;
+      const end = endedAt < until ? endedAt : until;
+      return { feeling: log.feeling, start, ms: end - start };
+    })
+    .filter((session) => session.ms > 0);
+}
+
+/*
+ * Average valence (-2..2) of the feelings logged in each bucket, weighted
+ * by session length: daily for a month, monthly for a year.
+ */
+function buildMoodTrend(sessions, valenceByKey, bucketKeys, toBucket) {
+  const buckets = new Map(
+    bucketKeys.map((key) => [key, { weighted: 0, ms: 0, sessions: 0 }]),
+  );
+  for (const session of sessions) {
+    const valence = valenceByKey.get(session.feeling);
+    const bucket = buckets.get(toBucket(session.start));
+    if (valence == null || !bucket) continue;
+    bucket.weighted += valence * session.ms;
+    bucket.ms += session.ms;
+    bucket.sessions += 1;
+  }
+  return bucketKeys.map((key) => {
+    const bucket = buckets.get(key);
+    return {
+      bucket: key,
+      averageValence: bucket.ms
+        ? Math.round((bucket.weighted / bucket.ms) * 100) / 100
+        : null,
+      sessions: bucket.sessions,
+    };
+  });
+}
+
+/**
+ * The user's recap of one month or year in their local days.
+ */
+export async function buildRecap(
+  userId,
+  { period, key },
+  timeZone,
+  now = new Date(),
+) {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const { startKey, endKey } = getRecapRange(period, key);
+  const rangeStart = getDateKeyRange(startKey, timeZone).start;
+  const rangeEnd = getDateKeyRange(endKey, timeZone).end;
+  const dateKeyFilter = { $gte: startKey, $lte: endKey };
+
+  const [days, journalEntries, feelingLogs, profile] = await Promise.all([
+    UserActivityDay.find({ user, dateKey: dateKeyFilter })
+      .select("dateKey kind qualified qualifyingActions mindfulMinutes")
+      .lean(),
+    JournalEntry.find({
+      user,
+      dateKey: dateKeyFilter,
+      ...answeredFilter(MILESTONE_PROMPT_ID, { withPhotos: true }),
+    })
+      .select("dateKey answers questions.anythingSpecialHappenedToday")
+      .lean(),
+    FeelingLog.find({
+      user,
+      // Sessions are never longer than the max, so this bounds the scan.
+      startedAt: {
+        $gte: new Date(rangeStart.getTime() - FEELING_MAX_SESSION_MS),
+        $lt: rangeEnd,
+      },
+      $or: [{ endedAt: null }, { endedAt: { $gt: rangeStart } }],
+    })
+      .select("feeling startedAt endedAt")
+      .lean(),
+    RegisterUser.findById(userId).select("badgeAwards").lean(),
+  ]);
+
+  // Heatmap and streak.
+  const daysByKey = new Map(days.map((day) => [day.dateKey, day]));
+  const activeSet = new Set(
+    days
+      .filter((day) => day.kind !== "frozen" && day.qualified !== false)
+      .map((day) => day.dateKey),
+  );
+  const frozenSet = new Set(
+    days.filter((day) => day.kind === "frozen").map((day) => day.dateKey),
+  );
+  const dayKeys = Array.from(
+    { length: diffDays(startKey, endKey) + 1 },
+    (_, i) => addDays(startKey, i),
+  );
+  const heatmap = dayKeys.map((dateKey) => ({
+    dateKey,
+    count: daysByKey.get(dateKey)?.qualifyingActions ?? 0,
+    active: activeSet.has(dateKey),
+    frozen: frozenSet.has(dateKey),
+  }));
+
+  // Mindful minutes and mood.
+  const sessions = clipFeelingSessions(feelingLogs, rangeStart, rangeEnd, now);
+  const catalog = await FeelingCatalogItem.find({
+    key: { $in: [...new Set(sessions.map((s) => s.feeling))] },
+  })
+    .select("key valence")
+    .lean();
+  const valenceByKey = new Map(catalog.map((item) => [item.key, item.valence]));
+
+  const feelingMinutes = Math.round(
+    sessions.reduce((sum, session) => sum + session.ms, 0) / 60000,
+  );
+  const sessionMinutes = Math.round(
+    days.reduce((sum, day) => sum + (day.mindfulMinutes ?? 0), 0),
+  );
+
+  const moodTrend =
+    period === "month"
+      ? buildMoodTrend(sessions, valenceByKey, dayKeys, (at) =>
+          toDateKey(at, timeZone),
+        )
+      : buildMoodTrend(
+          sessions,
+          valenceByKey,
+          Array.from(
+            { length: 12 },
+            (_, i) => `${key}-${String(i + 1).padStart(2, "0")}`,
+          ),
+          (at) => toDateKey(at, timeZone).slice(0, 7),
+        );
+
+  // Badges.
+  const awards = (profile?.badgeAwards ?? [])
+    .filter(
+      (award) => award.earnedAt >= rangeStart && award.earnedAt < rangeEnd,
+    )
+    .sort((a, b) => a.earnedAt - b.earnedAt);
+  const badges = awards.length
+    ? await Badge.find({ _id: { $in: awards.map((award) => award.badge) } })
+        .select("name imageUrl")
+        .lean()
+    : [];
+  const badgesById = new Map(badges.map((badge) => [String(badge._id), badge]));
+
+  return {
+    period,
+    key,
+    startKey,
+    endKey,
+    timezone: timeZone,
+    activeDays: activeSet.size,
+    longestStreak: computeMaxStreakFromDaySet(activeSet, frozenSet),
+    heatmap,
+    mindfulMinutes: {
+      total: feelingMinutes + sessionMinutes,
+      feelings: feelingMinutes,
+      sessions: sessionMinutes,
+    },
+    milestones: pickTopMilestones(journalEntries, TOP_MILESTONES[period]),
+    badges: awards
+      .filter((award) => badgesById.has(String(award.badge)))
+      .map((award) => {
+        const badge = badgesById.get(String(award.badge));
+        return {
+          id: String(badge._id),
+          name: badge.name,
+          imageUrl: badge.imageUrl,
+          earnedAt: award.earnedAt,
+        };
+      }),
+    moodTrend,
+  };
+}
+
+/**
+ * Cached recap for `period` ("month" | "year") and `key` (defaults to the
+ * current one). The current period is recomputed every
+ * RECAP_CACHE_CURRENT_MINUTES, finished ones every RECAP_CACHE_PAST_HOURS.
+ * Resolves to { recap, computedAt, cached } or { status, error }.
+ */
+export async function getRecap(userId, { period, key }, now = new Date()) {
+  const timeZone = await getUserTimeZone(userId);
+  const todayKey = toDateKey(now, timeZone);
+  const recapKey = key ?? getCurrentRecapKey(period, todayKey);
+  const { startKey, endKey } = getRecapRange(period, recapKey);
+  if (startKey > todayKey) {
+    return { status: 400, error: "Recap period hasn't started yet" };
+  }
+
+  const cached = await RecapCache.findOne({
+    user: userId,
+    period,
+    key: recapKey,
+    expiresAt: { $gt: now },
+  }).lean();
+  if (cached) {
+    return { recap: cached.data, computedAt: cached.computedAt, cached: true };
+  }
+
+  const recap = await buildRecap(
+    userId,
+    { period, key: recapKey },
+    timeZone,
+    now,
+  );
+  const ttlMs =
+    endKey < todayKey
+      ? RECAP_CACHE_PAST_HOURS * 60 * 60 * 1000
+      : RECAP_CACHE_CURRENT_MINUTES * 60 * 1000;
+  await RecapCache.updateOne(
+    { user: userId, period, key: recapKey },
+    {
+      $set: {
+        data: recap,
+        computedAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs),
+      },
+    },
+    { upsert: true },
+  );
+  return { recap, computedAt: now, cached: false };
+}
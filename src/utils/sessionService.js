@@ -0,0 +1,221 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import AuthSession from "../models/AuthSession.js";
+import RegisterUser from "../models/UserModel.js";
+import {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+} from "../config/constants.js";
+
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+function hashToken(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+function newRefreshSecret() {
+  return crypto.randomBytes(48).toString("base64url");
+}
+
+// Refresh tokens look like `<sessionId>.<secret>` so the session can be found
+// without scanning hashes.
+function formatRefreshToken(sessionId, secret) {
+  return `${String(sessionId)}.${secret}`;
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken ?? "")
+    .trim()
+    .split(".");
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { user: { id: userId }, sid: String(sessionId) },
+    JWT_SECRET,
+    {
+      expiresIn: ACCESS_TOKEN_TTL,
+    },
+  );
+}
+
+function accessTokenExpiresIn(token) {
+  const decoded = jwt.decode(token);
+  if (!decoded?.exp || !decoded?.iat) return null;
+  return decoded.exp - decoded.iat;
+}
+
+function tokenResponse(userId, session, secret) {
+  const token = signAccessToken(userId, session._id);
+  return {
+    token,
+    refreshToken: formatRefreshToken(session._id, secret),
+    expiresIn: accessTokenExpiresIn(token),
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: String(session._id),
+    deviceId: session.deviceId,
+  };
+}
+
+/**
+ * Pick the device details a client sent alongside a login request.
+ */
+export function getDeviceInfo(req) {
+  const body = req.body ?? {};
+  return {
+    deviceId: String(body.deviceId ?? req.header("x-device-id") ?? "").trim(),
+    deviceName: String(body.deviceName ?? "").trim(),
+    platform: String(body.platform ?? "").trim(),
+    appVersion: String(
+      body.appVersion ?? req.header("x-app-version") ?? "",
+    ).trim(),
+    userAgent: String(req.header("user-agent") ?? ""),
+    ip: String(req.ip ?? ""),
+  };
+}
+
+/**
+ * Start a new session for a user and return access + refresh tokens.
+ * A previous session on the same device is revoked (one session per device).
+ */
+export async function createSession(userId, device = {}) {
+  const deviceId = device.deviceId || crypto.randomUUID();
+  const now = new Date();
+
+  await AuthSession.updateMany(
+    { user: userId, deviceId, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: "replaced" } },
+  );
+
+  const secret = newRefreshSecret();
+  const session = await AuthSession.create({
+    user: userId,
+    deviceId,
+    deviceName: device.deviceName ?? "",
+    platform: device.platform ?? "",
+    appVersion: device.appVersion ?? "",
+    userDevice: device.userDevice ?? null,
+    userAgent: device.userAgent ?? "",
+    ip: device.ip ?? "",
+    refreshTokenHash: hashToken(secret),
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return tokenResponse(String(userId), session, secret);
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting an already-rotated token revokes the session (likely theft).
+ * Returns null when the token is unknown, expired or revoked.
+ */
+export async function rotateRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await AuthSession.findById(parsed.sessionId);
+  if (!session || !session.isActive()) return null;
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousRefreshTokenHash) {
+      session.revokedAt = new Date();
+      session.revokedReason = "refresh_token_reuse";
+      await session.save();
+    }
+    return null;
+  }
+
+  const userExists = await RegisterUser.exists({ _id: session.user });
+  if (!userExists) {
+    session.revokedAt = new Date();
+    session.revokedReason = "user_deleted";
+    await session.save();
+    return null;
+  }
+
+  const secret = newRefreshSecret();
+  const now = new Date();
+  session.previousRefreshTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(secret);
+  session.lastUsedAt = now;
+  session.expiresAt = new Date(now.getTime() + REFRESH_TOKEN_TTL_MS);
+  await session.save();
+
+  return tokenResponse(String(session.user), session, secret);
+}
+
+export async function revokeSession(sessionId, reason = "logout") {
+  const result = await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  return result.modifiedCount > 0;
+}
+
+/**
+ * Revoke every session of a user. Also bumps `tokensValidAfter`, which
+ * invalidates legacy access tokens that were issued without a session id.
+ */
+export async function revokeAllSessions(userId, reason = "logout_all") {
+  const now = new Date();
+  const result = await AuthSession.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: reason } },
+  );
+  await RegisterUser.updateOne(
+    { _id: userId },
+    { $set: { tokensValidAfter: now } },
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Check that a verified access token still belongs to a live session.
+ * Tokens without `sid` were issued before sessions existed; they stay valid
+ * until the user signs out everywhere or the account is deleted.
+ */
+export async function isAccessTokenActive(decoded) {
+  const userId = decoded?.user?.id;
+  if (!userId) return false;
+
+  if (decoded.sid) {
+    const session = await AuthSession.findById(decoded.sid)
+      .select("user revokedAt expiresAt")
+      .lean();
+    if (!session || session.revokedAt) return false;
+    if (String(session.user) !== String(userId)) return false;
+    return session.expiresAt.getTime() > Date.now();
+  }
+
+  const user = await RegisterUser.findById(userId)
+    .select("tokensValidAfter")
+    .lean();
+  if (!user) return false;
+  if (!user.tokensValidAfter) return true;
+  const issuedAtMs = Number(decoded.iat ?? 0) * 1000;
+  return issuedAtMs >= user.tokensValidAfter.getTime();
+}
+
+/**
+ * Revoke the session a refresh token belongs to, if it is owned by `userId`.
+ */
+export async function revokeSessionByRefreshToken(
+  userId,
+  refreshToken,
+  reason = "logout",
+) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await AuthSession.updateOne(
+    { _id: parsed.sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  return result.modifiedCount > 0;
+}
@@ -0,0 +1,116 @@
+import fs from "fs/promises";
+import path from "path";
+import {
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_PHONE_NUMBER,
+  SMS_PROVIDER,
+} from "../config/constants.js";
+
+/**
+ * SMS providers share one shape: { name, send({ to, body }) }.
+ * - twilio:  real delivery through the Twilio REST API
+ * - console: logs the message (local development)
+ * - file:    appends JSON lines to tmp/sms-outbox.log (tests / local inspection)
+ */
+
+const twilioProvider = {
+  name: "twilio",
+  async send({ to, body }) {
+    const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`;
+    const auth = Buffer.from(
+      `${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`,
+    ).toString("base64");
+
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${auth}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({
+        To: to,
+        From: TWILIO_PHONE_NUMBER,
+        Body: body,
+      }),
+    });
+
+    if (!res.ok) {
+      const text = await res.text();
+      throw new Error(`Twilio HTTP ${res.status}: ${text}`);
+    }
+    return res.json();
+  },
+};
+
+const consoleProvider = {
+  name: "console",
+  async send({ to, body }) {
+    console.log(`[SMS to ${to}] ${body}`);
+    return { to, body };
+  },
+};
+
+export const SMS_OUTBOX_FILE = path.join(
+  process.cwd(),
+  "tmp",
+  "sms-outbox.log",
+);
+
+const fileProvider = {
+  name: "file",
+  async send({ to, body }) {
+    const line = JSON.stringify({ to, body, sentAt: new Date().toISOString() });
+    await fs.mkdir(path.dirname(SMS_OUTBOX_FILE), { recursive: true });
+    await fs.appendFile(SMS_OUTBOX_FILE, `${line}\n`);
+    return { to, body };
+  },
+};
+
+const providers = {
+  twilio: twilioProvider,
+  console: consoleProvider,
+  file: fileProvider,
+};
+
+const isTwilioConfigured = Boolean(
+  TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_PHONE_NUMBER,
+);
+
+let activeProvider =
+  providers[SMS_PROVIDER] ??
+  (isTwilioConfigured ? twilioProvider : consoleProvider);
+
+export const getSmsProvider = () => activeProvider;
+
+/**
+ * Swap the provider at runtime (tests can pass their own { name, send }).
+ */
+export const setSmsProvider = (provider) => {
+  const resolved =
+    typeof provider === "string" ? providers[provider] : provider;
+  if (!resolved || typeof resolved.send !== "function") {
+    throw new Error(`Unknown SMS provider: ${provider}`);
+  }
+  activeProvider = resolved;
+};
+
+export const sendOtpSms = async (phoneNumber, otp) => {
+  try {
+    await activeProvider.send({
+      to: phoneNumber,
+      body: `${otp} is your ARVYA_X login code. It is valid for 10 minutes.`,
+    });
+    console.log("OTP SMS sent successfully to:", phoneNumber);
+    return true;
+  } catch (error) {
+    console.error("Error sending OTP SMS:", error);
+    return false;
+  }
+};
+
+export default {
+  sendOtpSms,
+  getSmsProvider,
+  setSmsProvider,
+};
@@ -286,6 +286,9 @@ async function verifyFacebook({ accessToken }) {
   const userId = debug?.data?.user_id;
   if (!userId || !debug?.data?.is_valid)
     throw new Error("Invalid Facebook token");
+  // A valid token issued to some other app must not sign anyone in here.
+  if (String(debug.data.app_id) !== String(FACEBOOK_APP_ID))
+    throw new Error("Facebook token was issued for a different app");
   // Fetch user profile
   const profile = await getJson(
     `https://graph.facebook.com/v12.0/${userId}?fields=id,name,email,picture&access_token=${accessToken}`
@@ -309,19 +312,22 @@ async function verifyGithub({ accessToken }) {
     "User-Agent": "arvyax-backend",
   };
   const user = await getJson("https://api.github.com/user", headers);
-  // Try to get primary email
+  // Primary email and whether GitHub has verified it
   let email = "";
+  let emailVerified = false;
   try {
     const emails = await getJson("https://api.github.com/user/emails", headers);
-    const primary =
-      (Array.isArray(emails) && emails.find((e) => e.primary)) || emails[0];
+    const primary = Array.isArray(emails)
+      ? emails.find((e) => e.primary)
+      : null;
     email = primary?.email || "";
+    emailVerified = primary?.verified === true;
   } catch {}
   return {
     provider: "github",
     providerId: String(user.id),
     email,
-    emailVerified: true,
+    emailVerified,
     name: user.name || user.login || "",
     photoUrl: user.avatar_url || "",
   };
@@ -341,3 +347,11 @@ export async function verifySocialLogin(provider, tokens) {
       throw new Error("Unsupported provider");
   }
 }
+
+// RegisterUser field holding each provider's stable user id (token `sub` / account id).
+export const PROVIDER_ID_FIELDS = {
+  google: "googleId",
+  apple: "appleId",
+  facebook: "facebookId",
+  github: "githubId",
+};
@@ -0,0 +1,345 @@
+import RegisterUser from "../models/UserModel.js";
+import UserActivityDay from "../models/UserActivityDay.js";
+import StreakStat from "../models/StreakStat.js";
+import {
+  STREAK_FREEZE_MAX,
+  STREAK_FREEZE_MILESTONE_DAYS,
+  STREAK_FREEZE_PRICE,
+  STREAK_REPAIR_WINDOW_DAYS,
+} from "../config/constants.js";
+import {
+  addDays,
+  diffDays,
+  getUserToday,
+  startOfDateKey,
+} from "./dateKeyService.js";
+
+// How far back streaks are counted.
+export const STREAK_WINDOW_DAYS = 400;
+
+/*
+ * Streak rules, shared by the streak endpoint, leaderboard and badges:
+ * a streak is a run of consecutive days that are either qualified (enough
+ * meaningful activity, see activityService.js) or frozen (covered by a
+ * streak freeze). Frozen days keep the run going but only qualified days
+ * add to its length.
+ */
+
+// UserActivityDay filter for days that take part in streaks.
+export const STREAK_DAY_FILTER = {
+  $or: [{ kind: "frozen" }, { qualified: { $ne: false } }],
+};
+
+/**
+ * Current streak as of `todayKey`. Today is still in progress, so until it
+ * qualifies the streak is the run that ended yesterday.
+ */
+export function computeCurrentStreakFromDaySet(
+  daySet,
+  todayKey,
+  frozenSet = new Set(),
+) {
+  let streak = 0;
+  for (let i = 0; i < STREAK_WINDOW_DAYS; i++) {
+    const key = addDays(todayKey, -i);
+    if (daySet.has(key)) streak++;
+    else if (i > 0 && !frozenSet.has(key)) break;
+  }
+  return streak;
+}
+
+export function computeMaxStreakFromDaySet(daySet, frozenSet = new Set()) {
+  if (!daySet || daySet.size === 0) return 0;
+
+  const sortedKeys = Array.from(new Set([...daySet, ...frozenSet])).sort();
+  let maxStreak = 0;
+  let currentStreak = 0;
+
+  for (let i = 0; i < sortedKeys.length; i++) {
+    if (i > 0 && diffDays(sortedKeys[i - 1], sortedKeys[i]) !== 1) {
+      currentStreak = 0;
+    }
+    if (daySet.has(sortedKeys[i])) {
+      currentStreak += 1;
+      if (currentStreak > maxStreak) maxStreak = currentStreak;
+    }
+  }
+
+  return maxStreak;
+}
+
+/**
+ * Active and frozen date keys for a user within the streak window ending at
+ * `todayKey`: { active: Set, frozen: Set }.
+ */
+export async function getStreakDays(userId, todayKey) {
+  const days = await UserActivityDay.find({
+    user: userId,
+    ...STREAK_DAY_FILTER,
+    dateKey: {
+      $gte: addDays(todayKey, -(STREAK_WINDOW_DAYS - 1)),
+      $lte: todayKey,
+    },
+  })
+    .select("dateKey kind")
+    .lean();
+
+  const active = new Set();
+  const frozen = new Set();
+  for (const day of days) {
+    (day.kind === "frozen" ? frozen : active).add(day.dateKey);
+  }
+  return { active, frozen };
+}
+
+/**
+ * Current streak in the user's local days.
+ */
+export async function calculateCurrentStreak(userId, now = new Date()) {
+  const { todayKey } = await getUserToday(userId, now);
+  const { active, frozen } = await getStreakDays(userId, todayKey);
+  return computeCurrentStreakFromDaySet(active, todayKey, frozen);
+}
+
+/**
+ * Recompute the user's leaderboard aggregates (StreakStat) from their streak
+ * days. Pass `active`/`frozen` when they were just loaded. Never throws:
+ * the leaderboard catching up later is better than failing the request.
+ */
+export async function refreshStreakStat(
+  userId,
+  { todayKey, active, frozen } = {},
+) {
+  try {
+    if (!todayKey) ({ todayKey } = await getUserToday(userId));
+    if (!active) ({ active, frozen } = await getStreakDays(userId, todayKey));
+
+    const lastActiveKey = Array.from(active).sort().pop() ?? null;
+    const currentStreak = lastActiveKey
+      ? computeCurrentStreakFromDaySet(active, lastActiveKey, frozen)
+      : 0;
+    return await StreakStat.findOneAndUpdate(
+      { user: userId },
+      {
+        $set: { currentStreak, lastActiveKey },
+        $max: { maxStreak: computeMaxStreakFromDaySet(active, frozen) },
+      },
+      { upsert: true, new: true },
+    ).lean();
+  } catch (err) {
+    console.warn("STREAK STAT REFRESH ERROR:", err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Mark a day as frozen unless it already counts toward the streak. Frozen
+ * days get a midday timestamp so re-keying them into another timezone
+ * ("migrate-date-keys") keeps them on the same calendar day.
+ */
+async function freezeDay(userId, dateKey, timeZone, now) {
+  const midday = new Date(
+    startOfDateKey(dateKey, timeZone).getTime() + 12 * 60 * 60 * 1000,
+  );
+  try {
+    const result = await UserActivityDay.updateOne(
+      { user: userId, dateKey, kind: { $ne: "frozen" }, qualified: false },
+      {
+        $set: { kind: "frozen" },
+        $setOnInsert: { firstSeenAt: midday, lastSeenAt: now, hits: 0 },
+      },
+      { upsert: true },
+    );
+    return result.upsertedCount > 0 || result.modifiedCount > 0;
+  } catch (err) {
+    // The day is already qualified or frozen.
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+}
+
+// Take `count` freezes from the inventory; false when there aren't enough.
+async function takeFreezes(userId, count) {
+  const result = await RegisterUser.updateOne(
+    { _id: userId, "streakInventory.freezes": { $gte: count } },
+    {
+      $inc: {
+        "streakInventory.freezes": -count,
+        "streakInventory.freezesUsed": count,
+      },
+    },
+  );
+  return result.modifiedCount > 0;
+}
+
+async function giveBackFreezes(userId, count) {
+  await RegisterUser.updateOne(
+    { _id: userId },
+    {
+      $inc: {
+        "streakInventory.freezes": count,
+        "streakInventory.freezesUsed": -count,
+      },
+    },
+  );
+}
+
+/**
+ * Cover the days missed since the user's last streak day with freezes.
+ * Only applied when the inventory can bridge the whole gap; otherwise the
+ * streak is broken anyway and the freezes are kept. Returns the frozen keys.
+ */
+export async function applyStreakFreezes(userId, todayKey, timeZone, now) {
+  const last = await UserActivityDay.findOne({
+    user: userId,
+    ...STREAK_DAY_FILTER,
+    dateKey: { $lt: todayKey },
+  })
+    .sort({ dateKey: -1 })
+    .select("dateKey")
+    .lean();
+  if (!last) return [];
+
+  const missed = diffDays(last.dateKey, todayKey) - 1;
+  if (missed < 1 || missed > STREAK_FREEZE_MAX) return [];
+  if (!(await takeFreezes(userId, missed))) return [];
+
+  const frozenKeys = [];
+  for (let i = 1; i <= missed; i++) {
+    const dateKey = addDays(last.dateKey, i);
+    if (await freezeDay(userId, dateKey, timeZone, now)) {
+      frozenKeys.push(dateKey);
+    }
+  }
+  // Another request covered (part of) the gap first.
+  if (frozenKeys.length < missed) {
+    await giveBackFreezes(userId, missed - frozenKeys.length);
+  }
+  return frozenKeys;
+}
+
+/**
+ * Pay out a freeze (or a repair token once the inventory is full) each
+ * time the current streak reaches a multiple of the milestone.
+ */
+export async function awardStreakMilestone(userId, currentStreak) {
+  if (!currentStreak || currentStreak % STREAK_FREEZE_MILESTONE_DAYS !== 0) {
+    return null;
+  }
+
+  const freeze = await RegisterUser.updateOne(
+    { _id: userId, "streakInventory.freezes": { $lt: STREAK_FREEZE_MAX } },
+    {
+      $inc: {
+        "streakInventory.freezes": 1,
+        "streakInventory.freezesEarned": 1,
+      },
+    },
+  );
+  if (freeze.modifiedCount > 0) return "freeze";
+
+  await RegisterUser.updateOne(
+    { _id: userId },
+    { $inc: { "streakInventory.repairTokens": 1 } },
+  );
+  return "repairToken";
+}
+
+/**
+ * Freeze inventory plus streak context for GET /api/activity/freezes.
+ */
+export async function getStreakFreezeStatus(userId, now = new Date()) {
+  const [{ todayKey }, user] = await Promise.all([
+    getUserToday(userId, now),
+    RegisterUser.findById(userId).select("streakInventory").lean(),
+  ]);
+  const { active, frozen } = await getStreakDays(userId, todayKey);
+  const currentStreak = computeCurrentStreakFromDaySet(
+    active,
+    todayKey,
+    frozen,
+  );
+  const inventory = user?.streakInventory ?? {};
+
+  return {
+    freezes: inventory.freezes ?? 0,
+    repairTokens: inventory.repairTokens ?? 0,
+    freezesEarned: inventory.freezesEarned ?? 0,
+    freezesUsed: inventory.freezesUsed ?? 0,
+    maxFreezes: STREAK_FREEZE_MAX,
+    freezePrice: STREAK_FREEZE_PRICE,
+    milestoneDays: STREAK_FREEZE_MILESTONE_DAYS,
+    repairWindowDays: STREAK_REPAIR_WINDOW_DAYS,
+    currentStreak,
+    daysToNextFreeze:
+      STREAK_FREEZE_MILESTONE_DAYS -
+      (currentStreak % STREAK_FREEZE_MILESTONE_DAYS),
+    frozenDateKeys: Array.from(frozen).sort(),
+  };
+}
+
+/**
+ * Trade repair tokens for a freeze. Resolves to an error string or null.
+ */
+export async function buyStreakFreeze(userId) {
+  const result = await RegisterUser.updateOne(
+    {
+      _id: userId,
+      "streakInventory.freezes": { $lt: STREAK_FREEZE_MAX },
+      "streakInventory.repairTokens": { $gte: STREAK_FREEZE_PRICE },
+    },
+    {
+      $inc: {
+        "streakInventory.freezes": 1,
+        "streakInventory.repairTokens": -STREAK_FREEZE_PRICE,
+      },
+    },
+  );
+  if (result.modifiedCount > 0) return null;
+
+  const user = await RegisterUser.findById(userId)
+    .select("streakInventory")
+    .lean();
+  if ((user?.streakInventory?.freezes ?? 0) >= STREAK_FREEZE_MAX) {
+    return "Freeze limit reached";
+  }
+  return "Not enough repair tokens";
+}
+
+/**
+ * Spend a freeze on a missed day within the repair window. Resolves to
+ * { error, status } on failure or { dateKey } on success.
+ */
+export async function redeemStreakFreeze(userId, dateKey, now = new Date()) {
+  const { timeZone, todayKey } = await getUserToday(userId, now);
+  const daysAgo = diffDays(dateKey, todayKey);
+  if (daysAgo < 1 || daysAgo > STREAK_REPAIR_WINDOW_DAYS) {
+    return {
+      status: 400,
+      error: `Only the last ${STREAK_REPAIR_WINDOW_DAYS} days can be repaired`,
+    };
+  }
+
+  if (
+    await UserActivityDay.exists({
+      user: userId,
+      dateKey,
+      ...STREAK_DAY_FILTER,
+    })
+  ) {
+    return { status: 409, error: "Day is already part of your streak" };
+  }
+
+  if (!(await takeFreezes(userId, 1))) {
+    return { status: 400, error: "No streak freezes available" };
+  }
+
+  if (!(await freezeDay(userId, dateKey, timeZone, now))) {
+    await giveBackFreezes(userId, 1);
+    return { status: 409, error: "Day is already part of your streak" };
+  }
+
+  // A repaired day can join two runs into a longer one.
+  await refreshStreakStat(userId, { todayKey });
+  return { dateKey };
+}
@@ -0,0 +1,283 @@
+import mongoose from "mongoose";
+import RegisterUser from "../models/UserModel.js";
+import JournalEntry from "../models/JournalEntry.js";
+import JournalTask from "../models/JournalTask.js";
+import FeelingLog from "../models/FeelingLog.js";
+import FeelingCatalogItem from "../models/FeelingCatalogItem.js";
+import Badge from "../models/Badge.js";
+import { WEEKLY_DIGEST_SEND_HOUR } from "../config/constants.js";
+import {
+  addDays,
+  getDateKeyRange,
+  localTimeToDate,
+  normalizeTimeZone,
+  toDateKey,
+} from "./dateKeyService.js";
+import {
+  computeCurrentStreakFromDaySet,
+  computeMaxStreakFromDaySet,
+  getStreakDays,
+} from "./streakService.js";
+import { sendWeeklyDigestEmail } from "./emailService.js";
+import { getUnsubscribeUrl } from "./emailPreferenceService.js";
+import { ensureJournalTasksMigrated } from "./journalTaskService.js";
+import {
+  LEARNING_PROMPT_ID,
+  answeredFilter,
+  findAnswer,
+} from "./journalPromptService.js";
+
+const TOP_FEELINGS = 3;
+const LEARNING_MAX_LENGTH = 280;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Monday (date key) of the week containing `dateKey`.
+ */
+export function getWeekStartKey(dateKey) {
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return addDays(dateKey, -((weekday + 6) % 7));
+}
+
+/**
+ * The user's activity for the local week starting `weekStartKey`
+ * (Monday to Sunday).
+ */
+export async function buildWeeklyDigest(userId, weekStartKey, timeZone) {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const weekEndKey = addDays(weekStartKey, 6);
+  const rangeStart = getDateKeyRange(weekStartKey, timeZone).start;
+  const rangeEnd = getDateKeyRange(weekEndKey, timeZone).end;
+  const inWeek = { $gte: weekStartKey, $lte: weekEndKey };
+  await ensureJournalTasksMigrated(userId);
+
+  const [streakDays, profile, taskRows, learningEntry, feelingRows] =
+    await Promise.all([
+      getStreakDays(userId, weekEndKey),
+      RegisterUser.findById(userId).select("badgeAwards").lean(),
+      // Completed tasks count in the week they were done, others in the
+      // week they're scheduled for.
+      JournalTask.aggregate([
+        {
+          $match: {
+            user,
+            $or: [
+              { completedDateKey: inWeek },
+              { status: { $ne: "completed" }, scheduledDateKey: inWeek },
+            ],
+          },
+        },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+      JournalEntry.findOne({
+        user,
+        dateKey: inWeek,
+        ...answeredFilter(LEARNING_PROMPT_ID),
+      })
+        .sort({ dateKey: -1 })
+        .select("dateKey answers questions.whatDidYouLearn")
+        .lean(),
+      FeelingLog.aggregate([
+        {
+          $match: {
+            user,
+            startedAt: { $gte: rangeStart, $lt: rangeEnd },
+            endedAt: { $ne: null },
+          },
+        },
+        {
+          $group: {
+            _id: "$feeling",
+            sessions: { $sum: 1 },
+            totalMs: { $sum: { $subtract: ["$endedAt", "$startedAt"] } },
+          },
+        },
+        { $sort: { totalMs: -1, sessions: -1 } },
+        { $limit: TOP_FEELINGS },
+      ]),
+    ]);
+
+  const { active, frozen } = streakDays;
+  const weekKeys = Array.from({ length: 7 }, (_, i) =>
+    addDays(weekStartKey, i),
+  );
+
+  const badgeIds = (profile?.badgeAwards ?? [])
+    .filter(
+      (award) => award.earnedAt >= rangeStart && award.earnedAt < rangeEnd,
+    )
+    .map((award) => award.badge);
+  const [badges, catalog] = await Promise.all([
+    badgeIds.length
+      ? Badge.find({ _id: { $in: badgeIds } })
+          .select("name imageUrl")
+          .lean()
+      : [],
+    FeelingCatalogItem.find({ key: { $in: feelingRows.map((r) => r._id) } })
+      .select("key label emoji")
+      .lean(),
+  ]);
+  const catalogByKey = new Map(catalog.map((item) => [item.key, item]));
+
+  const taskCounts = Object.fromEntries(
+    taskRows.map((row) => [row._id, row.count]),
+  );
+  const learning = findAnswer(learningEntry, LEARNING_PROMPT_ID)?.text ?? "";
+
+  return {
+    weekStart: weekStartKey,
+    weekEnd: weekEndKey,
+    daysActive: weekKeys.filter((key) => active.has(key)).length,
+    days: weekKeys.map((key) => ({
+      dateKey: key,
+      active: active.has(key),
+      frozen: frozen.has(key),
+    })),
+    // As of the end of the week (the next day hasn't started the streak yet).
+    currentStreak: computeCurrentStreakFromDaySet(
+      active,
+      addDays(weekEndKey, 1),
+      frozen,
+    ),
+    bestStreak: computeMaxStreakFromDaySet(active, frozen),
+    badges: badges.map((badge) => ({
+      id: String(badge._id),
+      name: badge.name,
+      imageUrl: badge.imageUrl,
+    })),
+    tasks: {
+      completed: taskCounts.completed ?? 0,
+      skipped: taskCounts.skipped ?? 0,
+      pending: taskCounts.pending ?? 0,
+    },
+    topFeelings: feelingRows.map((row) => ({
+      feeling: row._id,
+      label: catalogByKey.get(row._id)?.label ?? row._id,
+      emoji: catalogByKey.get(row._id)?.emoji ?? "",
+      sessions: row.sessions,
+      totalMinutes: Math.round(row.totalMs / 60000),
+    })),
+    learning: learning
+      ? {
+          dateKey: learningEntry.dateKey,
+          text:
+            learning.length > LEARNING_MAX_LENGTH
+              ? `${learning.slice(0, LEARNING_MAX_LENGTH - 1)}…`
+              : learning,
+        }
+      : null,
+  };
+}
+
+// A week with nothing in it isn't worth an email.
+function isEmptyDigest(digest) {
+  return (
+    digest.daysActive === 0 &&
+    digest.topFeelings.length === 0 &&
+    digest.tasks.completed + digest.tasks.skipped === 0 &&
+    !digest.learning
+  );
+}
+
+/**
+ * The last full local week, once the digest for it may go out: from
+ * Monday WEEKLY_DIGEST_SEND_HOUR onwards. Null before that.
+ */
+export function getDigestWeek(timeZone, now = new Date()) {
+  const todayKey = toDateKey(now, timeZone);
+  const thisWeekKey = getWeekStartKey(todayKey);
+  const sendFrom = localTimeToDate(
+    thisWeekKey,
+    `${String(WEEKLY_DIGEST_SEND_HOUR).padStart(2, "0")}:00`,
+    timeZone,
+  );
+  return now >= sendFrom ? addDays(thisWeekKey, -7) : null;
+}
+
+/**
+ * Email the weekly digest to opted-in users whose last full week hasn't
+ * been sent yet. Each week is claimed before sending so concurrent runs
+ * never double-send; a failed send releases the claim for the next run.
+ */
+export async function sendDueWeeklyDigests({
+  now = new Date(),
+  limit = 200,
+} = {}) {
+  const users = await RegisterUser.find({
+    "emailPreferences.weeklyDigest": true,
+    email: { $nin: ["", null] },
+    deletionScheduledFor: null,
+    $or: [
+      { "emailPreferences.weeklyDigestSentAt": null },
+      {
+        "emailPreferences.weeklyDigestSentAt": {
+          $lte: new Date(now.getTime() - WEEK_MS / 2),
+        },
+      },
+    ],
+  })
+    .select("email username preferences.timezone emailPreferences")
+    .sort({ "emailPreferences.weeklyDigestSentAt": 1 })
+    .limit(limit)
+    .lean();
+
+  let sent = 0;
+  let skippedEmpty = 0;
+  const failed = [];
+
+  for (const user of users) {
+    const timeZone = normalizeTimeZone(user.preferences?.timezone);
+    const weekStartKey = getDigestWeek(timeZone, now);
+    const previous = user.emailPreferences ?? {};
+    if (!weekStartKey || previous.weeklyDigestSentFor === weekStartKey) {
+      continue;
+    }
+
+    const claimed = await RegisterUser.updateOne(
+      {
+        _id: user._id,
+        "emailPreferences.weeklyDigestSentFor": { $ne: weekStartKey },
+      },
+      {
+        $set: {
+          "emailPreferences.weeklyDigestSentFor": weekStartKey,
+          "emailPreferences.weeklyDigestSentAt": now,
+        },
+      },
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      const digest = await buildWeeklyDigest(user._id, weekStartKey, timeZone);
+      if (isEmptyDigest(digest)) {
+        skippedEmpty += 1;
+        continue;
+      }
+
+      const ok = await sendWeeklyDigestEmail(
+        user.email,
+        user.username,
+        digest,
+        getUnsubscribeUrl(user._id, "weekly_digest"),
+      );
+      if (!ok) throw new Error("Email not sent");
+      sent += 1;
+    } catch (err) {
+      console.error(`WEEKLY DIGEST FAILED (${user._id}):`, err);
+      failed.push(String(user._id));
+      await RegisterUser.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            "emailPreferences.weeklyDigestSentFor":
+              previous.weeklyDigestSentFor ?? null,
+            "emailPreferences.weeklyDigestSentAt":
+              previous.weeklyDigestSentAt ?? null,
+          },
+        },
+      );
+    }
+  }
+
+  return { candidates: users.length, sent, skippedEmpty, failed };
+}
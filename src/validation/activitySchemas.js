@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { CLIENT_REPORTED_ACTIONS } from "../utils/activityService.js";
 
 export const calendarQuerySchema = z.object({
   month: z
@@ -6,3 +7,14 @@ export const calendarQuerySchema = z.object({
     .regex(/^\d{4}-\d{2}$/, "Expected YYYY-MM")
     .optional(),
 });
+
+export const redeemFreezeSchema = z.object({
+  dateKey: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD"),
+});
+
+export const recordActionSchema = z.object({
+  action: z.enum(CLIENT_REPORTED_ACTIONS),
+  count: z.number().int().min(1).max(10).optional(),
+  // Length of the session(s), counted toward mindful minutes.
+  minutes: z.number().min(0).max(600).optional(),
+});
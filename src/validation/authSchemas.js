@@ -1,13 +1,49 @@
 import { z } from "zod";
+import { isValidTimeZone } from "../utils/dateKeyService.js";
 
 export const registerSchema = z.object({
   username: z.string().trim().min(1, "username is required"),
   email: z.string().trim().email("invalid email"),
 });
 
+// Optional device details sent with any login so each device gets its own session.
+const deviceFields = {
+  deviceId: z.string().trim().min(1).max(200).optional(),
+  deviceName: z.string().trim().max(200).optional(),
+  platform: z.string().trim().max(50).optional(),
+  appVersion: z.string().trim().max(50).optional(),
+};
+
 export const verifyOtpSchema = z.object({
   email: z.string().trim().email("invalid email"),
   otp: z.string().trim().min(1, "otp is required"),
+  ...deviceFields,
+});
+
+// E.164, e.g. +919876543210 (spaces, dashes and brackets are stripped)
+const phoneNumberSchema = z.preprocess(
+  (v) => (typeof v === "string" ? v.replace(/[\s()-]/g, "") : v),
+  z.string().regex(/^\+[1-9]\d{7,14}$/, "Expected E.164 phone number"),
+);
+
+export const phoneLoginSchema = z.object({
+  phoneNumber: phoneNumberSchema,
+  // Used only when the number is not registered yet
+  username: z.string().trim().min(1).max(80).optional(),
+});
+
+export const phoneVerifyOtpSchema = z.object({
+  phoneNumber: phoneNumberSchema,
+  otp: z.string().trim().min(1, "otp is required"),
+  ...deviceFields,
+});
+
+export const refreshTokenSchema = z.object({
+  refreshToken: z.string().trim().min(1, "refreshToken is required"),
+});
+
+export const logoutSchema = z.object({
+  refreshToken: z.string().trim().min(1).optional(),
 });
 
 export const loginSchema = z.object({
@@ -22,6 +58,12 @@ export const onboardingSchema = z.object({
   }, z.string().max(80).optional()),
   gender: z.enum(["male", "female", "other"]),
   dob: z.string().trim().min(1, "dob is required"),
+  // IANA timezone from the device, e.g. "Asia/Kolkata"
+  timezone: z
+    .string()
+    .trim()
+    .refine(isValidTimeZone, "Invalid IANA timezone")
+    .optional(),
 });
 
 export const setAmbienceSelectionSchema = z.object({
@@ -31,7 +73,7 @@ export const setAmbienceSelectionSchema = z.object({
 
 export const socialLoginSchema = z
   .object({
-    provider: z.enum(["google", "apple"]),
+    provider: z.enum(["google", "apple", "facebook", "github"]),
     // For apple: pass idToken
     // For google: prefer idToken, but accessToken is also supported as fallback
     idToken: z.preprocess(
@@ -46,6 +88,7 @@ export const socialLoginSchema = z
     email: z.string().trim().email("invalid email").optional(),
     name: z.string().trim().optional(),
     photoUrl: z.string().trim().optional(),
+    ...deviceFields,
   })
   .superRefine((val, ctx) => {
     if (val.provider === "apple") {
@@ -66,4 +109,29 @@ export const socialLoginSchema = z
         });
       }
     }
+    if (val.provider === "facebook" || val.provider === "github") {
+      if (!val.accessToken) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["accessToken"],
+          message: `accessToken is required for ${val.provider}`,
+        });
+      }
+    }
+  });
+
+// POST /api/auth/providers/:provider (provider is validated in the route)
+export const linkProviderSchema = z
+  .object({
+    idToken: z.preprocess(
+      (v) => (typeof v === "string" && v.trim() === "" ? undefined : v),
+      z.string().trim().optional(),
+    ),
+    accessToken: z.preprocess(
+      (v) => (typeof v === "string" && v.trim() === "" ? undefined : v),
+      z.string().trim().optional(),
+    ),
+  })
+  .refine((v) => v.idToken || v.accessToken, {
+    message: "Provide idToken or accessToken",
   });
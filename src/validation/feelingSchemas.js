@@ -1,9 +1,106 @@
 import { z } from "zod";
+import {
+  FEELING_CONTEXT_TAGS,
+  FEELING_TRIGGER_TYPES,
+} from "../utils/feelingCatalogService.js";
+
+const feelingDetailFields = {
+  intensity: z.number().int().min(1).max(5).nullable().optional(),
+  note: z.string().trim().max(280).optional(),
+  tags: z.array(z.enum(FEELING_CONTEXT_TAGS)).max(10).optional(),
+  trigger: z
+    .object({
+      type: z.enum(FEELING_TRIGGER_TYPES),
+      refId: z.string().trim().max(100).optional(),
+    })
+    .nullable()
+    .optional(),
+};
+
+// Catalog key (label and aliases are accepted too)
+const feelingField = z.string().trim().min(1, "feeling is required");
+const isoDateTime = z.string().datetime({ offset: true });
 
 export const startFeelingSchema = z.object({
-  feeling: z.string().trim().min(1, "feeling is required"),
+  feeling: feelingField,
+  ...feelingDetailFields,
+});
+
+export const createFeelingSessionSchema = z.object({
+  feeling: feelingField,
+  startedAt: isoDateTime,
+  endedAt: isoDateTime,
+  ...feelingDetailFields,
+});
+
+export const updateFeelingSessionSchema = z
+  .object({
+    feeling: feelingField.optional(),
+    startedAt: isoDateTime.optional(),
+    endedAt: isoDateTime.optional(),
+    ...feelingDetailFields,
+  })
+  .refine((v) => Object.keys(v).length > 0, {
+    message: "Provide at least one field to update",
+  });
+
+export const splitFeelingSessionSchema = z.object({
+  at: isoDateTime,
+  // Feeling and details for the second part (default: the original's)
+  feeling: feelingField.optional(),
+  ...feelingDetailFields,
+});
+
+export const mergeFeelingSessionsSchema = z.object({
+  ids: z.array(z.string().trim().min(1)).min(2).max(20),
+  feeling: feelingField.optional(),
+  ...feelingDetailFields,
+});
+
+const catalogFeelingFields = {
+  label: z.string().trim().min(1).max(40),
+  emoji: z.string().trim().max(16).optional(),
+  iconUrl: z.string().trim().url().or(z.literal("")).optional(),
+  valence: z.number().int().min(-2).max(2),
+  energy: z.number().int().min(-2).max(2),
+  group: z.string().trim().max(40).optional(),
+  aliases: z.array(z.string().trim().min(1).max(40)).max(20).optional(),
+  order: z.number().int().optional(),
+  isActive: z.boolean().optional(),
+};
+
+export const createCatalogFeelingSchema = z.object({
+  key: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .regex(/^[a-z0-9_-]{1,40}$/, "key must be a lowercase slug"),
+  ...catalogFeelingFields,
+});
+
+export const updateCatalogFeelingSchema = z
+  .object(catalogFeelingFields)
+  .partial()
+  .refine((v) => Object.keys(v).length > 0, {
+    message: "Provide at least one field to update",
+  });
+
+export const catalogQuerySchema = z.object({
+  sinceVersion: z.coerce.number().int().min(0).optional(),
 });
 
 export const dayTimelineQuerySchema = z.object({
   date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD"),
 });
+
+export const insightsQuerySchema = z.object({
+  from: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD")
+    .optional(),
+  to: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD")
+    .optional(),
+  feeling: z.string().trim().min(1).optional(),
+});
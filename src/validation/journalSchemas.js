@@ -19,9 +19,18 @@ const dateKeySchema = z
   .regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD")
   .optional();
 
+const dayKeySchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD");
+
 const statusSchema = z.enum(["pending", "completed", "skipped"]);
 
 const taskItemSchema = z.object({
+  // Id of an existing task (as returned by GET /journal); new tasks have none.
+  id: z
+    .string()
+    .regex(/^[a-f\d]{24}$/i, "Invalid task id")
+    .optional(),
   task: z.string().trim().min(1, "task is required").max(500),
   status: statusSchema.optional().default("pending"),
 });
@@ -47,13 +56,320 @@ export const updateJournalTaskStatusSchema = z.object({
   status: statusSchema,
 });
 
+// POST /api/journal/tasks/:taskId/move
+export const moveJournalTaskSchema = z.object({
+  dateKey: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD"),
+});
+
+// POST /api/journal/tasks/:taskId/defer
+export const deferJournalTaskSchema = z.object({
+  days: z.number().int().min(1).max(30).optional().default(1),
+});
+
+const promptIdSchema = z
+  .string()
+  .trim()
+  .regex(/^[A-Za-z0-9_-]{1,64}$/, "Expected letters, digits, _ or -");
+
+const answerSchema = z.object({
+  promptId: promptIdSchema,
+  text: z.string().trim().max(5000).optional().default(""),
+  photos: z.array(z.string().trim().min(1)).max(50).optional(),
+});
+
 // PUT /api/journal/questions
-export const upsertJournalQuestionsSchema = z.object({
-  dateKey: dateKeySchema,
-  mistakes: z.string().trim().max(5000),
-  whatDidYouLearn: z.string().trim().max(5000),
-  anythingSpecialHappenedToday: z.object({
-    aboutIt: z.string().trim().max(5000),
-    photos: z.array(z.string().trim().min(1)).max(50).optional().default([]),
+// Either `answers` (keyed by prompt id) or the legacy three questions.
+export const upsertJournalQuestionsSchema = z
+  .object({
+    dateKey: dateKeySchema,
+    answers: z.array(answerSchema).max(20).optional(),
+    mistakes: z.string().trim().max(5000).optional(),
+    whatDidYouLearn: z.string().trim().max(5000).optional(),
+    anythingSpecialHappenedToday: z
+      .object({
+        aboutIt: z.string().trim().max(5000),
+        photos: z
+          .array(z.string().trim().min(1))
+          .max(50)
+          .optional()
+          .default([]),
+      })
+      .optional(),
+  })
+  .superRefine((value, ctx) => {
+    if (value.answers) return;
+    for (const field of [
+      "mistakes",
+      "whatDidYouLearn",
+      "anythingSpecialHappenedToday",
+    ]) {
+      if (value[field] === undefined) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: [field],
+          message: `${field} is required without answers`,
+        });
+      }
+    }
+  });
+
+const promptSetKeySchema = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(/^[a-z0-9-]{1,64}$/, "Expected lowercase letters, digits or -");
+
+const promptSchema = z.object({
+  id: promptIdSchema,
+  text: z.string().trim().min(1, "text is required").max(500),
+  placeholder: z.string().trim().max(500).optional(),
+  allowPhotos: z.boolean().optional(),
+  maxLength: z.number().int().min(1).max(5000).optional(),
+});
+
+const promptSetFields = {
+  name: z.string().trim().min(1, "name is required").max(100),
+  description: z.string().trim().max(1000),
+  prompts: z
+    .array(promptSchema)
+    .min(1, "Expected at least 1 prompt")
+    .max(20)
+    .refine(
+      (prompts) =>
+        new Set(prompts.map((prompt) => prompt.id)).size === prompts.length,
+      "Prompt ids must be unique",
+    ),
+  audience: z.enum(["everyone", "assigned"]),
+  schedule: z
+    .object({
+      startsOn: dayKeySchema.nullable().optional(),
+      endsOn: dayKeySchema.nullable().optional(),
+      weekdays: z.array(z.number().int().min(0).max(6)).max(7).optional(),
+    })
+    .refine(
+      (value) =>
+        !value.startsOn || !value.endsOn || value.startsOn <= value.endsOn,
+      { message: "startsOn must not be after endsOn", path: ["startsOn"] },
+    ),
+  priority: z.number().int().min(-1000).max(1000),
+  isDefault: z.boolean(),
+  isActive: z.boolean(),
+};
+
+// POST /api/journal/prompt-sets
+export const createPromptSetSchema = z.object({
+  key: promptSetKeySchema,
+  ...promptSetFields,
+  description: promptSetFields.description.optional(),
+  audience: promptSetFields.audience.optional(),
+  schedule: promptSetFields.schedule.optional(),
+  priority: promptSetFields.priority.optional(),
+  isDefault: promptSetFields.isDefault.optional(),
+  isActive: promptSetFields.isActive.optional(),
+});
+
+// PATCH /api/journal/prompt-sets/:key
+export const updatePromptSetSchema = z
+  .object(promptSetFields)
+  .partial()
+  .refine((value) => Object.keys(value).length > 0, {
+    message: "Nothing to update",
+  });
+
+// PUT /api/journal/prompt-sets/:key/assignments
+export const assignPromptSetSchema = z
+  .object({
+    userIds: z
+      .array(z.string().regex(/^[a-f0-9]{24}$/i, "Invalid user id"))
+      .min(1, "Expected at least 1 user")
+      .max(500),
+    startsOn: dayKeySchema.nullable().optional(),
+    endsOn: dayKeySchema.nullable().optional(),
+  })
+  .refine(
+    (value) =>
+      !value.startsOn || !value.endsOn || value.startsOn <= value.endsOn,
+    { message: "startsOn must not be after endsOn", path: ["startsOn"] },
+  );
+
+// GET /api/journal/changes?since=
+export const journalChangesQuerySchema = z.object({
+  since: z.coerce.number().int().min(0).optional().default(0),
+  limit: z.coerce.number().int().min(1).max(1000).optional().default(500),
+});
+
+const syncDateKey = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD");
+const syncTaskRef = {
+  opId: z.string().trim().max(100).optional(),
+  // Server id, or the client id the task was created with.
+  id: z.string().trim().optional(),
+  clientId: z.string().trim().min(1).max(100).optional(),
+  baseVersion: z.number().int().min(1),
+  // When the change was made on the device.
+  at: z.string().datetime({ offset: true }).optional(),
+};
+
+const syncOpSchema = z.discriminatedUnion("op", [
+  z.object({
+    op: z.literal("task.create"),
+    opId: z.string().trim().max(100).optional(),
+    clientId: z.string().trim().min(1).max(100),
+    dateKey: syncDateKey,
+    task: z.string().trim().min(1, "task is required").max(500),
+    status: statusSchema.optional(),
+    at: z.string().datetime({ offset: true }).optional(),
+  }),
+  z.object({
+    op: z.literal("task.update"),
+    ...syncTaskRef,
+    task: z.string().trim().min(1, "task is required").max(500).optional(),
+    status: statusSchema.optional(),
+    scheduledDateKey: syncDateKey.optional(),
+  }),
+  z.object({
+    op: z.literal("task.delete"),
+    ...syncTaskRef,
   }),
+  z.object({
+    op: z.literal("entry.update"),
+    opId: z.string().trim().max(100).optional(),
+    dateKey: syncDateKey,
+    // 0 when the client never saw the entry.
+    baseVersion: z.number().int().min(0),
+    // Updated answers, keyed by prompt id; or the legacy `questions`.
+    answers: z
+      .array(answerSchema.partial({ text: true }))
+      .max(20)
+      .optional(),
+    questions: z
+      .object({
+        mistakes: z.string().trim().max(5000).optional(),
+        whatDidYouLearn: z.string().trim().max(5000).optional(),
+        anythingSpecialHappenedToday: z
+          .object({
+            aboutIt: z.string().trim().max(5000).optional(),
+            photos: z.array(z.string().trim().min(1)).max(50).optional(),
+          })
+          .optional(),
+      })
+      .optional(),
+  }),
+]);
+
+// POST /api/journal/sync
+export const journalSyncSchema = z.object({
+  ops: z
+    .array(syncOpSchema)
+    .min(1, "Expected at least 1 operation")
+    .max(200, "Too many operations in one request")
+    .superRefine((ops, ctx) => {
+      ops.forEach((op, index) => {
+        if (op.op.startsWith("task.") && op.op !== "task.create") {
+          if (!op.id && !op.clientId) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              path: [index, "id"],
+              message: "id or clientId is required",
+            });
+          }
+        }
+        if (op.op === "entry.update" && !op.answers === !op.questions) {
+          ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            path: [index, "answers"],
+            message: "Expected either answers or questions",
+          });
+        }
+      });
+    }),
 });
+
+// GET /api/journal/search
+export const journalSearchQuerySchema = z
+  .object({
+    q: z.string().trim().min(1, "q is required").max(200),
+    from: z
+      .string()
+      .regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD")
+      .optional(),
+    to: z
+      .string()
+      .regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD")
+      .optional(),
+    // Only tasks with this status
+    status: statusSchema.optional(),
+    page: z.coerce.number().int().min(1).max(100).optional().default(1),
+    limit: z.coerce.number().int().min(1).max(50).optional().default(20),
+  })
+  .refine((value) => !value.from || !value.to || value.from <= value.to, {
+    message: "from must not be after to",
+    path: ["from"],
+  });
+
+// Query of the journal lists paged by day; `fields` is a comma-separated
+// subset of `allowed`.
+function journalPageQuerySchema(allowed) {
+  return z
+    .object({
+      from: dayKeySchema.optional(),
+      to: dayKeySchema.optional(),
+      // nextCursor of the previous page
+      cursor: dayKeySchema.optional(),
+      limit: z.coerce.number().int().min(1).max(100).optional().default(30),
+      fields: z
+        .string()
+        .optional()
+        .transform((value, ctx) => {
+          if (value === undefined) return undefined;
+          const picked = value
+            .split(",")
+            .map((field) => field.trim())
+            .filter(Boolean);
+          const unknown = picked.filter(
+            (field) => field !== "dateKey" && !allowed.includes(field),
+          );
+          if (unknown.length) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              message: `Unknown fields: ${unknown.join(", ")} (expected ${allowed.join(", ")})`,
+            });
+            return z.NEVER;
+          }
+          return picked;
+        }),
+    })
+    .refine((value) => !value.from || !value.to || value.from <= value.to, {
+      message: "from must not be after to",
+      path: ["from"],
+    });
+}
+
+const ENTRY_FIELDS = [
+  "tasks",
+  "promptSet",
+  "answers",
+  "questions",
+  "version",
+  "updatedAt",
+  "createdAt",
+];
+
+// GET /api/journal/history
+export const journalHistoryQuerySchema = journalPageQuerySchema(ENTRY_FIELDS);
+
+// GET /api/journal/incomplete
+export const journalIncompleteQuerySchema =
+  journalPageQuerySchema(ENTRY_FIELDS);
+
+// GET /api/journal/milestones
+export const journalMilestonesQuerySchema = journalPageQuerySchema([
+  "aboutIt",
+  "photos",
+]);
+
+// GET /api/journal/learnings
+export const journalLearningsQuerySchema = journalPageQuerySchema([
+  "whatDidYouLearn",
+]);
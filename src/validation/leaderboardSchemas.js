@@ -0,0 +1,8 @@
+import { z } from "zod";
+
+// GET /api/leaderboard/streak
+export const leaderboardQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(200).optional(),
+  // `nextCursor` from the previous page
+  cursor: z.string().trim().min(1).max(200).optional(),
+});
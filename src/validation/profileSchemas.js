@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { isValidTimeZone } from "../utils/dateKeyService.js";
 
 // Used for PUT /profile (edit onboarding/profile info)
 export const updateProfileSchema = z
@@ -7,7 +8,26 @@ export const updateProfileSchema = z
     gender: z.enum(["male", "female", "other"]).optional(),
     // Accept a string since mobile clients commonly send ISO strings.
     dob: z.string().trim().min(1, "dob is required").optional(),
+    // IANA timezone, e.g. "Asia/Kolkata"
+    timezone: z
+      .string()
+      .trim()
+      .refine(isValidTimeZone, "Invalid IANA timezone")
+      .optional(),
   })
-  .refine((v) => v.name || v.gender || v.dob, {
+  .refine((v) => v.name || v.gender || v.dob || v.timezone, {
     message: "At least one field is required",
   });
+
+// PUT /me/email-preferences
+export const updateEmailPreferencesSchema = z.object({
+  weeklyDigest: z.boolean(),
+});
+
+// GET /me/weekly-digest (any day of the week; defaults to the last full week)
+export const weeklyDigestQuerySchema = z.object({
+  week: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, "Expected YYYY-MM-DD")
+    .optional(),
+});
@@ -0,0 +1,20 @@
+import { z } from "zod";
+import { RECAP_PERIODS } from "../models/RecapCache.js";
+
+// GET /api/recap?period=month&key=2025-01 (key defaults to the current one)
+export const recapQuerySchema = z
+  .object({
+    period: z.enum(RECAP_PERIODS).default("month"),
+    key: z
+      .string()
+      .regex(/^\d{4}(-(0[1-9]|1[0-2]))?$/, "Expected YYYY or YYYY-MM")
+      .optional(),
+  })
+  .refine(
+    (value) =>
+      !value.key || (value.key.length === 7) === (value.period === "month"),
+    {
+      message: "key must be YYYY-MM for a month, YYYY for a year",
+      path: ["key"],
+    },
+  );
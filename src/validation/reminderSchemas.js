@@ -0,0 +1,26 @@
+import { z } from "zod";
+import { REMINDER_WEEKDAYS } from "../models/ReminderPreference.js";
+
+const timeOfDay = z
+  .string()
+  .regex(/^([01]\d|2[0-3]):([0-5]\d)$/, "Expected HH:mm");
+
+export const updateCheckInRemindersSchema = z
+  .object({
+    enabled: z.boolean().optional(),
+    // Local times; at most 6 reminders a day.
+    times: z.array(timeOfDay).min(1).max(6).optional(),
+    quietHours: z
+      .object({ start: timeOfDay, end: timeOfDay })
+      .nullable()
+      .optional(),
+    daysOfWeek: z.array(z.enum(REMINDER_WEEKDAYS)).optional(),
+  })
+  .refine((value) => Object.keys(value).length > 0, {
+    message: "At least one field is required",
+  });
+
+export const inboxQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).optional(),
+  unread: z.enum(["true", "false"]).optional(),
+});
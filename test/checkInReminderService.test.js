@@ -0,0 +1,168 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { fakeCollection, fakeQuery } from "./support/fakeModels.js";
+
+process.env.MONGODB_URI ??= "mongodb://127.0.0.1:1/test";
+process.env.CHECKIN_REMINDER_GRACE_MINUTES = "120";
+
+const { default: RegisterUser } = await import("../src/models/UserModel.js");
+const { default: ReminderPreference, REMINDER_WEEKDAYS } =
+  await import("../src/models/ReminderPreference.js");
+const { default: InboxItem } = await import("../src/models/InboxItem.js");
+const { default: FeelingLog } = await import("../src/models/FeelingLog.js");
+const { deliverDueReminders, findNextSlot, getDaySlots, isQuietTime } =
+  await import("../src/utils/checkInReminderService.js");
+
+const everyDay = (fields) => ({
+  daysOfWeek: [...REMINDER_WEEKDAYS],
+  ...fields,
+});
+const iso = (slot) => slot?.dueAt.toISOString() ?? null;
+
+test("quiet hours can wrap past midnight", () => {
+  const night = { start: "22:00", end: "07:00" };
+  assert.equal(isQuietTime("22:00", night), true);
+  assert.equal(isQuietTime("23:30", night), true);
+  assert.equal(isQuietTime("03:00", night), true);
+  assert.equal(isQuietTime("07:00", night), false);
+  assert.equal(isQuietTime("21:59", night), false);
+
+  const lunch = { start: "12:00", end: "13:00" };
+  assert.equal(isQuietTime("12:30", lunch), true);
+  assert.equal(isQuietTime("13:00", lunch), false);
+
+  assert.equal(isQuietTime("03:00", { start: "22:00", end: "22:00" }), false);
+  assert.equal(isQuietTime("03:00", null), false);
+});
+
+test("slots in quiet hours are dropped", () => {
+  const prefs = everyDay({
+    times: ["23:00", "06:30", "21:00", "07:00"],
+    quietHours: { start: "22:00", end: "07:00" },
+  });
+  const slots = getDaySlots(prefs, "UTC", "2026-10-19");
+  assert.deepEqual(
+    slots.map((slot) => slot.slotKey),
+    ["2026-10-19T07:00", "2026-10-19T21:00"],
+  );
+  // Each slot's window starts where the previous one ended.
+  assert.equal(slots[0].windowStart.toISOString(), "2026-10-19T00:00:00.000Z");
+  assert.equal(slots[1].windowStart.getTime(), slots[0].dueAt.getTime());
+});
+
+test("skipped weekdays have no slots", () => {
+  const prefs = { times: ["09:00"], daysOfWeek: ["monday", "thursday"] };
+  // 2026-10-18 is a Sunday, 2026-10-19 a Monday.
+  assert.deepEqual(getDaySlots(prefs, "UTC", "2026-10-18"), []);
+  assert.equal(getDaySlots(prefs, "UTC", "2026-10-19").length, 1);
+
+  const afterMonday = new Date("2026-10-19T10:00:00Z");
+  assert.equal(
+    iso(findNextSlot(prefs, "UTC", afterMonday)),
+    "2026-10-22T09:00:00.000Z",
+  );
+  assert.equal(
+    findNextSlot({ times: ["09:00"], daysOfWeek: [] }, "UTC", afterMonday),
+    null,
+  );
+});
+
+test("slots keep their local time across DST transitions", () => {
+  const prefs = everyDay({ times: ["08:00", "20:00"] });
+  const zone = "America/New_York";
+
+  // Clocks spring forward on 2026-03-08 (UTC-5 to UTC-4).
+  const before = getDaySlots(prefs, zone, "2026-03-07");
+  const after = getDaySlots(prefs, zone, "2026-03-08");
+  assert.deepEqual(before.map(iso), [
+    "2026-03-07T13:00:00.000Z",
+    "2026-03-08T01:00:00.000Z",
+  ]);
+  assert.deepEqual(after.map(iso), [
+    "2026-03-08T12:00:00.000Z",
+    "2026-03-09T00:00:00.000Z",
+  ]);
+  // The day still starts at local midnight, before the change.
+  assert.equal(after[0].windowStart.toISOString(), "2026-03-08T05:00:00.000Z");
+
+  // And fall back on 2026-11-01 (UTC-4 to UTC-5).
+  assert.deepEqual(getDaySlots(prefs, zone, "2026-11-01").map(iso), [
+    "2026-11-01T13:00:00.000Z",
+    "2026-11-02T01:00:00.000Z",
+  ]);
+  assert.equal(
+    iso(findNextSlot(prefs, zone, new Date("2026-03-08T01:00:00Z"))),
+    "2026-03-08T12:00:00.000Z",
+  );
+});
+
+test("the next slot is strictly after now, in the user's timezone", () => {
+  const prefs = everyDay({ times: ["08:00", "20:00"] });
+  const at = (time) => new Date(`2026-10-19T${time}Z`);
+
+  assert.equal(
+    iso(findNextSlot(prefs, "UTC", at("07:59:59"))),
+    "2026-10-19T08:00:00.000Z",
+  );
+  assert.equal(
+    iso(findNextSlot(prefs, "UTC", at("08:00:00"))),
+    "2026-10-19T20:00:00.000Z",
+  );
+  assert.equal(
+    iso(findNextSlot(prefs, "UTC", at("21:00:00"))),
+    "2026-10-20T08:00:00.000Z",
+  );
+  // 21:00 UTC is already 06:00 the next day in Tokyo.
+  assert.equal(
+    iso(findNextSlot(prefs, "Asia/Tokyo", at("21:00:00"))),
+    "2026-10-19T23:00:00.000Z",
+  );
+});
+
+test("deliverDueReminders delivers the due slot on a fake clock", async () => {
+  const user = new mongoose.Types.ObjectId();
+  const prefs = {
+    _id: new mongoose.Types.ObjectId(),
+    user,
+    enabled: true,
+    ...everyDay({ times: ["08:00", "20:00"] }),
+    nextDueAt: new Date("2026-10-19T08:00:00Z"),
+  };
+  const inbox = [];
+  mock.method(RegisterUser, "findById", () =>
+    fakeQuery(() => ({ preferences: { timezone: "UTC" } })),
+  );
+  fakeCollection(ReminderPreference, [prefs]);
+  fakeCollection(FeelingLog, []);
+  mock.method(ReminderPreference, "updateOne", async (filter, update) => {
+    Object.assign(prefs, update.$set);
+    return { modifiedCount: 1 };
+  });
+  mock.method(InboxItem, "updateOne", async (filter, update) => {
+    if (inbox.some((item) => item.slotKey === filter.slotKey)) {
+      return { upsertedCount: 0 };
+    }
+    inbox.push({ ...filter, ...update.$setOnInsert });
+    return { upsertedCount: 1 };
+  });
+
+  const now = new Date("2026-10-19T08:05:00Z");
+  const result = await deliverDueReminders({ now });
+
+  assert.equal(result.delivered, 1);
+  assert.deepEqual(
+    inbox.map((item) => item.slotKey),
+    ["2026-10-19T08:00"],
+  );
+  assert.equal(prefs.nextDueAt.toISOString(), "2026-10-19T20:00:00.000Z");
+  assert.equal(prefs.lastDeliveredAt, now);
+
+  // Too long after the evening slot: skipped, not delivered.
+  const late = await deliverDueReminders({
+    now: new Date("2026-10-19T23:00:00Z"),
+  });
+  assert.equal(late.skippedLate, 1);
+  assert.equal(inbox.length, 1);
+  assert.equal(prefs.nextDueAt.toISOString(), "2026-10-20T08:00:00.000Z");
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.MONGODB_URI ??= "mongodb://127.0.0.1:1/test";
+
+const { buildSnippet, getSearchTerms } =
+  await import("../src/utils/journalSearchService.js");
+
+const highlighted = (snippet) =>
+  snippet.highlights.map(([from, to]) => snippet.text.slice(from, to));
+
+test("getSearchTerms drops negated, short and punctuation-only words", () => {
+  assert.deepEqual(getSearchTerms('"my sister" -work a ?! Ran.'), [
+    "my",
+    "sister",
+    "Ran",
+  ]);
+  assert.deepEqual(getSearchTerms(undefined), []);
+});
+
+test("buildSnippet highlights every form of the term", () => {
+  const snippet = buildSnippet("My sister visited. Sisters are great.", [
+    "sisters",
+  ]);
+  assert.deepEqual(highlighted(snippet), ["sister", "Sisters"]);
+});
+
+test("buildSnippet doesn't highlight short words inside the term", () => {
+  assert.deepEqual(
+    highlighted(buildSnippet("I was at a party about work", ["about"])),
+    ["about"],
+  );
+  assert.deepEqual(
+    highlighted(buildSnippet("Went to dinner together", ["together"])),
+    ["together"],
+  );
+  assert.equal(buildSnippet("It is what it was", ["as"]), null);
+});
+
+test("buildSnippet is null when nothing matches", () => {
+  assert.equal(buildSnippet("Nothing here", ["sister"]), null);
+  assert.equal(buildSnippet(null, ["sister"]), null);
+});
+
+test("buildSnippet keeps the match in text without spaces", () => {
+  const text = `${"我".repeat(100)}、sister、${"你".repeat(100)}`;
+  const snippet = buildSnippet(text, ["sister"]);
+  assert.deepEqual(highlighted(snippet), ["sister"]);
+  assert.ok(snippet.text.startsWith("…") && snippet.text.endsWith("…"));
+});
+
+test("buildSnippet cuts long text at spaces around the first match", () => {
+  const text = `${"lorem ipsum ".repeat(10)}my sister came${" dolor sit".repeat(10)}`;
+  const snippet = buildSnippet(text, ["sister"]);
+  assert.deepEqual(highlighted(snippet), ["sister"]);
+  assert.match(snippet.text, /^…\S/);
+  assert.match(snippet.text, /\S…$/);
+  assert.ok(snippet.text.length < text.length);
+});
@@ -0,0 +1,42 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { fakeCollection, fakeQuery } from "./support/fakeModels.js";
+
+process.env.MONGODB_URI ??= "mongodb://127.0.0.1:1/test";
+
+const { default: RegisterUser } = await import("../src/models/UserModel.js");
+const { default: JournalEntry } = await import("../src/models/JournalEntry.js");
+const { default: JournalTask } = await import("../src/models/JournalTask.js");
+const { default: JournalTombstone } =
+  await import("../src/models/JournalTombstone.js");
+const { getJournalChanges } =
+  await import("../src/utils/journalSyncService.js");
+
+test("a full pull includes journal entries from before sync", async () => {
+  const user = { journalSyncSeq: 4 };
+  mock.method(RegisterUser, "findOneAndUpdate", () =>
+    fakeQuery(() => ({ journalSyncSeq: ++user.journalSyncSeq })),
+  );
+  mock.method(RegisterUser, "updateOne", async () => ({}));
+  mock.method(RegisterUser, "findById", () => fakeQuery(() => user));
+
+  fakeCollection(JournalEntry, [
+    {
+      user: "u1",
+      dateKey: "2025-03-01",
+      questions: { mistakes: "Skipped breakfast" },
+    },
+  ]);
+  fakeCollection(JournalTask, []);
+  fakeCollection(JournalTombstone, []);
+
+  const first = await getJournalChanges("u1", { since: 0 });
+  assert.equal(first.entries.length, 1);
+  assert.equal(first.entries[0].dateKey, "2025-03-01");
+  assert.equal(first.entries[0].questions.mistakes, "Skipped breakfast");
+  assert.equal(first.since, 5);
+
+  const next = await getJournalChanges("u1", { since: first.since });
+  assert.equal(next.entries.length, 0);
+  assert.equal(next.since, 5);
+});
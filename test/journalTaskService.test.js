@@ -0,0 +1,105 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { fakeCollection, fakeQuery } from "./support/fakeModels.js";
+
+process.env.MONGODB_URI ??= "mongodb://127.0.0.1:1/test";
+
+const { default: RegisterUser } = await import("../src/models/UserModel.js");
+const { default: JournalEntry } = await import("../src/models/JournalEntry.js");
+const { default: JournalTask } = await import("../src/models/JournalTask.js");
+const { default: JournalTombstone } =
+  await import("../src/models/JournalTombstone.js");
+const { replaceDayTasks } = await import("../src/utils/journalTaskService.js");
+
+const userId = new mongoose.Types.ObjectId();
+const now = new Date("2026-10-19T18:00:00Z");
+const completedAt = new Date("2026-10-19T08:00:00Z");
+
+function setup() {
+  let journalSyncSeq = 10;
+  mock.method(RegisterUser, "findById", () =>
+    fakeQuery(() => ({ preferences: { timezone: "UTC" } })),
+  );
+  mock.method(RegisterUser, "findOneAndUpdate", () =>
+    fakeQuery(() => ({ journalSyncSeq: ++journalSyncSeq })),
+  );
+  mock.method(RegisterUser, "updateOne", async () => ({}));
+
+  const task = (fields) =>
+    new JournalTask({ user: userId, dueDateKey: "2026-10-19", ...fields });
+  const tasks = [
+    task({
+      title: "Call mom",
+      scheduledDateKey: "2026-10-19",
+      status: "completed",
+      completedDateKey: "2026-10-19",
+      completedAt,
+    }),
+    // Carried over from an earlier day.
+    task({
+      title: "Pay rent",
+      dueDateKey: "2026-10-15",
+      scheduledDateKey: "2026-10-17",
+      deferCount: 2,
+    }),
+    task({ title: "Water plants", scheduledDateKey: "2026-10-19" }),
+  ];
+  const tombstones = [];
+  fakeCollection(JournalTask, tasks);
+  fakeCollection(JournalTombstone, tombstones);
+  fakeCollection(JournalEntry, []);
+  return { tasks, tombstones };
+}
+
+test("re-saving a list without ids keeps the tasks it names", async () => {
+  const { tasks, tombstones } = setup();
+  const [callMom, payRent, waterPlants] = tasks;
+
+  const result = await replaceDayTasks(
+    userId,
+    "2026-10-19",
+    [
+      { task: "Call mom", status: "completed" },
+      { task: "Pay rent", status: "pending" },
+      { task: "Stretch", status: "pending" },
+    ],
+    now,
+  );
+
+  assert.equal(result.newlyCompleted, 0);
+  assert.deepEqual(tasks.map((task) => task.title).sort(), [
+    "Call mom",
+    "Pay rent",
+    "Stretch",
+  ]);
+  assert.equal(callMom.completedAt, completedAt);
+  assert.equal(payRent.scheduledDateKey, "2026-10-17");
+  assert.equal(payRent.deferCount, 2);
+  assert.deepEqual(
+    tombstones.map((tombstone) => String(tombstone.docId)),
+    [String(waterPlants._id)],
+  );
+});
+
+test("tasks named by id are updated in place", async () => {
+  const { tasks } = setup();
+  const [callMom, payRent] = tasks;
+
+  const result = await replaceDayTasks(
+    userId,
+    "2026-10-19",
+    [
+      { id: String(callMom._id), task: "Call mom", status: "completed" },
+      { id: String(payRent._id), task: "Pay rent", status: "completed" },
+    ],
+    now,
+  );
+
+  assert.equal(result.newlyCompleted, 1);
+  assert.equal(callMom.completedAt, completedAt);
+  assert.equal(payRent.status, "completed");
+  assert.equal(payRent.completedDateKey, "2026-10-19");
+  assert.equal(payRent.scheduledDateKey, "2026-10-17");
+  assert.equal(tasks.length, 2);
+});
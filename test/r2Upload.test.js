@@ -0,0 +1,60 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import AWS from "aws-sdk";
+
+process.env.MONGODB_URI ??= "mongodb://127.0.0.1:1/test";
+process.env.R2_BUCKET_NAME = "test-bucket";
+process.env.R2_PUBLIC_URL = "https://r2.example.com";
+
+// In-memory bucket behind every S3 call the module makes.
+const objects = new Map();
+const operations = {
+  putObject: ({ Key, Body }) => {
+    objects.set(Key, Body);
+    return {};
+  },
+  listObjectsV2: ({ Prefix }) => ({
+    Contents: [...objects.keys()]
+      .filter((key) => key.startsWith(Prefix))
+      .map((Key) => ({ Key })),
+    IsTruncated: false,
+  }),
+  deleteObjects: ({ Delete }) => {
+    for (const { Key } of Delete.Objects) objects.delete(Key);
+    return { Errors: [] };
+  },
+};
+mock.method(AWS.Service.prototype, "makeRequest", (operation, params) => ({
+  promise: async () => operations[operation](params),
+}));
+
+const { JOURNAL_PHOTO_R2_PREFIX, uploadUserImageToR2, deleteUserFilesFromR2 } =
+  await import("../src/utils/r2Upload.js");
+
+const photo = { buffer: Buffer.from("jpeg"), mimetype: "image/jpeg" };
+
+test("deleteUserFilesFromR2 purges the user's uploaded journal photos", async () => {
+  const uploads = [];
+  for (const dateKey of ["2026-01-01", "2026-01-02"]) {
+    uploads.push(
+      await uploadUserImageToR2({
+        userId: "user-a",
+        dateKey,
+        file: photo,
+        prefix: JOURNAL_PHOTO_R2_PREFIX,
+      }),
+    );
+  }
+  const other = await uploadUserImageToR2({
+    userId: "user-b",
+    dateKey: "2026-01-01",
+    file: photo,
+    prefix: JOURNAL_PHOTO_R2_PREFIX,
+  });
+
+  const deleted = await deleteUserFilesFromR2({ userId: "user-a" });
+
+  assert.equal(deleted, 2);
+  for (const { r2Key } of uploads) assert.equal(objects.has(r2Key), false);
+  assert.equal(objects.has(other.r2Key), true);
+});
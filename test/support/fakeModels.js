@@ -0,0 +1,78 @@
+import { mock } from "node:test";
+
+/*
+ * In-memory stand-ins for mongoose model statics, so services can be tested
+ * without a database. Only the query operators the services use are known.
+ */
+
+const same = (a, b) => String(a) === String(b);
+
+export function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === "$or") return condition.some((sub) => matches(doc, sub));
+    const value = doc[field];
+    if (
+      condition === null ||
+      typeof condition !== "object" ||
+      !Object.keys(condition).every((key) => key.startsWith("$"))
+    ) {
+      return condition === null ? value == null : same(value, condition);
+    }
+    return Object.entries(condition).every(([op, arg]) => {
+      if (op === "$ne") return !matches(doc, { [field]: arg });
+      if (op === "$gt") return value > arg;
+      if (op === "$lt") return value < arg;
+      if (op === "$lte") return value <= arg;
+      if (op === "$gte") return value >= arg;
+      if (op === "$exists") return (value !== undefined) === arg;
+      if (op === "$in") return arg.some((a) => matches(doc, { [field]: a }));
+      if (op === "$nin") return !arg.some((a) => matches(doc, { [field]: a }));
+      throw new Error(`Unsupported operator ${op}`);
+    });
+  });
+}
+
+// A chainable stand-in for a mongoose query resolving to `run()`.
+export function fakeQuery(run) {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    limit: () => query,
+    lean: () => query,
+    exec: async () => run(),
+    then: (resolve, reject) => query.exec().then(resolve, reject),
+  };
+  return query;
+}
+
+/**
+ * Back `Model`'s reads and writes with the `docs` array (changed in place).
+ */
+export function fakeCollection(Model, docs) {
+  const matching = (filter) => docs.filter((doc) => matches(doc, filter));
+  mock.method(Model, "find", (filter) => fakeQuery(() => matching(filter)));
+  mock.method(Model, "findOne", (filter) =>
+    fakeQuery(() => matching(filter)[0] ?? null),
+  );
+  mock.method(Model, "exists", (filter) =>
+    fakeQuery(() => matching(filter).length > 0),
+  );
+  mock.method(Model, "updateMany", async (filter, update) => {
+    const hits = matching(filter);
+    for (const doc of hits) Object.assign(doc, update.$set);
+    return { modifiedCount: hits.length };
+  });
+  mock.method(Model, "deleteMany", async (filter) => {
+    const hits = matching(filter);
+    for (const doc of hits) docs.splice(docs.indexOf(doc), 1);
+    return { deletedCount: hits.length };
+  });
+  mock.method(Model, "insertMany", async (items) => {
+    const created = items.map((item) => new Model(item));
+    docs.push(...created);
+    return created;
+  });
+  mock.method(Model.prototype, "save", async function save() {
+    return this;
+  });
+}